@@ -1,14 +1,491 @@
 #!/usr/bin/env node
 /*jslint node: true */
-var unbrowserify = require("./unbrowserify"),
-    filename,
-    outputDirectory;
+'use strict';
 
-if (process.argv.length <= 2) {
-    console.error("Usage: " + process.argv.join(" ") + " Source [Outdir]");
-    process.exit();
+const fs = require('fs');
+const path = require('path');
+
+const decompress = require('./decompress');
+const fingerprint = require('./fingerprint');
+const printer = require('./printer');
+const unbrowserify = require('./unbrowserify');
+
+const command = path.basename(process.argv[1] || 'unbrowserify');
+
+const usage = `Usage: ${command} [options] Source... [Outdir]
+       ${command} [options] lookup Source:line:column
+       ${command} [--out <file>] index Package...
+
+Unpack the modules of a browserify (or webpack) bundle. Reads the bundle from
+standard input if Source is \`-\` or missing. Without --out, the last of two
+or more arguments is the output directory (default: the current directory).
+
+The lookup command prints where a position in the bundle (such as one in a
+stack trace, with 1-based columns) ends up in the written modules.
+
+The index command fingerprints installed packages (package directories or
+node_modules folders), so their versions are identified in bundles. They are
+added to the index file given with --out, or the index is printed. Use the
+index with --fingerprints.
+
+Options:
+  -o, --out <dir>          Directory to write the modules to.
+  -n, --dry-run            Do everything but write files.
+  -m, --manifest <format>  Print the modules that would be written, their
+                           names, sizes and requires as json or a tree,
+                           instead of writing them.
+      --no-decompress      Write the module code as it is in the bundle.
+  -t, --transform <name>   Enable a decompress transform, or disable it with
+                           \`no-<name>\`. Can be repeated or comma separated.
+                           Transforms: ${Object.keys(decompress.defaultOptions).join(', ')}.
+      --esm                Convert modules to ES modules where that is safe.
+                           They are written as .mjs files. The interop
+                           transform only runs with --esm.
+      --indent <n>         Indent with n spaces (default: 4).
+      --quotes <style>     Quotes of strings: ${printer.quoteStyles.join(', ')}.
+      --no-semicolons      Leave out semicolons where they are not needed.
+      --max-line-length <n>
+                           Break lines after a comma past column n.
+      --comments <which>   Comments to keep: some (licenses), all or none.
+      --formatter <module> Format the modules with a Prettier compatible
+                           formatter, such as prettier.
+      --source-maps        Write a source map next to each module, back to
+                           the bundle.
+      --verify             Bundle the written modules again with browserify
+                           and report the modules that differ from the
+                           bundle, other than by decompress transforms.
+      --keep-deps          Also write the modules of published packages.
+      --keep-builtins      Also write the shims of Node builtin modules.
+      --published <dir>    Compare the modules of packages with the packages
+                           installed in <dir> (a node_modules folder) and
+                           write the differences to patches.diff.
+  -f, --format <name>      Bundle format: ${unbrowserify.formats.map(format => format.name).join(', ')}.
+      --names <file>       JSON file of module id to module name.
+      --fingerprints <file>
+                           Also identify packages with this fingerprint
+                           index. Can be repeated.
+      --resolver <spec>    How to find dependency versions: offline, network
+                           (default, asks the npm registry), lockfile:<path>
+                           or registry:<url>.
+      --merge              Merge into an existing package.json.
+  -q, --quiet              Only log errors.
+  -v, --verbose            Also log the bundle format and module names.
+  -h, --help               Show this help.
+
+Exits with 1 if the bundle can not be unpacked (or --verify finds
+differences) and 2 on usage errors.`;
+
+/* Flags that take no value map to an option, flags that take a value to a
+ * function that adds it to the options. */
+const flags = {
+    '--dry-run': 'dryRun',
+    '--no-decompress': 'noDecompress',
+    '--esm': 'esm',
+    '--no-semicolons': 'noSemicolons',
+    '--source-maps': 'sourceMaps',
+    '--verify': 'verify',
+    '--keep-deps': 'keepDependencies',
+    '--keep-builtins': 'keepBuiltins',
+    '--merge': 'mergePackageJson',
+    '--quiet': 'quiet',
+    '--verbose': 'verbose',
+    '--help': 'help'
+};
+
+const valueFlags = {
+    '--out': (options, value) => {
+        options.outputDirectory = value;
+    },
+    '--transform': (options, value) => {
+        options.transforms.push(...value.split(',').filter(Boolean));
+    },
+    '--format': (options, value) => {
+        options.format = value;
+    },
+    '--manifest': (options, value) => {
+        options.manifest = value;
+    },
+    '--published': (options, value) => {
+        options.published = value;
+    },
+    '--names': (options, value) => {
+        options.namesFile = value;
+    },
+    '--fingerprints': (options, value) => {
+        options.fingerprints.push(value);
+    },
+    '--resolver': (options, value) => {
+        options.resolver = value;
+    },
+    '--indent': (options, value) => {
+        options.indent = value;
+    },
+    '--quotes': (options, value) => {
+        options.quotes = value;
+    },
+    '--max-line-length': (options, value) => {
+        options.maxLineLength = value;
+    },
+    '--comments': (options, value) => {
+        options.comments = value;
+    },
+    '--formatter': (options, value) => {
+        options.formatter = value;
+    }
+};
+
+const shortFlags = {
+    '-o': '--out',
+    '-n': '--dry-run',
+    '-m': '--manifest',
+    '-t': '--transform',
+    '-f': '--format',
+    '-q': '--quiet',
+    '-v': '--verbose',
+    '-h': '--help'
+};
+
+class UsageError extends Error {}
+
+/* Parse the command line arguments (without node and the script). */
+function parseArgs(args) {
+    const options = {transforms: [], fingerprints: [], positionals: []};
+    let i;
+
+    for (i = 0; i < args.length; i += 1) {
+        const arg = args[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.indexOf('=') !== -1 ?
+            [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] :
+            [shortFlags[arg] || arg, undefined];
+
+        if (flag === '--') {
+            options.positionals.push(...args.slice(i + 1));
+            break;
+        } else if (flags[flag] && inlineValue === undefined) {
+            options[flags[flag]] = true;
+        } else if (valueFlags[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : args[i += 1];
+
+            if (value === undefined) {
+                throw new UsageError(`${flag} requires a value.`);
+            }
+
+            valueFlags[flag](options, value);
+        } else if (flag.startsWith('-') && flag !== '-') {
+            throw new UsageError(`Unknown option ${arg}.`);
+        } else {
+            options.positionals.push(arg);
+        }
+    }
+
+    return options;
+}
+
+const isCount = value => /^\d+$/.test(value);
+
+/* The printer options of the parsed arguments, see printer.printCode. */
+function outputOptions(parsed) {
+    const output = {};
+
+    if (parsed.indent !== undefined) {
+        if (!isCount(parsed.indent)) {
+            throw new UsageError(`Invalid indent '${parsed.indent}'.`);
+        }
+
+        output.indent = Number(parsed.indent);
+    }
+
+    if (parsed.quotes !== undefined) {
+        if (printer.quoteStyles.indexOf(parsed.quotes) === -1) {
+            throw new UsageError(`Unknown quote style '${parsed.quotes}'.`);
+        }
+
+        output.quotes = parsed.quotes;
+    }
+
+    if (parsed.noSemicolons) {
+        output.semicolons = false;
+    }
+
+    if (parsed.maxLineLength !== undefined) {
+        if (!isCount(parsed.maxLineLength) || !Number(parsed.maxLineLength)) {
+            throw new UsageError(`Invalid line length '${parsed.maxLineLength}'.`);
+        }
+
+        output.maxLineLength = Number(parsed.maxLineLength);
+    }
+
+    if (parsed.comments !== undefined) {
+        if (['some', 'all', 'none'].indexOf(parsed.comments) === -1) {
+            throw new UsageError(`Unknown comments '${parsed.comments}'.`);
+        }
+
+        output.comments = parsed.comments === 'none' ? false : parsed.comments;
+    }
+
+    return output;
+}
+
+/* The bundle and position of `lookup Source:line:column`, with a 0-based
+ * column. */
+function lookupPosition(positionals) {
+    const match = positionals.length === 1 && /^(.+):(\d+):(\d+)$/.exec(positionals[0]);
+
+    if (!match || !Number(match[2]) || !Number(match[3])) {
+        throw new UsageError('lookup takes one Source:line:column.');
+    }
+
+    return {bundle: match[1], line: Number(match[2]), column: Number(match[3]) - 1};
+}
+
+/* Turn the parsed arguments into the sources, output directory and options
+ * for unbrowserify. */
+function createOptions(parsed, stdinIsTTY) {
+    const options = {};
+    const lookup = parsed.positionals[0] === 'lookup' ? lookupPosition(parsed.positionals.slice(1)) : null;
+    const sources = lookup ? [lookup.bundle] : parsed.positionals.slice();
+    let outputDirectory = parsed.outputDirectory;
+
+    if (lookup && parsed.manifest) {
+        throw new UsageError('lookup can not be combined with --manifest.');
+    }
+
+    /* Formatted modules have no source maps. */
+    if (lookup && parsed.formatter) {
+        throw new UsageError('lookup can not be combined with --formatter.');
+    }
+
+    if (outputDirectory === undefined && sources.length >= 2) {
+        outputDirectory = sources.pop();
+    }
+
+    if (!sources.length) {
+        if (stdinIsTTY) {
+            throw new UsageError('No bundle given.');
+        }
+
+        sources.push('-');
+    }
+
+    if (parsed.quiet && parsed.verbose) {
+        throw new UsageError('--quiet and --verbose can not be combined.');
+    }
+
+    if (parsed.manifest !== undefined && ['json', 'tree'].indexOf(parsed.manifest) === -1) {
+        throw new UsageError(`Unknown manifest format '${parsed.manifest}'.`);
+    }
+
+    if (parsed.manifest && parsed.verbose) {
+        throw new UsageError('--manifest can not be combined with --verbose.');
+    }
+
+    if (parsed.verify && (parsed.dryRun || parsed.manifest || lookup)) {
+        throw new UsageError('--verify needs the modules to be written.');
+    }
+
+    /* browserify doesn't bundle ES modules. */
+    if (parsed.verify && parsed.esm) {
+        throw new UsageError('--verify can not be combined with --esm.');
+    }
+
+    if (parsed.noDecompress && parsed.transforms.length) {
+        throw new UsageError('--transform can not be combined with --no-decompress.');
+    }
+
+    if (parsed.noDecompress) {
+        options.decompress = false;
+    } else if (parsed.transforms.length) {
+        options.decompress = {};
+
+        parsed.transforms.forEach(name => {
+            const enable = !name.startsWith('no-');
+            const transform = enable ? name : name.slice(3);
+
+            if (!(transform in decompress.defaultOptions)) {
+                throw new UsageError(`Unknown transform '${transform}'.`);
+            }
+
+            options.decompress[transform] = enable;
+        });
+    }
+
+    ['dryRun', 'esm', 'keepDependencies', 'keepBuiltins', 'mergePackageJson', 'sourceMaps', 'verify',
+     'quiet', 'verbose']
+        .filter(name => parsed[name])
+        .forEach(name => {
+            options[name] = true;
+        });
+
+    /* The manifest or the position is printed instead of the files that
+     * are written. */
+    if (parsed.manifest || lookup) {
+        options.dryRun = true;
+        options.quiet = true;
+    }
+
+    if (lookup) {
+        options.sourceMaps = true;
+    }
+
+    if (parsed.format) {
+        options.format = parsed.format;
+    }
+
+    if (parsed.resolver) {
+        options.resolver = parsed.resolver;
+    }
+
+    if (parsed.published) {
+        options.published = parsed.published;
+    }
+
+    if (parsed.namesFile) {
+        options.names = JSON.parse(fs.readFileSync(parsed.namesFile, 'utf8'));
+    }
+
+    if (parsed.fingerprints.length) {
+        options.fingerprints = parsed.fingerprints;
+    }
+
+    const output = outputOptions(parsed);
+
+    if (Object.keys(output).length) {
+        options.output = output;
+    }
+
+    if (parsed.formatter) {
+        options.formatter = parsed.formatter;
+    }
+
+    return {sources, outputDirectory: outputDirectory || '.', options, manifest: parsed.manifest, lookup};
+}
+
+/* The packages and index file of `index Package...`. */
+function createIndexOptions(parsed) {
+    const packages = parsed.positionals.slice(1);
+
+    if (!packages.length) {
+        throw new UsageError('index takes one or more packages.');
+    }
+
+    return {packages, file: parsed.outputDirectory};
+}
+
+/* Fingerprint the packages into the index file, or print the index. */
+function buildIndex({packages, file}) {
+    return Promise.resolve()
+        .then(() => (file ?
+            fingerprint.extendIndexFile(file, packages) :
+            fingerprint.indexPackages(packages).then(index => {
+                process.stdout.write(fingerprint.formatIndex(index));
+            })))
+        .then(() => 0, e => {
+            console.error('unbrowserify: %s', e.message);
+            return 1;
+        });
+}
+
+/* A one line description of an error thrown while unpacking. Parse errors
+ * point at the position in the bundle. */
+function describeError(e) {
+    if (e.filename && e.line !== undefined) {
+        return `${e.filename}:${e.line}:${e.col}: ${e.message}`;
+    }
+
+    return e.message;
+}
+
+/* Where a position in the bundle ends up (see lookupPosition), as
+ * `file:line:column` with a 1-based column, or null. */
+function formatLookup(result, outputDirectory, {bundle, line, column}) {
+    const found = unbrowserify.findRecoveredPosition(result.sourceMaps, bundle, {line, column});
+
+    if (!found) return null;
+
+    const file = path.join(outputDirectory, found.file);
+
+    return `${file}:${found.line}:${found.column + 1}${found.name ? ` (${found.name})` : ''}`;
+}
+
+function main(args) {
+    let parsed, sources, outputDirectory, options, manifest, lookup, index;
+
+    try {
+        parsed = parseArgs(args);
+
+        if (parsed.help) {
+            console.log(usage);
+            return Promise.resolve(0);
+        }
+
+        if (parsed.positionals[0] === 'index') {
+            index = createIndexOptions(parsed);
+        } else {
+            ({sources, outputDirectory, options, manifest, lookup} = createOptions(parsed, process.stdin.isTTY));
+        }
+    } catch (e) {
+        console.error('unbrowserify: %s', e.message);
+
+        if (e instanceof UsageError) {
+            console.error('Try --help for more information.');
+            return Promise.resolve(2);
+        }
+
+        return Promise.resolve(1);
+    }
+
+    if (index) {
+        return buildIndex(index);
+    }
+
+    return Promise.resolve()
+        .then(() => unbrowserify.unbrowserify(sources.length === 1 ? sources[0] : sources,
+                                              outputDirectory, options))
+        .then(result => {
+            if (manifest === 'json') {
+                console.log(JSON.stringify(result.manifest, null, 2));
+            } else if (manifest === 'tree') {
+                console.log(unbrowserify.formatTree(result.manifest));
+            } else if (lookup) {
+                const position = formatLookup(result, outputDirectory, lookup);
+
+                if (!position) {
+                    console.error('unbrowserify: %s:%d:%d is not in a written module',
+                                  lookup.bundle, lookup.line, lookup.column + 1);
+                    return 1;
+                }
+
+                console.log(position);
+            }
+
+            /* Differences made by the decompress transforms are expected. */
+            if (result.divergences && result.divergences.some(({reason}) => reason !== 'decompress')) {
+                return 1;
+            }
+
+            return 0;
+        }, e => {
+            console.error('unbrowserify: %s', describeError(e));
+
+            if (options.verbose) {
+                console.error(e.stack);
+            }
+
+            return 1;
+        });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
 }
 
-filename = process.argv[2];
-outputDirectory = process.argv.length >= 4 ? process.argv[3] : ".";
-unbrowserify.unbrowserify(filename, outputDirectory);
+module.exports = {
+    parseArgs,
+    createOptions,
+    createIndexOptions,
+    describeError,
+    formatLookup,
+    main
+};
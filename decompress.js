@@ -1,10 +1,28 @@
 const uglifyES = require('uglify-es');
 const _ = require('lodash');
 
+const esm = require('./esm');
+const rename = require('./rename');
+const transpiled = require('./transpiled');
+
+/* helpers enables the transforms of transpiled.js that aren't set on their
+ * own. */
 const defaultOptions = {
     constants: true,
     sequences: true,
-    conditionals: true
+    conditionals: true,
+    undefined: true,
+    comparisons: true,
+    numbers: true,
+    iife: true,
+    loops: true,
+    assignments: true,
+    helpers: false,
+    classes: false,
+    spread: false,
+    async: false,
+    interop: false,
+    rename: false
 };
 
 function asStatement(node) {
@@ -51,6 +69,16 @@ function replaceInBlock(node, field, replace) {
     }
 }
 
+/* Split `a, b, c` into its first expression and the rest (`b, c`). */
+function splitSequence(seq) {
+    const rest = seq.expressions.slice(1);
+
+    return {
+        first: seq.expressions[0],
+        rest: rest.length === 1 ? rest[0] : new uglifyES.AST_Sequence({expressions: rest})
+    };
+}
+
 function removeSequences(node, field) {
     const nodeTypes = [
         { type: uglifyES.AST_Return, field: 'value' },
@@ -70,19 +98,19 @@ function removeSequences(node, field) {
             );
 
             if (resolvedChildDefinition) {
-                seq = resolvedChildDefinition.value;
-                resolvedChildDefinition.value = seq.cdr;
+                seq = splitSequence(resolvedChildDefinition.value);
+                resolvedChildDefinition.value = seq.rest;
 
-                return [new uglifyES.AST_SimpleStatement({body: seq.car}), child];
+                return [new uglifyES.AST_SimpleStatement({body: seq.first}), child];
             }
         }
 
         if (child instanceof uglifyES.AST_SimpleStatement &&
                 child.body instanceof uglifyES.AST_Assign &&
                 child.body.right instanceof uglifyES.AST_Sequence) {
-            seq = child.body.right;
-            child.body.right = seq.cdr;
-            return [new uglifyES.AST_SimpleStatement({body: seq.car}), child];
+            seq = splitSequence(child.body.right);
+            child.body.right = seq.rest;
+            return [new uglifyES.AST_SimpleStatement({body: seq.first}), child];
         }
 
         const resolvedNodeType = nodeTypes.find(nodeType =>
@@ -92,11 +120,136 @@ function removeSequences(node, field) {
 
         if (!resolvedNodeType) return;
 
-        seq = child[resolvedNodeType.field];
-        child[resolvedNodeType.field] = seq.cdr;
+        seq = splitSequence(child[resolvedNodeType.field]);
+        child[resolvedNodeType.field] = seq.rest;
+
+        return [new uglifyES.AST_SimpleStatement({body: seq.first}), child];
+    });
+}
+
+const comparisons = {
+    '==': '==', '===': '===', '!=': '!=', '!==': '!==',
+    '<': '>', '>': '<', '<=': '>=', '>=': '<='
+};
+
+function isConstant(node) {
+    return node instanceof uglifyES.AST_Constant ||
+        (node instanceof uglifyES.AST_UnaryPrefix && ['void', '-', '!'].indexOf(node.operator) !== -1 &&
+         node.expression instanceof uglifyES.AST_Constant);
+}
+
+/* Print a number as a plain decimal (1000 rather than 1e3), where that is
+ * how it would be written. */
+function printDecimal(self, output) {
+    output.print(String(self.getValue()));
+}
+
+/* Whether a loop has a `continue` for itself in its body. */
+function continuesIn(loop) {
+    let found = false;
+
+    const walker = new uglifyES.TreeWalker(node => {
+        if (found || node instanceof uglifyES.AST_Lambda) return true;
 
-        return [new uglifyES.AST_SimpleStatement({body: seq.car}), child];
+        if (node instanceof uglifyES.AST_Continue) {
+            found = !!node.label || !walker.stack.slice(0, -1).some(parent =>
+                parent instanceof uglifyES.AST_IterationStatement);
+        }
     });
+
+    loop.body.walk(walker);
+
+    return found;
+}
+
+/* a, b */
+function isSideEffectFree(node) {
+    if (node instanceof uglifyES.AST_SymbolRef || node instanceof uglifyES.AST_This) {
+        return true;
+    }
+
+    if (node instanceof uglifyES.AST_Dot) {
+        return isSideEffectFree(node.expression);
+    }
+
+    return node instanceof uglifyES.AST_Sub && isConstant(node.property) && isSideEffectFree(node.expression);
+}
+
+/* Whether an assignment target stays the same whatever runs before the
+ * assignment: a variable, or a property of this. */
+const isFixedTarget = node => node instanceof uglifyES.AST_SymbolRef ||
+    (node instanceof uglifyES.AST_PropAccess && node.expression instanceof uglifyES.AST_This);
+
+/* Whether evaluating node can change anything. */
+function hasSideEffects(node) {
+    let found = false;
+
+    node.walk(new uglifyES.TreeWalker(child => {
+        if (found || child instanceof uglifyES.AST_Lambda) return true;
+
+        if (child instanceof uglifyES.AST_Call || child instanceof uglifyES.AST_Assign ||
+                child instanceof uglifyES.AST_Yield || child instanceof uglifyES.AST_Await ||
+                (child instanceof uglifyES.AST_Unary && ['++', '--', 'delete'].indexOf(child.operator) !== -1)) {
+            found = true;
+        }
+    }));
+
+    return found;
+}
+
+/* The statements of `(function () { ... })();` if they can take its place
+ * in scope: without arguments, this, return or a directive, and declaring
+ * only names that scope doesn't use. */
+function unwrapFunction(statement, scope) {
+    let call = statement instanceof uglifyES.AST_SimpleStatement && statement.body;
+
+    if (call instanceof uglifyES.AST_UnaryPrefix && ['!', '~', '+', '-', 'void'].indexOf(call.operator) !== -1) {
+        call = call.expression;
+    }
+
+    const fn = call instanceof uglifyES.AST_Call && !(call instanceof uglifyES.AST_New) && call.expression;
+
+    if (!(fn instanceof uglifyES.AST_Function) || fn.name || fn.argnames.length || call.args.length ||
+            fn.is_generator || fn.async) {
+        return null;
+    }
+
+    const declared = new Set();
+    let valid = true;
+
+    const walker = new uglifyES.TreeWalker(node => {
+        if (node instanceof uglifyES.AST_Directive || node instanceof uglifyES.AST_Return ||
+                node instanceof uglifyES.AST_This || node instanceof uglifyES.AST_NewTarget ||
+                esm.isSymbol(node, 'arguments')) {
+            valid = false;
+        }
+
+        if (node instanceof uglifyES.AST_SymbolDeclaration) {
+            declared.add(esm.printedName(node));
+        }
+
+        /* Arrow functions share this and arguments. */
+        return node instanceof uglifyES.AST_Lambda && !(node instanceof uglifyES.AST_Arrow);
+    });
+
+    fn.body.forEach(child => child.walk(walker));
+
+    if (!valid) return null;
+
+    /* Function declarations inside are declared in the scope as well. */
+    fn.body.filter(child => child instanceof uglifyES.AST_Defun).forEach(child => {
+        declared.add(esm.printedName(child.name));
+    });
+
+    scope.walk(new uglifyES.TreeWalker(node => {
+        if (node === fn) return true;
+
+        if (node instanceof uglifyES.AST_Symbol && declared.has(esm.printedName(node))) {
+            valid = false;
+        }
+    }));
+
+    return valid ? fn.body : null;
 }
 
 function transformBefore(node) {
@@ -127,6 +280,79 @@ function transformBefore(node) {
         }
     }
 
+    /* void 0 => undefined */
+    if (this.options.undefined && !this.shadowsUndefined &&
+            node instanceof uglifyES.AST_UnaryPrefix && node.operator === 'void' &&
+            node.expression instanceof uglifyES.AST_Number && node.expression.value === 0) {
+        return new uglifyES.AST_SymbolRef({name: 'undefined'});
+    }
+
+    /* "undefined" == typeof a => typeof a == "undefined", 0 < a => a > 0 */
+    if (this.options.comparisons && node instanceof uglifyES.AST_Binary && comparisons[node.operator] &&
+            isConstant(node.left) && !isConstant(node.right)) {
+        node.operator = comparisons[node.operator];
+        [node.left, node.right] = [node.right, node.left];
+    }
+
+    /* 1e3 => 1000, .5 => 0.5 */
+    if (this.options.numbers && node instanceof uglifyES.AST_Number && !/e/.test(String(node.getValue()))) {
+        node._codegen = printDecimal;
+    }
+
+    if (this.options.iife) {
+        /* !function () {}(); => (function () {})(); */
+        if (node instanceof uglifyES.AST_SimpleStatement && node.body instanceof uglifyES.AST_UnaryPrefix &&
+                ['!', '~', '+', '-', 'void'].indexOf(node.body.operator) !== -1 &&
+                node.body.expression instanceof uglifyES.AST_Call &&
+                node.body.expression.expression instanceof uglifyES.AST_Function) {
+            node.body = node.body.expression;
+        }
+
+        /* (function () { var a; b(); })(); => var a; b(); */
+        if ((node instanceof uglifyES.AST_Scope || node === this.root) && Array.isArray(node.body)) {
+            replaceInBlock(node, 'body', child => {
+                const body = unwrapFunction(child, node);
+
+                return body ? body.slice() : undefined;
+            });
+        }
+    }
+
+    if (this.options.loops && node instanceof uglifyES.AST_For && node.step instanceof uglifyES.AST_Sequence &&
+            !continuesIn(node)) {
+        /* for (;; a(), i++) b(); => for (;; i++) { b(); a(); } */
+        const steps = node.step.expressions.slice(0, -1).map(asStatement);
+
+        node.step = node.step.expressions[node.step.expressions.length - 1];
+
+        if (node.body instanceof uglifyES.AST_EmptyStatement) {
+            node.body = new uglifyES.AST_BlockStatement({body: steps});
+        } else if (node.body instanceof uglifyES.AST_BlockStatement) {
+            node.body.body.push(...steps);
+        } else {
+            node.body = new uglifyES.AST_BlockStatement({body: [node.body, ...steps]});
+        }
+    }
+
+    /* a = b = c; => b = c; a = b; (the object of a member target is read
+     * before c, so c mustn't be able to change it) */
+    if (this.options.assignments && (node instanceof uglifyES.AST_Block || node instanceof uglifyES.AST_StatementWithBody)) {
+        replaceInBlock(node, 'body', child => {
+            const assign = child instanceof uglifyES.AST_SimpleStatement && child.body;
+
+            if (assign instanceof uglifyES.AST_Assign && assign.operator === '=' && isSideEffectFree(assign.left) &&
+                    assign.right instanceof uglifyES.AST_Assign && assign.right.operator === '=' &&
+                    assign.right.left instanceof uglifyES.AST_SymbolRef &&
+                    (isFixedTarget(assign.left) || !hasSideEffects(assign.right.right))) {
+                const inner = assign.right;
+
+                assign.right = new uglifyES.AST_SymbolRef({name: inner.left.name, thedef: inner.left.thedef});
+
+                return [new uglifyES.AST_SimpleStatement({body: inner}), child];
+            }
+        });
+    }
+
     if (this.options.sequences) {
         if (node instanceof uglifyES.AST_Block) {
             removeSequences(node, 'body');
@@ -184,12 +410,59 @@ function transformBefore(node) {
             return node;
         }
 
-        /* return void a(); => a(); return; */
+        /* x = a ? b : c; => if (a) { x = b; } else { x = c; } (the target
+         * of a member or compound assignment is read before a, so a, b and c
+         * mustn't change it) */
+        if (node instanceof uglifyES.AST_SimpleStatement && node.body instanceof uglifyES.AST_Assign &&
+                node.body.right instanceof uglifyES.AST_Conditional && isSideEffectFree(node.body.left) &&
+                ((node.body.operator === '=' && node.body.left instanceof uglifyES.AST_SymbolRef) ||
+                 !hasSideEffects(node.body.right))) {
+            const assign = node.body;
+            const assignBranch = value => new uglifyES.AST_SimpleStatement({
+                body: new uglifyES.AST_Assign({operator: assign.operator, left: assign.left.clone(true), right: value})
+            });
+
+            node = new uglifyES.AST_If({
+                condition: assign.right.condition,
+                body: assignBranch(assign.right.consequent),
+                alternative: assignBranch(assign.right.alternative)
+            });
+            node.transform(this);
+            return node;
+        }
+
         if (node instanceof uglifyES.AST_Block || node instanceof uglifyES.AST_StatementWithBody) {
+            /* var x = a ? b : c; => var x; x = a ? b : c; (which is expanded
+             * as an assignment) */
+            replaceInBlock(node, 'body', child => {
+                const last = (child instanceof uglifyES.AST_Var || child instanceof uglifyES.AST_Let) &&
+                    child.definitions[child.definitions.length - 1];
+
+                if (last && last.value instanceof uglifyES.AST_Conditional &&
+                        last.name instanceof uglifyES.AST_SymbolDeclaration) {
+                    const value = last.value;
+
+                    last.value = null;
+
+                    return [child, new uglifyES.AST_SimpleStatement({
+                        body: new uglifyES.AST_Assign({
+                            operator: '=',
+                            left: new uglifyES.AST_SymbolRef({name: last.name.name, thedef: last.name.thedef}),
+                            right: value
+                        })
+                    })];
+                }
+            });
+
+            /* return void a(); => a(); return; */
             replaceInBlock(node, 'body', child => {
                 if (child instanceof uglifyES.AST_Return &&
                         child.value instanceof uglifyES.AST_UnaryPrefix &&
                         child.value.operator === 'void') {
+                    if (isConstant(child.value.expression)) {
+                        return [new uglifyES.AST_Return({ value: null })];
+                    }
+
                     return [new uglifyES.AST_SimpleStatement({ body: child.value.expression }),
                             new uglifyES.AST_Return({ value: null }) ];
                 }
@@ -203,9 +476,37 @@ function decompress(node, userOptions) {
 
     const options = _.defaults({}, userOptions, defaultOptions);
 
+    if (options.helpers) {
+        transpiled.transforms
+            .filter(name => !userOptions || userOptions[name] === undefined)
+            .forEach(name => {
+                options[name] = true;
+            });
+    }
+
+    /* The helpers are recognised by their code, before it is decompressed. */
+    const helpers = transpiled.transforms.some(name => options[name]) ? transpiled.findHelpers(node) : null;
+
     transform = new uglifyES.TreeTransformer(transformBefore);
     transform.options = options;
+    transform.root = node;
+    transform.shadowsUndefined = false;
+    node.walk(new uglifyES.TreeWalker(child => {
+        if (child instanceof uglifyES.AST_SymbolDeclaration && child.name === 'undefined') {
+            transform.shadowsUndefined = true;
+        }
+    }));
     node.transform(transform);
+
+    if (helpers) {
+        transpiled.restore(node, helpers, options);
+    }
+
+    if (options.rename) {
+        rename.renameLocals(node);
+    }
 }
 
+decompress.defaultOptions = defaultOptions;
+
 module.exports = decompress;
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/*jslint node: true */
+'use strict';
+
+const vm = require('vm');
+
+const uglifyES = require('uglify-es');
+
+const decompress = require('./decompress');
+const {parseCode} = require('./parse');
+const transpiled = require('./transpiled');
+
+/*
+ Differential testing of decompress: run code before and after decompress in a
+ vm sandbox and compare what it does. The code is expected to export a
+ function (`module.exports = function (a, b, c) {...}`), which is called with
+ each of the recorded inputs. What it logs (with `log(value)`), returns and
+ throws make up its trace.
+
+ The fuzzer generates such functions from a small grammar and minifies them
+ with uglify's compressor, which produces the sequences, ternaries, `!0` and
+ `void 0` that decompress undoes.
+ */
+
+/* Arguments the exported function is called with. */
+const recordedInputs = [
+    [0, 1, 2],
+    [1, 0, -1],
+    [2, '', null],
+    [undefined, true, 'a'],
+    [-1, 3, false],
+    [NaN, '1', 1000]
+];
+
+/* Transforms with rules in transformBefore and the renaming that follows, as
+ * opposed to those that only apply to transpiled code. */
+const transforms = Object.keys(decompress.defaultOptions)
+    .filter(name => name !== 'helpers' && transpiled.transforms.indexOf(name) === -1);
+
+const prelude = `
+var __trace = [];
+function __describe(value) {
+    if (typeof value === "number" && value === 0 && 1 / value < 0) return "-0";
+    if (Array.isArray(value)) return "[" + value.map(__describe).join(",") + "]";
+    return typeof value + ":" + String(value);
+}
+function log(value) {
+    __trace.push("log " + __describe(value));
+    return value;
+}
+var module = {exports: {}}, exports = module.exports;
+`;
+
+const driver = `
+__inputs.forEach(function (input) {
+    try {
+        __trace.push("return " + __describe(module.exports.apply(null, input)));
+    } catch (e) {
+        __trace.push("throw " + (e && e.name));
+    }
+});
+__trace;
+`;
+
+/* Run code in a new sandbox and return its trace, or the error that stopped
+ * it (such as a syntax error or a timeout). */
+function run(code, inputs = recordedInputs) {
+    const context = vm.createContext({__inputs: inputs});
+
+    try {
+        return vm.runInContext(`${prelude}${code}\n${driver}`, context, {timeout: 1000}).slice();
+    } catch (e) {
+        return [`error ${e.message}`];
+    }
+}
+
+/*
+ Run code before and after decompress (with the given options) and compare
+ the traces. Returns {equal, code, decompressed, before, after}.
+ */
+function compare(code, options, inputs) {
+    const ast = parseCode(code);
+
+    decompress(ast, options);
+
+    const decompressed = ast.print_to_string({beautify: true});
+    const before = run(code, inputs);
+    const after = run(decompressed, inputs);
+
+    return {
+        equal: JSON.stringify(before) === JSON.stringify(after),
+        code,
+        decompressed,
+        before,
+        after
+    };
+}
+
+/* A seeded pseudo random number generator (mulberry32), so a run can be
+ * repeated. */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+
+        let t = state;
+
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/* Generate the source of a function like the ones people write, for the
+ * compressor to minify. */
+function generateSource(random) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    const variables = ['a', 'b', 'c', 'x', 'y', 'z'];
+    const assignable = ['x', 'y', 'z'];
+    const literals = ['0', '1', '2', '1000', '0.5', '-1', '""', '"s"', 'true', 'false', 'null', 'undefined', 'void 0'];
+    const comparisons = ['<', '>', '<=', '>=', '==', '===', '!=', '!=='];
+    const arithmetic = ['+', '-', '*'];
+    let loops = 0;
+
+    function expression(depth) {
+        const choice = depth > 2 ? Math.floor(random() * 2) : Math.floor(random() * 13);
+
+        switch (choice) {
+        case 0:
+            return pick(variables);
+        case 1:
+            return pick(literals);
+        case 2:
+            return `${expression(depth + 1)} ${pick(comparisons)} ${expression(depth + 1)}`;
+        case 3:
+            return `(${expression(depth + 1)} ${pick(arithmetic)} ${expression(depth + 1)})`;
+        case 4:
+            return `(${expression(depth + 1)} ${pick(['&&', '||'])} ${expression(depth + 1)})`;
+        case 5:
+            return `(${expression(depth + 1)} ? ${expression(depth + 1)} : ${expression(depth + 1)})`;
+        case 6:
+            return `!${expression(depth + 1)}`;
+        case 7:
+            return `typeof ${pick(variables)} == "undefined"`;
+        case 8:
+            return `f(${expression(depth + 1)})`;
+        case 9:
+            return `(${pick(assignable)} = ${expression(depth + 1)})`;
+        case 10:
+            return `log(${expression(depth + 1)})`;
+        case 11:
+            return `(o = {p: ${expression(depth + 1)}})`;
+        default:
+            return `(function () { return ${expression(depth + 1)}; })()`;
+        }
+    }
+
+    function statement(depth) {
+        const choice = depth > 2 ? Math.floor(random() * 3) : Math.floor(random() * 11);
+
+        switch (choice) {
+        case 0:
+            return `log(${expression(0)});`;
+        case 1:
+            return `${pick(assignable)} = ${expression(0)};`;
+        case 2:
+            return `${pick(assignable)} ${pick(['+=', '-='])} ${expression(0)};`;
+        case 3:
+            return `if (${expression(0)}) {\n${block(depth + 1)}}`;
+        case 4:
+            return `if (${expression(0)}) {\n${block(depth + 1)}} else {\n${block(depth + 1)}}`;
+        case 5:
+            return `if (${expression(0)}) return ${expression(0)};`;
+        case 6: {
+            const counter = `i${loops += 1}`;
+            const step = random() < 0.5 ? `${counter}++` : `${counter}++, ${pick(assignable)} += 1`;
+            const skip = random() < 0.3 ? `if (${expression(0)}) continue;\n` : '';
+
+            return `for (var ${counter} = 0; ${counter} < ${1 + Math.floor(random() * 3)}; ${step}) {\n` +
+                `${skip}${block(depth + 1)}}`;
+        }
+        case 7:
+            return `${pick(assignable)} = ${pick(assignable)} = ${expression(0)};`;
+        case 8:
+            return `(function () {\nvar w = ${expression(0)};\nlog(w);\n})();`;
+        case 9:
+            return `o.p = ${pick(assignable)} = ${expression(0)};`;
+        default:
+            return `${expression(0)} ? log(${expression(0)}) : log(${expression(0)});`;
+        }
+    }
+
+    function block(depth) {
+        const count = 1 + Math.floor(random() * 3);
+        let body = '';
+        let i;
+
+        for (i = 0; i < count; i += 1) {
+            body += statement(depth) + '\n';
+        }
+
+        return body;
+    }
+
+    return `function f(n) {\nlog(n);\nreturn n + 1;\n}\n` +
+        `module.exports = function (a, b, c) {\nvar x = a, y = b, z = c, o = {};\n${block(0)}return [x, y, z, o.p];\n};\n`;
+}
+
+/* Generate a minified snippet. */
+function generateSnippet(random) {
+    const result = uglifyES.minify(generateSource(random), {
+        compress: {passes: 2},
+        mangle: true,
+        output: {beautify: false}
+    });
+
+    if (result.error) throw result.error;
+
+    return result.code;
+}
+
+/*
+ Run `count` snippets through decompress with each transform enabled on its
+ own, and all transforms together. Returns the differences found as a list of
+ {seed, transform, code, decompressed, before, after}.
+ */
+function fuzz({seed = 1, count = 100, names = transforms} = {}) {
+    const failures = [];
+    let i;
+
+    for (i = 0; i < count; i += 1) {
+        const code = generateSnippet(createRandom(seed + i));
+        const variants = names.map(name => {
+            const options = {};
+
+            transforms.forEach(other => {
+                options[other] = other === name;
+            });
+
+            return [name, options];
+        }).concat([['all', {rename: true}]]);
+
+        variants.forEach(([transform, options]) => {
+            const result = compare(code, options);
+
+            if (!result.equal) {
+                failures.push(Object.assign({seed: seed + i, transform}, result));
+            }
+        });
+    }
+
+    return failures;
+}
+
+const usage = `Usage: differential.js [--seed n] [--count n] [--transform name,...]
+
+Transforms: ${transforms.join(', ')}.`;
+
+/* Exits with 2 on usage errors. */
+function main(args) {
+    const options = {};
+    let i;
+
+    const usageError = message => {
+        console.error(`differential.js: ${message}\n\n${usage}`);
+        return 2;
+    };
+
+    for (i = 0; i < args.length; i += 1) {
+        const value = args[i + 1];
+
+        if (args[i] === '--seed' || args[i] === '--count') {
+            if (!/^\d+$/.test(value || '')) {
+                return usageError(`${args[i]} takes a number.`);
+            }
+
+            options[args[i].slice(2)] = parseInt(value, 10);
+            i += 1;
+        } else if (args[i] === '--transform') {
+            const names = (value || '').split(',').filter(Boolean);
+            const unknown = names.filter(name => transforms.indexOf(name) === -1);
+
+            if (!names.length) {
+                return usageError('--transform takes one or more transforms.');
+            }
+
+            if (unknown.length) {
+                return usageError(`Unknown transform '${unknown[0]}'.`);
+            }
+
+            options.names = names;
+            i += 1;
+        } else {
+            return usageError(`Unknown option '${args[i]}'.`);
+        }
+    }
+
+    const failures = fuzz(options);
+
+    failures.forEach(failure => {
+        console.log('Seed %d, transform %s changes behaviour:\n%s\n=>\n%s\n%s\n=>\n%s\n',
+                    failure.seed, failure.transform, failure.code, failure.decompressed,
+                    failure.before.join('\n'), failure.after.join('\n'));
+    });
+
+    return failures.length ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    recordedInputs,
+    transforms,
+    run,
+    compare,
+    createRandom,
+    generateSource,
+    generateSnippet,
+    fuzz,
+    main
+};
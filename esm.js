@@ -0,0 +1,598 @@
+/*jslint node: true */
+'use strict';
+
+const uglifyES = require('uglify-es');
+
+const graph = require('./graph');
+
+/*
+ Convert extracted CommonJS modules to ES modules where that doesn't change
+ what the code does:
+
+ - `var x = require("y")` and `require("y")` statements at the start of the
+   module become `import x from "y"` and `import "y"`.
+ - A single `module.exports = value` becomes `export default value`.
+ - `exports.name = value` (or `module.exports.name = value`) becomes
+   `export const name = value`, or `export {name}` if the value is the top
+   level variable of that name, plus an `export default {name}` at the end
+   for modules that import it as a whole.
+
+ Modules that use require, module, exports, this or arguments in any other
+ way, that return at the top level or use code that means something else in
+ strict mode (unless it already is strict mode code) stay CommonJS. So do modules that are required by modules that stay CommonJS
+ and modules in require cycles, as their evaluation order would change.
+ */
+
+const identifier = /^[A-Za-z_$][\w$]*$/;
+
+const reservedWords = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+    'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+    'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true',
+    'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'implements',
+    'interface', 'package', 'private', 'protected', 'public', 'await', 'arguments', 'eval'
+]);
+
+const moduleOnlyNames = new Set(['__filename', '__dirname']);
+
+/* The name a symbol is printed with (module arguments are renamed by setting
+ * their mangled name, see renameArguments in unbrowserify.js). */
+function printedName(symbol) {
+    const def = symbol.thedef;
+
+    return (def && def.mangled_name) || symbol.name;
+}
+
+const isSymbol = (node, name) =>
+    node instanceof uglifyES.AST_SymbolRef && printedName(node) === name;
+
+const isRequireCall = node =>
+    node instanceof uglifyES.AST_Call &&
+    isSymbol(node.expression, 'require') &&
+    node.args.length === 1 &&
+    node.args[0] instanceof uglifyES.AST_String;
+
+/* `var a = require("a"), b = require("b");` or `require("a");` */
+function importStatement(statement) {
+    if (statement instanceof uglifyES.AST_SimpleStatement && isRequireCall(statement.body)) {
+        return [{binding: null, request: statement.body.args[0].value}];
+    }
+
+    if (statement instanceof uglifyES.AST_Definitions &&
+            statement.definitions.every(def =>
+                def.name instanceof uglifyES.AST_SymbolDeclaration && isRequireCall(def.value))) {
+        return statement.definitions.map(def => ({binding: def.name, request: def.value.args[0].value}));
+    }
+
+    return null;
+}
+
+/* The target of `module.exports`, `exports` or `module.exports.name` on the
+ * left side of a top level assignment, or null. */
+function exportTarget(statement) {
+    if (!(statement instanceof uglifyES.AST_SimpleStatement) ||
+            !(statement.body instanceof uglifyES.AST_Assign) ||
+            statement.body.operator !== '=' ||
+            !(statement.body.left instanceof uglifyES.AST_Dot)) {
+        return null;
+    }
+
+    const left = statement.body.left;
+    const isModuleExports = node =>
+        node instanceof uglifyES.AST_Dot && node.property === 'exports' && isSymbol(node.expression, 'module');
+
+    if (isModuleExports(left)) {
+        return {name: null, symbol: left.expression};
+    }
+
+    if (isSymbol(left.expression, 'exports')) {
+        return {name: left.property, symbol: left.expression};
+    }
+
+    if (isModuleExports(left.expression)) {
+        return {name: left.property, symbol: left.expression.expression};
+    }
+
+    return null;
+}
+
+/* Whether the walker is inside a function that has its own `this` and
+ * `arguments`. */
+const inFunction = walker => walker.stack.some(node =>
+    node instanceof uglifyES.AST_Lambda && !(node instanceof uglifyES.AST_Arrow));
+
+/* Whether code at the walker's position already is strict mode code: in a
+ * class, or in a function or module with a "use strict" directive. */
+const inStrictCode = walker => walker.stack.some(node =>
+    node instanceof uglifyES.AST_Class ||
+    (node instanceof uglifyES.AST_Scope && Array.isArray(node.body) && node.body.some(statement =>
+        statement instanceof uglifyES.AST_Directive && statement.value === 'use strict')));
+
+/* The names of the functions the module uses as constructors: with `new` or
+ * by their prototype. */
+function findConstructors(toplevel) {
+    const constructors = new Set();
+
+    toplevel.walk(new uglifyES.TreeWalker(node => {
+        if (node instanceof uglifyES.AST_New && node.expression instanceof uglifyES.AST_SymbolRef) {
+            constructors.add(printedName(node.expression));
+        } else if (node instanceof uglifyES.AST_Dot && node.property === 'prototype' &&
+                   node.expression instanceof uglifyES.AST_SymbolRef) {
+            constructors.add(printedName(node.expression));
+        }
+    }));
+
+    return constructors;
+}
+
+/* Whether the `this` of the innermost function around the walker's position
+ * is the same in strict mode: that of a method (of a class or object, or a
+ * function assigned to a property) or of a constructor. Elsewhere sloppy mode
+ * makes it the global object where strict mode leaves it undefined. */
+function hasStrictThis(walker, constructors) {
+    const stack = walker.stack;
+    let i = stack.length - 1;
+
+    while (i >= 0 && !(stack[i] instanceof uglifyES.AST_Lambda && !(stack[i] instanceof uglifyES.AST_Arrow))) {
+        i -= 1;
+    }
+
+    const lambda = stack[i];
+    const parent = stack[i - 1];
+    const name = lambda.name || (parent instanceof uglifyES.AST_VarDef && parent.value === lambda && parent.name);
+
+    return lambda instanceof uglifyES.AST_Accessor ||
+        (parent instanceof uglifyES.AST_ObjectKeyVal && parent.value === lambda) ||
+        (parent instanceof uglifyES.AST_Assign && parent.right === lambda &&
+         parent.left instanceof uglifyES.AST_PropAccess) ||
+        (!!name && constructors.has(printedName(name)));
+}
+
+/* A legacy octal escape (`\101`, `\0` followed by a digit) or `\8` and `\9`
+ * in the source of a string, after an even number of backslashes. */
+const legacyOctalEscape = /(^|[^\\])(\\\\)*\\(0\d|[1-9])/;
+
+/* Code that means something else in strict mode (or doesn't parse there),
+ * which ES modules always are. Returns the reason, or null. */
+function strictModeChange(node, walker, constructors) {
+    if (node instanceof uglifyES.AST_This && inFunction(walker) && !hasStrictThis(walker, constructors)) {
+        return 'this is used in a function that is not a method';
+    }
+
+    if (node instanceof uglifyES.AST_Dot && node.property === 'callee' && isSymbol(node.expression, 'arguments')) {
+        return 'arguments.callee is used';
+    }
+
+    if (node instanceof uglifyES.AST_UnaryPrefix && node.operator === 'delete' &&
+            node.expression instanceof uglifyES.AST_SymbolRef) {
+        return 'a variable is deleted';
+    }
+
+    if (node instanceof uglifyES.AST_Lambda) {
+        const names = node.argnames.filter(argname => argname instanceof uglifyES.AST_Symbol).map(printedName);
+
+        if (new Set(names).size !== names.length) {
+            return 'a function has duplicate parameters';
+        }
+    }
+
+    const raw = node.start && node.start.raw;
+
+    if ((node instanceof uglifyES.AST_Number && /^0\d/.test(raw || '')) ||
+            (node instanceof uglifyES.AST_String && legacyOctalEscape.test(raw || ''))) {
+        return 'it uses legacy octal literals or escapes';
+    }
+
+    return null;
+}
+
+/*
+ Find out how a module can be converted. Returns {reason} if it can't, or
+ {imports, exports, requests} where `imports` is a list of {index, imported}
+ of the import statements, `exports` a list of {index, name, value} of the
+ export statements (name is null for `module.exports =`) and `requests` the
+ required strings.
+ */
+function analyzeModule(toplevel) {
+    const body = toplevel.body;
+    const imports = [];
+    const exports = [];
+    const allowed = new Set();
+    const declared = new Map();
+    const assigned = new Set();
+    const used = new Set();
+    let i = 0, reason = null;
+
+    while (i < body.length && body[i] instanceof uglifyES.AST_Directive) {
+        i += 1;
+    }
+
+    for (; i < body.length; i += 1) {
+        const imported = importStatement(body[i]);
+
+        if (!imported) break;
+
+        imports.push({index: i, imported});
+    }
+
+    body.forEach((statement, index) => {
+        const target = exportTarget(statement);
+
+        if (target) {
+            allowed.add(target.symbol);
+            exports.push({index, name: target.name, value: statement.body.right});
+        }
+    });
+
+    const importStatements = new Set(imports.map(({index}) => body[index]));
+    const constructors = findConstructors(toplevel);
+
+    const walker = new uglifyES.TreeWalker(node => {
+        if (reason) return true;
+
+        if (!inStrictCode(walker)) {
+            reason = strictModeChange(node, walker, constructors);
+
+            if (reason) return true;
+        }
+
+        if (importStatements.has(node)) {
+            node.walk(new uglifyES.TreeWalker(inner => {
+                if (inner instanceof uglifyES.AST_SymbolDeclaration) {
+                    declared.set(printedName(inner), (declared.get(printedName(inner)) || 0) + 1);
+                }
+            }));
+            return true;
+        }
+
+        if (node instanceof uglifyES.AST_SymbolDeclaration) {
+            declared.set(printedName(node), (declared.get(printedName(node)) || 0) + 1);
+            used.add(printedName(node));
+        } else if (node instanceof uglifyES.AST_SymbolRef) {
+            const name = printedName(node);
+
+            used.add(name);
+
+            if (name === 'require') {
+                reason = 'require is used dynamically';
+            } else if ((name === 'module' || name === 'exports') && !allowed.has(node)) {
+                reason = `${name} is used other than to export`;
+            } else if (name === 'arguments' && !inFunction(walker)) {
+                reason = 'the module arguments are used';
+            } else if (moduleOnlyNames.has(name) && node.thedef && node.thedef.undeclared) {
+                reason = `${name} is used`;
+            }
+        } else if (node instanceof uglifyES.AST_This && !inFunction(walker)) {
+            reason = 'this is used at the top level';
+        } else if (node instanceof uglifyES.AST_Return &&
+                   !walker.stack.some(parent => parent instanceof uglifyES.AST_Lambda)) {
+            reason = 'the module returns at the top level';
+        } else if (node instanceof uglifyES.AST_With) {
+            reason = 'with is not allowed in strict mode';
+        } else if ((node instanceof uglifyES.AST_Assign && node.left instanceof uglifyES.AST_SymbolRef) ||
+                   (node instanceof uglifyES.AST_Unary && (node.operator === '++' || node.operator === '--') &&
+                    node.expression instanceof uglifyES.AST_SymbolRef)) {
+            const symbol = node.left || node.expression;
+
+            assigned.add(printedName(symbol));
+
+            if (symbol.thedef && symbol.thedef.undeclared) {
+                reason = `${printedName(symbol)} is assigned without being declared`;
+            }
+        }
+    });
+
+    toplevel.walk(walker);
+
+    if (reason) {
+        return {reason};
+    }
+
+    imports.forEach(({imported}) => {
+        imported.filter(({binding}) => binding).forEach(({binding}) => {
+            const name = printedName(binding);
+
+            if (assigned.has(name) || declared.get(name) > 1) {
+                reason = `the import ${name} is assigned or declared again`;
+            }
+        });
+    });
+
+    const defaults = exports.filter(({name}) => name === null);
+    const names = exports.map(({name}) => name).filter(name => name !== null);
+
+    if (defaults.length && (defaults.length > 1 || names.length)) {
+        reason = 'module.exports is assigned more than once';
+    } else if (new Set(names).size !== names.length) {
+        reason = 'a name is exported more than once';
+    }
+
+    exports.filter(({name}) => name !== null).forEach(exported => {
+        if (!identifier.test(exported.name) || reservedWords.has(exported.name)) {
+            reason = `${exported.name} can't be exported by name`;
+        } else if (isSymbol(exported.value, exported.name) && declared.get(exported.name) === 1 &&
+                   !assigned.has(exported.name)) {
+            exported.local = true;
+        } else if (used.has(exported.name)) {
+            reason = `the export ${exported.name} conflicts with a variable`;
+        }
+    });
+
+    if (reason) {
+        return {reason};
+    }
+
+    return {
+        imports,
+        exports,
+        requests: [].concat(...imports.map(({imported}) => imported.map(({request}) => request)))
+    };
+}
+
+/* All strings a module requires, wherever it does so. */
+function findRequests(toplevel) {
+    const requests = [];
+
+    toplevel.walk(new uglifyES.TreeWalker(node => {
+        if (isRequireCall(node)) {
+            requests.push(node.args[0].value);
+        }
+    }));
+
+    return requests;
+}
+
+/* The module a request leads to, if it is one of the given modules. */
+function resolveRequest(names, from, request) {
+    const name = graph.requireName(from, request);
+
+    if (names.has(name)) return name;
+    if (names.has(`${name}/index`)) return `${name}/index`;
+
+    return null;
+}
+
+function symbolImport(binding) {
+    return new uglifyES.AST_SymbolImport({name: binding.name, thedef: binding.thedef});
+}
+
+function convertModule(toplevel, analysis, needsDefault) {
+    const body = toplevel.body.slice();
+    const defaultProperties = [];
+
+    analysis.imports.forEach(({index, imported}) => {
+        body[index] = imported.map(({binding, request}) => new uglifyES.AST_Import({
+            imported_name: binding ? symbolImport(binding) : null,
+            imported_names: null,
+            module_name: new uglifyES.AST_String({value: request})
+        }));
+    });
+
+    analysis.exports.forEach(({index, name, value, local}) => {
+        if (name === null) {
+            body[index] = new uglifyES.AST_Export({exported_value: value, is_default: true});
+            return;
+        }
+
+        if (local) {
+            body[index] = new uglifyES.AST_Export({
+                exported_names: [new uglifyES.AST_NameMapping({
+                    foreign_name: new uglifyES.AST_SymbolExportForeign({name}),
+                    name: new uglifyES.AST_SymbolExport({name: value.name, thedef: value.thedef})
+                })]
+            });
+        } else {
+            body[index] = new uglifyES.AST_Export({
+                exported_definition: new uglifyES.AST_Const({
+                    definitions: [new uglifyES.AST_VarDef({
+                        name: new uglifyES.AST_SymbolConst({name}),
+                        value
+                    })]
+                })
+            });
+        }
+
+        defaultProperties.push(new uglifyES.AST_ObjectKeyVal({
+            key: name,
+            value: local ?
+                new uglifyES.AST_SymbolRef({name: value.name, thedef: value.thedef}) :
+                new uglifyES.AST_SymbolRef({name})
+        }));
+    });
+
+    const hasDefault = analysis.exports.some(({name}) => name === null);
+
+    if (!hasDefault && (defaultProperties.length || needsDefault)) {
+        body.push(new uglifyES.AST_Export({
+            exported_value: new uglifyES.AST_Object({properties: defaultProperties}),
+            is_default: true
+        }));
+    }
+
+    toplevel.body = [].concat(...body);
+}
+
+const isModuleStatement = statement =>
+    statement instanceof uglifyES.AST_Import || statement instanceof uglifyES.AST_Export;
+
+/* Whether a module (an AST_Toplevel) is an ES module. */
+const isModule = toplevel => toplevel.body.some(isModuleStatement);
+
+/* The imports of a module that already is an ES module (as decompress makes
+ * the modules babel and TypeScript compiled from one), as a list of {request,
+ * whole} where whole is true for default and namespace imports. Returns null
+ * for CommonJS modules. */
+function existingImports(toplevel) {
+    if (!isModule(toplevel)) return null;
+
+    return toplevel.body.filter(statement => statement instanceof uglifyES.AST_Import).map(statement => ({
+        request: statement.module_name.value,
+        whole: !!statement.imported_name ||
+            (statement.imported_names || []).some(mapping => mapping.foreign_name.name === '*')
+    }));
+}
+
+/* Find the modules that are part of a require cycle. */
+function findCycles(requires) {
+    const inCycle = new Set();
+
+    requires.forEach((targets, start) => {
+        const seen = new Set();
+        const stack = [...targets];
+
+        while (stack.length) {
+            const name = stack.pop();
+
+            if (name === start) {
+                inCycle.add(start);
+                break;
+            }
+
+            if (!seen.has(name)) {
+                seen.add(name);
+                stack.push(...(requires.get(name) || []));
+            }
+        }
+    });
+
+    return inCycle;
+}
+
+/*
+ Convert the modules (an object of module name to AST_Toplevel, as returned by
+ extractModules) to ES modules where possible, in place. `commonjs` is an
+ object of module name to the requests of other modules that are written as
+ CommonJS regardless (such as original sources from a source map). Modules
+ that already are ES modules are left as they are.
+
+ Returns an object of the module names that stay CommonJS to the reason why.
+ */
+function convertModules(modules, commonjs = {}) {
+    const names = new Set([...Object.keys(modules), ...Object.keys(commonjs)]);
+    const analyses = new Map();
+    const requires = new Map();
+    const esModules = new Map();
+    const kept = {};
+
+    Object.keys(modules).forEach(name => {
+        const existing = existingImports(modules[name]);
+
+        if (existing) {
+            esModules.set(name, existing);
+            return;
+        }
+
+        const analysis = analyzeModule(modules[name]);
+
+        if (analysis.reason) {
+            kept[name] = analysis.reason;
+        } else {
+            analyses.set(name, analysis);
+        }
+    });
+
+    const resolveAll = (from, requests) =>
+        requests.map(request => resolveRequest(names, from, request)).filter(Boolean);
+
+    names.forEach(name => {
+        let requests;
+
+        if (name in commonjs) {
+            requests = commonjs[name];
+        } else if (esModules.has(name)) {
+            requests = esModules.get(name).map(({request}) => request);
+        } else {
+            requests = analyses.has(name) ? analyses.get(name).requests : findRequests(modules[name]);
+        }
+
+        requires.set(name, resolveAll(name, requests));
+    });
+
+    findCycles(requires).forEach(name => {
+        if (analyses.has(name)) {
+            analyses.delete(name);
+            kept[name] = 'it is part of a require cycle';
+        }
+    });
+
+    /* A CommonJS module that requires an ES module would get its namespace
+     * object instead of its exports, so that ES module stays CommonJS too
+     * (which may in turn affect the modules it requires). */
+    let changed = true;
+
+    while (changed) {
+        changed = false;
+
+        requires.forEach((targets, name) => {
+            if (analyses.has(name) || esModules.has(name)) return;
+
+            targets.filter(target => analyses.has(target)).forEach(target => {
+                analyses.delete(target);
+                kept[target] = `it is required by CommonJS module ${name}`;
+                changed = true;
+            });
+        });
+    }
+
+    const importedWhole = new Set();
+
+    analyses.forEach((analysis, name) => {
+        analysis.imports.forEach(({imported}) => {
+            imported.filter(({binding}) => binding).forEach(({request}) => {
+                importedWhole.add(resolveRequest(names, name, request));
+            });
+        });
+    });
+
+    esModules.forEach((imported, name) => {
+        imported.filter(({whole}) => whole).forEach(({request}) => {
+            importedWhole.add(resolveRequest(names, name, request));
+        });
+    });
+
+    analyses.forEach((analysis, name) => {
+        convertModule(modules[name], analysis, importedWhole.has(name));
+    });
+
+    return kept;
+}
+
+/*
+ Node only loads files with a `.js` extension as ES modules when package.json
+ says so, and then loads the CommonJS modules as ES modules too. So the ES
+ modules are written with a `.mjs` extension instead, and imports (and
+ re-exports) of other ES modules have to use it (as written by
+ unbrowserify, the requests are paths that end in `.js`). `modules` is an
+ object of module name to AST_Toplevel, changed in place, and `names` the
+ names of all modules that are written.
+
+ Returns the names of the modules that are ES modules.
+ */
+function useModuleExtension(modules, names = Object.keys(modules)) {
+    const all = new Set(names);
+    const esModules = new Set(Object.keys(modules).filter(name => isModule(modules[name])));
+
+    esModules.forEach(name => {
+        modules[name].body.filter(statement => statement.module_name).forEach(statement => {
+            const request = statement.module_name.value;
+
+            if (/^\..*\.js$/.test(request) && esModules.has(resolveRequest(all, name, request))) {
+                statement.module_name.value = request.replace(/\.js$/, '.mjs');
+            }
+        });
+    });
+
+    return esModules;
+}
+
+module.exports = {
+    printedName,
+    isSymbol,
+    isRequireCall,
+    reservedWords,
+    analyzeModule,
+    findRequests,
+    isModule,
+    convertModules,
+    useModuleExtension
+};
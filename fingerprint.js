@@ -0,0 +1,306 @@
+/*jslint node: true */
+'use strict';
+
+const Promise = require('bluebird');
+
+const crypto = require('crypto');
+const fs = Promise.promisifyAll(require('fs'));
+const path = require('path');
+
+const semver = require('semver');
+const uglifyES = require('uglify-es');
+
+const {parseCode} = require('./parse');
+
+/*
+ A fingerprint index maps the hash of a normalized module to the published
+ files it was found in:
+
+ {
+   "<sha1>": [{"name": "inherits", "version": "2.0.3", "file": "inherits_browser.js"}]
+ }
+
+ The default index (fingerprints.json) can be extended with indexes built
+ from installed packages with indexPackage. It is only loaded when an index
+ is read.
+ */
+
+const loadDefaultIndex = () => require('./fingerprints.json');
+
+/* Hash a module function after renaming all its variables in order of
+ * appearance, so formatting, comments and the names of local variables (such
+ * as the `require`, `module` and `exports` arguments) don't matter. */
+function fingerprintCode(code) {
+    const ast = parseCode(code);
+    let counter = 0;
+
+    ast.walk(new uglifyES.TreeWalker(node => {
+        if (node instanceof uglifyES.AST_Scope) {
+            node.variables.each(def => {
+                def.mangled_name = `v${counter}`;
+                counter += 1;
+            });
+        }
+    }));
+
+    return crypto.createHash('sha1').update(ast.print_to_string()).digest('hex');
+}
+
+/* Fingerprint of a module function from a bundle. */
+const fingerprintModule = moduleFunction =>
+    fingerprintCode(`(${moduleFunction.print_to_string()})`);
+
+/* Fingerprint of a file of a published package, wrapped the way browserify
+ * wraps modules. */
+const fingerprintSource = source =>
+    fingerprintCode(`(function(require,module,exports){\n${source}\n})`);
+
+function mergeIndex(target, source) {
+    Object.keys(source).forEach(hash => {
+        const files = target[hash] || (target[hash] = []);
+
+        source[hash].forEach(file => {
+            const known = files.some(({name, version, file: filename}) =>
+                name === file.name && version === file.version && filename === file.file);
+
+            if (!known) {
+                files.push(file);
+            }
+        });
+    });
+
+    return target;
+}
+
+/* Read and merge the default index and the given index files (or objects).
+ * Only index files are read from disk. */
+const readIndex = Promise.coroutine(function* (indexes) {
+    const index = mergeIndex({}, loadDefaultIndex());
+    const sources = [].concat(indexes || []);
+    let i;
+
+    for (i = 0; i < sources.length; i += 1) {
+        const source = typeof sources[i] === 'string' ?
+            JSON.parse(yield fs.readFileAsync(sources[i], 'utf8')) :
+            sources[i];
+
+        mergeIndex(index, source);
+    }
+
+    return index;
+});
+
+/* Folders and files of a package that are not bundled: its tests, examples
+ * and benchmarks. */
+const unbundledDirectories = new Set(['test', 'tests', '__tests__', 'spec', 'example', 'examples',
+                                      'benchmark', 'benchmarks', 'bench']);
+const unbundledFile = /^(test|.*[.-](test|spec))\.js$/;
+
+const listFiles = Promise.coroutine(function* (directory, prefix) {
+    const entries = yield fs.readdirAsync(directory);
+    const files = [];
+    let i;
+
+    for (i = 0; i < entries.length; i += 1) {
+        const entry = entries[i];
+        const stat = yield fs.statAsync(path.join(directory, entry));
+
+        if (stat.isDirectory()) {
+            if (entry !== 'node_modules' && !unbundledDirectories.has(entry)) {
+                files.push(...yield listFiles(path.join(directory, entry), path.join(prefix, entry)));
+            }
+        } else if (path.extname(entry) === '.js' && !unbundledFile.test(entry)) {
+            files.push(path.join(prefix, entry));
+        }
+    }
+
+    return files;
+});
+
+/* Build an index of the JavaScript files of an installed package, but not of
+ * its tests, examples and benchmarks. Files that can not be parsed are
+ * skipped. */
+const indexPackage = Promise.coroutine(function* (directory) {
+    const packageJson = JSON.parse(yield fs.readFileAsync(path.join(directory, 'package.json'), 'utf8'));
+    const files = yield listFiles(directory, '');
+    const index = {};
+    let i;
+
+    for (i = 0; i < files.length; i += 1) {
+        const file = files[i].split(path.sep).join('/');
+        let hash;
+
+        try {
+            hash = fingerprintSource(yield fs.readFileAsync(path.join(directory, file), 'utf8'));
+        } catch (e) {
+            continue;
+        }
+
+        mergeIndex(index, {[hash]: [{name: packageJson.name, version: packageJson.version, file}]});
+    }
+
+    return index;
+});
+
+/* Build an index of installed packages: package directories, or node_modules
+ * folders of which all packages (including scoped ones) are indexed. */
+const indexPackages = Promise.coroutine(function* (directories) {
+    const index = {};
+    let i;
+
+    for (i = 0; i < directories.length; i += 1) {
+        const directory = directories[i];
+
+        if (yield isPackage(directory)) {
+            mergeIndex(index, yield indexPackage(directory));
+        } else {
+            mergeIndex(index, yield indexPackages(yield listPackages(directory)));
+        }
+    }
+
+    return index;
+});
+
+const isPackage = directory => fs.statAsync(path.join(directory, 'package.json'))
+    .then(() => true, () => false);
+
+/* The package directories in a node_modules folder. */
+const listPackages = Promise.coroutine(function* (directory) {
+    const entries = (yield fs.readdirAsync(directory)).filter(entry => entry[0] !== '.');
+    const candidates = [];
+    const packages = [];
+    let i;
+
+    for (i = 0; i < entries.length; i += 1) {
+        const entry = path.join(directory, entries[i]);
+
+        if (entries[i][0] === '@') {
+            candidates.push(...(yield fs.readdirAsync(entry)).map(scoped => path.join(entry, scoped)));
+        } else {
+            candidates.push(entry);
+        }
+    }
+
+    for (i = 0; i < candidates.length; i += 1) {
+        if (yield isPackage(candidates[i])) {
+            packages.push(candidates[i]);
+        }
+    }
+
+    return packages;
+});
+
+/* The JSON of an index, sorted so changes to it are easy to review. */
+function formatIndex(index) {
+    const sorted = {};
+
+    Object.keys(index).sort().forEach(hash => {
+        sorted[hash] = index[hash].slice().sort((a, b) =>
+            a.name.localeCompare(b.name) || a.version.localeCompare(b.version) || a.file.localeCompare(b.file));
+    });
+
+    return JSON.stringify(sorted, null, 2) + '\n';
+}
+
+/* Add installed packages (see indexPackages) to an index file, which is
+ * created if it doesn't exist yet. Resolves to the index. */
+const extendIndexFile = Promise.coroutine(function* (filename, directories) {
+    let index = {};
+
+    try {
+        index = JSON.parse(yield fs.readFileAsync(filename, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    mergeIndex(index, yield indexPackages(directories));
+
+    yield fs.writeFileAsync(filename, formatIndex(index));
+
+    return index;
+});
+
+/* Split a module name such as `node_modules/@scope/pkg/lib/foo` into the
+ * (innermost) package name and the file within the package. */
+function splitPackageName(moduleName) {
+    const parts = moduleName.split('/');
+    const i = parts.lastIndexOf('node_modules');
+
+    if (i === -1 || !parts[i + 1]) {
+        return null;
+    }
+
+    const scoped = parts[i + 1][0] === '@' && parts[i + 2];
+    const nameLength = scoped ? 2 : 1;
+
+    return {
+        name: parts.slice(i + 1, i + 1 + nameLength).join('/'),
+        file: parts.slice(i + 1 + nameLength).join('/') + '.js'
+    };
+}
+
+function versionRange(versions) {
+    if (versions.length === 1) {
+        return versions[0];
+    }
+
+    return `${versions[0]} - ${versions[versions.length - 1]}`;
+}
+
+/*
+ Match the modules in `node_modules` against the index. Returns an object of
+ package name to {name, versions, range, matched, modules}, where `versions`
+ are the versions all matched modules of the package are found in, `range` a
+ semver range covering them, and `matched` the number of the package's
+ `modules` that were found in the index. Packages none of whose modules are
+ in the index are left out.
+ */
+function identifyPackages(moduleObject, moduleNames, index) {
+    const packages = {};
+
+    moduleObject.properties.forEach(objectProperty => {
+        const split = splitPackageName(moduleNames[objectProperty.key] || '');
+
+        if (!split) return;
+
+        const pkg = packages[split.name] ||
+            (packages[split.name] = {name: split.name, versions: null, matched: 0, modules: 0});
+        const matches = (index[fingerprintModule(objectProperty.value.elements[0])] || [])
+            .filter(({name}) => name === split.name)
+            .map(({version}) => version);
+
+        pkg.modules += 1;
+
+        if (matches.length) {
+            pkg.matched += 1;
+            pkg.versions = pkg.versions ?
+                pkg.versions.filter(version => matches.indexOf(version) !== -1) :
+                matches;
+        }
+    });
+
+    return Object.keys(packages).reduce((result, name) => {
+        const pkg = packages[name];
+
+        if (pkg.versions && pkg.versions.length) {
+            const versions = semver.sort([...new Set(pkg.versions)]);
+
+            result[name] = Object.assign(pkg, {versions, range: versionRange(versions)});
+        }
+
+        return result;
+    }, {});
+}
+
+module.exports = {
+    fingerprintModule,
+    fingerprintSource,
+    readIndex,
+    mergeIndex,
+    indexPackage,
+    indexPackages,
+    formatIndex,
+    extendIndexFile,
+    splitPackageName,
+    identifyPackages
+};
@@ -0,0 +1,428 @@
+/*jslint node: true */
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+
+const uglifyES = require('uglify-es');
+
+const {isAbsolutePath, commonDirectory, stripExtension} = require('./paths');
+
+/*
+ Each bundle format has a `detect(ast)` function that returns undefined if the
+ AST is not a bundle of that format, or an object with:
+
+ - moduleObject: an AST_Object in the browserify shape, where each key is a
+   module id and each value an array of the module function (with `require`,
+   `module` and `exports` arguments) and an object literal of require names
+   to module ids.
+ - main: an AST_Array with the ids of the entry modules.
+ - names: (optional) an object of module id to module name, for formats that
+   already know the module names.
+
+ Formats are tried in order; custom formats can be added to `formats`.
+ */
+
+const findMainFunction = ast => {
+    let mainFunctionCall;
+
+    const visitor = new uglifyES.TreeWalker(node => {
+        if (node instanceof uglifyES.AST_Call) {
+            assert(mainFunctionCall === undefined, 'More than one top-level function found.');
+
+            mainFunctionCall = node;
+
+            return true;
+        }
+    });
+
+    ast.walk(visitor);
+
+    return mainFunctionCall;
+}
+
+const constantValue = node =>
+    node instanceof uglifyES.AST_Number || node instanceof uglifyES.AST_String ?
+        node.value :
+        undefined;
+
+const idNode = id => typeof id === 'number' ?
+    new uglifyES.AST_Number({value: id}) :
+    new uglifyES.AST_String({value: id});
+
+/* Paths are used as ids by the NamedModulesPlugin and in development mode. */
+const isPathId = id => typeof id === 'string' && /^\.{0,2}\//.test(id);
+
+const requireKey = id => isPathId(id) ? String(id) : `./${id}`;
+
+/* Replace `require(id)` calls that use a module id instead of a name with
+ * `require(key)`, and return the require mapping entries for those keys. */
+function collapseRequires(moduleFunction, requireArg, isModuleId) {
+    const requireDef = requireArg && requireArg.definition();
+    const mapping = [];
+    const seen = new Set();
+
+    if (!requireDef) {
+        return mapping;
+    }
+
+    moduleFunction.walk(new uglifyES.TreeWalker(node => {
+        if (node instanceof uglifyES.AST_Call &&
+                node.expression instanceof uglifyES.AST_SymbolRef &&
+                node.expression.definition() === requireDef &&
+                node.args.length === 1 &&
+                constantValue(node.args[0]) !== undefined &&
+                isModuleId(constantValue(node.args[0]))) {
+            const id = constantValue(node.args[0]);
+            const key = requireKey(id);
+
+            node.args[0] = new uglifyES.AST_String({value: key});
+
+            if (!seen.has(key)) {
+                seen.add(key);
+                mapping.push(new uglifyES.AST_ObjectKeyVal({key, value: idNode(id)}));
+            }
+        }
+    }));
+
+    return mapping;
+}
+
+const isModuleDefinition = value =>
+    value instanceof uglifyES.AST_Array &&
+    value.elements[0] instanceof uglifyES.AST_Lambda &&
+    value.elements[1] instanceof uglifyES.AST_Object;
+
+/*
+ function e(t, n, r){ ... }({ ... }, {}, [ ... ]);
+
+ Where the omitted parts are:
+ 1) Top level implementation of `require`
+ 2) Module source
+ 3) Ids of the `main` module.
+
+ The module source is an object literal, the key is the module's id,
+ the value is an array containing the module function and a object
+ literal of module name to id mappings.
+ */
+const isBrowserifyCall = node =>
+    node instanceof uglifyES.AST_Call &&
+    node.args[0] instanceof uglifyES.AST_Object &&
+    node.args[2] instanceof uglifyES.AST_Array &&
+    node.args[0].properties.every(({value}) => isModuleDefinition(value));
+
+/* Find the prelude call wherever it is. Bundles built with `--standalone`
+ * wrap it in a UMD header, and `require=` is prepended when modules are
+ * exposed (`-r`, factor-bundle), so it is not always the top-level call. */
+const findBundleCall = ast => {
+    let bundleCall;
+
+    ast.walk(new uglifyES.TreeWalker(node => {
+        if (bundleCall) return true;
+
+        if (isBrowserifyCall(node)) {
+            bundleCall = node;
+
+            return true;
+        }
+    }));
+
+    return bundleCall;
+};
+
+/* Module ids are small numbers by default, but `--full-paths` keys modules by
+ * their absolute path, which is turned into a name relative to the directory
+ * shared by all modules. Plugins such as bundle-collapser replace the require
+ * names by (possibly hashed) ids, for which a require mapping is recreated. */
+function normalizeIds(bundle) {
+    const ids = bundle.moduleObject.properties.map(({key}) => key);
+    const idSet = new Set(ids);
+    const names = {};
+
+    if (ids.length && ids.every(isAbsolutePath)) {
+        const absolute = ids.map(id => id.replace(/\\/g, '/'));
+        const root = commonDirectory(absolute);
+
+        ids.forEach((id, i) => {
+            names[id] = stripExtension(path.relative(root, absolute[i]));
+        });
+    }
+
+    bundle.moduleObject.properties.forEach(({value}) => {
+        const [moduleFunction, requireMapping] = value.elements;
+
+        /* bundle-collapser leaves `{"1": 1}` entries behind. */
+        requireMapping.properties = requireMapping.properties.filter(prop =>
+            !(idSet.has(prop.key) && prop.key === String(prop.value.value)));
+
+        const mapped = new Set(requireMapping.properties.map(({key}) => key));
+
+        requireMapping.properties.push(...collapseRequires(
+            moduleFunction,
+            moduleFunction.argnames[0],
+            id => idSet.has(String(id)) && !mapped.has(String(id))
+        ));
+    });
+
+    return Object.assign(bundle, {names});
+}
+
+const browserify = {
+    name: 'browserify',
+
+    detect(ast) {
+        const bundleCall = findBundleCall(ast);
+
+        if (!bundleCall) return;
+
+        const [moduleObject, __nop__, main] = bundleCall.args;
+
+        return normalizeIds({moduleObject, main});
+    }
+};
+
+/* Webpack */
+
+const isModuleFunction = node =>
+    node instanceof uglifyES.AST_Lambda && node.argnames.length <= 3;
+
+/* A webpack module table is either an array of module functions (with holes
+ * for modules that live in other chunks) or an object of id to function. */
+function moduleTableEntries(node) {
+    if (node instanceof uglifyES.AST_Array) {
+        const entries = [];
+
+        node.elements.forEach((element, i) => {
+            if (!(element instanceof uglifyES.AST_Hole)) {
+                entries.push([i, element]);
+            }
+        });
+
+        if (entries.length && entries.every(([id, fn]) => isModuleFunction(fn))) {
+            return entries;
+        }
+    }
+
+    if (node instanceof uglifyES.AST_Object && node.properties.length &&
+            node.properties.every(prop => prop instanceof uglifyES.AST_ObjectKeyVal &&
+                                          isModuleFunction(prop.value))) {
+        return node.properties.map(({key, value}) => [key, value]);
+    }
+}
+
+function moduleNameFromId(id) {
+    return String(id)
+        .replace(/ \+ \d+ modules?$/, '')
+        .replace(/^(\.\/)+/, '')
+        .replace(/\.js$/, '');
+}
+
+/* Turn a webpack module function `function (module, exports, require)` into
+ * the browserify shape: reorder the arguments, replace `require(id)` with
+ * `require(key)` and build the matching require mapping. */
+function normalizeModule(moduleFunction) {
+    const [moduleArg, exportsArg, requireArg] = moduleFunction.argnames;
+
+    if (!Array.isArray(moduleFunction.body)) {
+        const expression = moduleFunction.body;
+
+        moduleFunction.body = [new uglifyES.AST_SimpleStatement({
+            body: expression,
+            start: expression.start,
+            end: expression.end
+        })];
+    }
+
+    const mapping = collapseRequires(moduleFunction, requireArg, () => true);
+
+    const placeholder = name => new uglifyES.AST_SymbolFunarg({name});
+
+    moduleFunction.argnames = [
+        requireArg || placeholder('require'),
+        moduleArg || placeholder('module'),
+        exportsArg || placeholder('exports')
+    ];
+
+    return new uglifyES.AST_Array({
+        elements: [moduleFunction, new uglifyES.AST_Object({properties: mapping})]
+    });
+}
+
+function webpackBundle(entries, mainIds) {
+    const names = {};
+    const mainKeys = mainIds.map(String);
+
+    const properties = entries.map(([id, moduleFunction]) => {
+        if (isPathId(id)) {
+            names[id] = moduleNameFromId(id);
+        } else if (mainKeys.indexOf(String(id)) === -1) {
+            names[id] = String(id);
+        }
+
+        return new uglifyES.AST_ObjectKeyVal({
+            key: String(id),
+            value: normalizeModule(moduleFunction)
+        });
+    });
+
+    const main = new uglifyES.AST_Array({elements: mainIds.map(idNode)});
+
+    return {moduleObject: new uglifyES.AST_Object({properties}), main, names};
+}
+
+/* Calls of the bootstrap's `require` function with a constant id, such as
+ * `__webpack_require__(__webpack_require__.s = 3)` or `o(88)`. */
+function findEntryIds(scope, requireFunction) {
+    const requireDef = requireFunction.name.definition();
+    const ids = [];
+
+    scope.walk(new uglifyES.TreeWalker(node => {
+        if (node instanceof uglifyES.AST_Call &&
+                node.expression instanceof uglifyES.AST_SymbolRef &&
+                node.expression.definition() === requireDef &&
+                node.args.length === 1) {
+            let arg = node.args[0];
+
+            if (arg instanceof uglifyES.AST_Assign &&
+                    arg.left instanceof uglifyES.AST_Dot && arg.left.property === 's') {
+                arg = arg.right;
+            }
+
+            const id = constantValue(arg);
+
+            if (id !== undefined && ids.indexOf(id) === -1) {
+                ids.push(id);
+            }
+        }
+    }));
+
+    return ids;
+}
+
+/* Find the function in the bootstrap that calls into the module table. */
+function findRequireFunction(body, tableName) {
+    let requireFunction;
+
+    body.forEach(statement => {
+        if (requireFunction || !(statement instanceof uglifyES.AST_Defun)) return;
+
+        statement.walk(new uglifyES.TreeWalker(node => {
+            if (node instanceof uglifyES.AST_Sub &&
+                    node.expression instanceof uglifyES.AST_SymbolRef &&
+                    node.expression.name === tableName) {
+                requireFunction = statement;
+            }
+        }));
+    });
+
+    return requireFunction;
+}
+
+/* Webpack 4: `!function(modules){ ... }([ ... ])` */
+function detectWebpack4(call) {
+    const bootstrap = call.expression;
+
+    if (!(bootstrap instanceof uglifyES.AST_Lambda) || call.args.length !== 1 ||
+            !bootstrap.argnames.length) {
+        return;
+    }
+
+    const entries = moduleTableEntries(call.args[0]);
+    const requireFunction = entries && findRequireFunction(bootstrap.body, bootstrap.argnames[0].name);
+
+    if (!requireFunction) return;
+
+    return webpackBundle(entries, findEntryIds(bootstrap, requireFunction));
+}
+
+/* Webpack 5: `(() => { var modules = { ... }; ... })()` */
+function detectWebpack5(call) {
+    const bootstrap = call.expression;
+
+    if (!(bootstrap instanceof uglifyES.AST_Lambda) || call.args.length !== 0) {
+        return;
+    }
+
+    let result;
+
+    bootstrap.body.forEach(statement => {
+        if (result || !(statement instanceof uglifyES.AST_Definitions)) return;
+
+        statement.definitions.forEach(definition => {
+            const entries = !result && definition.value && moduleTableEntries(definition.value);
+            const requireFunction = entries && findRequireFunction(bootstrap.body, definition.name.name);
+
+            if (requireFunction) {
+                result = webpackBundle(entries, findEntryIds(bootstrap, requireFunction));
+            }
+        });
+    });
+
+    return result;
+}
+
+/* Chunks: `(self.webpackChunk = self.webpackChunk || []).push([[ids], { ... }])` */
+function detectWebpackChunk(call) {
+    const callee = call.expression;
+
+    if (!(callee instanceof uglifyES.AST_Dot) || callee.property !== 'push' ||
+            !/webpack(Jsonp|Chunk)/.test(callee.expression.print_to_string()) ||
+            !(call.args[0] instanceof uglifyES.AST_Array)) {
+        return;
+    }
+
+    const [chunkIds, table] = call.args[0].elements;
+    const entries = chunkIds instanceof uglifyES.AST_Array && table && moduleTableEntries(table);
+
+    if (!entries) return;
+
+    return webpackBundle(entries, []);
+}
+
+const webpack = {
+    name: 'webpack',
+
+    detect(ast) {
+        let result;
+
+        ast.walk(new uglifyES.TreeWalker(node => {
+            if (result) return true;
+
+            /* Library bundles wrap the bootstrap call in a UMD header, so
+             * look inside the calls that aren't it. */
+            if (node instanceof uglifyES.AST_Call) {
+                result = detectWebpack4(node) || detectWebpack5(node) || detectWebpackChunk(node);
+
+                return !!result;
+            }
+        }));
+
+        return result;
+    }
+};
+
+const formats = [browserify, webpack];
+
+/* Returns the result of the first format that recognizes the AST, with the
+ * name of the format added as `format`. */
+function detectBundle(ast, bundleFormats) {
+    const candidates = bundleFormats || formats;
+    let i, bundle;
+
+    for (i = 0; i < candidates.length; i += 1) {
+        bundle = candidates[i].detect(ast);
+
+        if (bundle) {
+            return Object.assign({format: candidates[i].name}, bundle);
+        }
+    }
+}
+
+module.exports = {
+    findMainFunction,
+    findBundleCall,
+    detectBundle,
+    formats,
+    browserify,
+    webpack
+};
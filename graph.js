@@ -0,0 +1,264 @@
+/*jslint node: true */
+'use strict';
+
+const path = require('path');
+
+const isBuiltinModule = require('is-builtin-module');
+
+/* Name of a module required as `request` from a module named `parentName`. */
+function requireName(parentName, request) {
+    let name;
+
+    if (request.startsWith('.')) {
+        name = path.join(path.dirname(parentName), request);
+    } else {
+        // Builtin modules could be filtered here, but it's better to
+        // add them so modules can be check to don't have several names
+        // (also as builtins) as a sanity check
+        name = path.join('node_modules', request, 'index');
+    }
+
+    return name.replace(/\.js$/, '');
+}
+
+/* Classify a module by its name: the shim of a Node `builtin` module, a file
+ * of a published `dependency` in node_modules, or a `module` of the bundled
+ * project itself. Returns {kind, package}, where `package` is the name of the
+ * builtin or dependency. */
+function classifyModule(name) {
+    const parts = name.split('/');
+
+    if (parts[0] !== 'node_modules' || !parts[1]) {
+        return {kind: 'module', package: null};
+    }
+
+    if (isBuiltinModule(parts[1])) {
+        return {kind: 'builtin', package: parts[1]};
+    }
+
+    const packageName = parts[1][0] === '@' && parts[2] ? `${parts[1]}/${parts[2]}` : parts[1];
+
+    // npm only allow lowercase named packages
+    if (packageName === packageName.toLowerCase()) {
+        return {kind: 'dependency', package: packageName};
+    }
+
+    return {kind: 'module', package: null};
+}
+
+const segments = name => name.split('/').length;
+
+/* Several require paths can lead to the same module. Prefer the folder form
+ * (`foo/index` over `foo`), then the path with the fewest segments, then the
+ * shortest and alphabetically first one, so the choice does not depend on
+ * the order in which modules are visited. */
+function chooseName(candidates) {
+    return candidates
+        .map(name => candidates.indexOf(`${name}/index`) === -1 ? name : `${name}/index`)
+        .sort((a, b) =>
+            segments(a) - segments(b) ||
+            a.length - b.length ||
+            (a < b ? -1 : (a > b ? 1 : 0)))[0];
+}
+
+/* The number of leading `..` segments of a name. */
+function levelsUp(name) {
+    const parts = name.split(path.sep);
+    let n = 0;
+
+    while (parts[n] === '..') {
+        n += 1;
+    }
+
+    return n;
+}
+
+/* Remove the `./` and `.js` that are allowed in a names file. */
+const normalizeName = name => name.replace(/^(\.\/)+/, '').replace(/\.js$/, '');
+
+/*
+ Build the dependency graph of the modules in the module object and name
+ each module after the path it is required with, starting at the entry ids.
+
+ Modules that already have a name in `knownNames` (provided by the bundle
+ format) or in `overrides` (provided by the user) keep it. Other modules are
+ named when they are first visited, using chooseName on the names they were
+ required with by modules closer to an entry. Modules that can not be reached
+ from any entry or named module are named `orphans/<id>`. Names that only
+ differ in case get a `~<n>` suffix, so they can be written to a case
+ insensitive file system. Requires like `../lib/x` lead out of the directory
+ of the entry, so if any name starts with `..`, all names (but those of the
+ top level node_modules) are moved into as many `src` directories as the
+ deepest one goes up.
+
+ Returns an object with:
+ - nodes: a list of {id, name, entry, orphan} for each module in the bundle.
+ - edges: a list of {from, to, request}, one per require mapping entry.
+ - names: an object of module id to name.
+ - conflicts: a list of {id, names} for modules that are required with more
+   than one name, or were renamed because of case. The first name is the one
+   that was used.
+ */
+function buildModuleGraph(moduleObject, main, knownNames = {}, overrides = {}) {
+    const properties = new Map();
+    const entries = new Set(main.elements.map(element => String(element.value)));
+    const names = {};
+    const fixed = new Set();
+    const candidates = new Map();
+    const edges = [];
+    const visited = new Set();
+    const orphans = new Set();
+
+    moduleObject.properties.forEach(objectProperty => {
+        properties.set(String(objectProperty.key), objectProperty);
+    });
+
+    entries.forEach(id => {
+        names[id] = 'browser';
+    });
+
+    /* Names provided by the bundle format or the user are not second-guessed. */
+    Object.assign(names, knownNames);
+
+    Object.keys(overrides).forEach(id => {
+        names[id] = normalizeName(overrides[id]);
+    });
+
+    Object.keys(names).forEach(id => {
+        if (id in knownNames || id in overrides) {
+            fixed.add(id);
+        }
+    });
+
+    const addCandidate = (id, name) => {
+        const list = candidates.get(id) || [];
+
+        if (list.indexOf(name) === -1) {
+            list.push(name);
+        }
+
+        candidates.set(id, list);
+    };
+
+    const visit = start => {
+        const queue = [start];
+
+        visited.add(start);
+
+        while (queue.length) {
+            const moduleId = queue.shift();
+            const objectProperty = properties.get(moduleId);
+            const requireMapping = objectProperty.value.elements[1];
+
+            if (!names[moduleId]) {
+                names[moduleId] = chooseName(candidates.get(moduleId));
+            }
+
+            requireMapping.properties.forEach(prop => {
+                const request = prop.key;
+                const id = String(prop.value.value);
+
+                edges.push({from: moduleId, to: id, request});
+
+                if (!fixed.has(id)) {
+                    addCandidate(id, requireName(names[moduleId], request));
+                }
+
+                if (properties.has(id) && !visited.has(id)) {
+                    visited.add(id);
+                    queue.push(id);
+                }
+            });
+        }
+    };
+
+    [...entries].filter(id => properties.has(id)).forEach(visit);
+
+    [...fixed]
+        .filter(id => properties.has(id) && !visited.has(id))
+        .forEach(visit);
+
+    properties.forEach((objectProperty, id) => {
+        if (visited.has(id)) return;
+
+        if (!names[id]) {
+            names[id] = `orphans/${id}`;
+            orphans.add(id);
+        }
+
+        visit(id);
+    });
+
+    /* Modules that are required but not in the bundle. */
+    candidates.forEach((list, id) => {
+        if (!names[id]) {
+            names[id] = chooseName(list);
+        }
+    });
+
+    const depth = Math.max(0, ...Object.keys(names).map(id => levelsUp(names[id])));
+
+    if (depth) {
+        const prefix = path.join(...new Array(depth).fill('src'));
+        const shift = name => (name.split(path.sep)[0] === 'node_modules' ? name : path.join(prefix, name));
+
+        Object.keys(names).forEach(id => {
+            names[id] = shift(names[id]);
+        });
+
+        candidates.forEach((list, id) => {
+            candidates.set(id, list.map(shift));
+        });
+    }
+
+    const conflicts = [];
+
+    candidates.forEach((list, id) => {
+        const others = list.filter(name => name.toLowerCase() !== names[id].toLowerCase() &&
+                                           `${name}/index` !== names[id]);
+
+        if (others.length) {
+            conflicts.push({id, names: [names[id], ...others]});
+        }
+    });
+
+    /* Names that only differ in case would overwrite each other on a case
+     * insensitive file system. */
+    const taken = new Map();
+
+    properties.forEach((objectProperty, id) => {
+        const name = names[id];
+        let unique = name, n = 1;
+
+        while (!fixed.has(id) && taken.has(unique.toLowerCase()) &&
+               taken.get(unique.toLowerCase()) !== unique) {
+            n += 1;
+            unique = `${name}~${n}`;
+        }
+
+        if (unique !== name) {
+            names[id] = unique;
+            conflicts.push({id, names: [unique, name]});
+        }
+
+        if (!taken.has(unique.toLowerCase())) {
+            taken.set(unique.toLowerCase(), unique);
+        }
+    });
+
+    const nodes = [...properties.keys()].map(id => ({
+        id,
+        name: names[id],
+        entry: entries.has(id),
+        orphan: orphans.has(id)
+    }));
+
+    return {nodes, edges, names, conflicts};
+}
+
+module.exports = {
+    requireName,
+    classifyModule,
+    chooseName,
+    buildModuleGraph
+};
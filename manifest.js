@@ -0,0 +1,129 @@
+/*jslint node: true */
+'use strict';
+
+const graph = require('./graph');
+
+/* Size in bytes of a module function in the bundle. */
+function moduleSize(moduleFunction) {
+    if (moduleFunction.start && moduleFunction.end && moduleFunction.end.endpos !== undefined) {
+        return moduleFunction.end.endpos - moduleFunction.start.pos;
+    }
+
+    return moduleFunction.print_to_string().length;
+}
+
+/*
+ Describe what unbrowserify would do with the modules in the module object.
+ Returns an object with:
+ - entries: the ids of the entry modules.
+ - modules: a list of {id, name, file, size, entry, orphan, kind, package,
+   emitted, requires} for each module in the bundle, where `kind` and
+   `package` are as returned by graph.classifyModule, `emitted` is false for
+   modules that are not written (builtins and dependencies, unless kept) and
+   `requires` is a list of {request, id, name}.
+ - conflicts: the naming conflicts of the module graph.
+
+ Options:
+ - moduleFile: a function from module name to the file it is written to.
+   Defaults to the name plus `.js`.
+ - keepBuiltins, keepDependencies: see unbrowserify.extractModules.
+ */
+function buildManifest(moduleGraph, moduleObject, options = {}) {
+    const moduleFile = options.moduleFile || (name => name + '.js');
+    const functions = new Map(moduleObject.properties.map(objectProperty =>
+        [String(objectProperty.key), objectProperty.value.elements[0]]));
+
+    const modules = moduleGraph.nodes.map(node => {
+        const {kind, package: packageName} = graph.classifyModule(node.name);
+        const emitted = kind === 'module' ||
+            (kind === 'builtin' && !!options.keepBuiltins) ||
+            (kind === 'dependency' && !!options.keepDependencies);
+
+        return {
+            id: node.id,
+            name: node.name,
+            file: emitted ? moduleFile(node.name) : null,
+            size: moduleSize(functions.get(node.id)),
+            entry: node.entry,
+            orphan: node.orphan,
+            kind,
+            package: packageName,
+            emitted,
+            requires: moduleGraph.edges
+                .filter(edge => edge.from === node.id)
+                .map(({request, to}) => ({request, id: to, name: moduleGraph.names[to]}))
+        };
+    });
+
+    return {
+        entries: moduleGraph.nodes.filter(node => node.entry).map(node => node.id),
+        modules,
+        conflicts: moduleGraph.conflicts
+    };
+}
+
+function describeModule(module) {
+    const details = [`${module.size} B`];
+
+    if (module.kind !== 'module') {
+        details.push(module.kind);
+    }
+
+    if (!module.emitted) {
+        details.push('not written');
+    }
+
+    return `${module.name} [${module.id}] (${details.join(', ')})`;
+}
+
+/* Format a manifest as a dependency tree, starting at the entry modules.
+ * Modules that were already shown are marked with `...` instead of being
+ * expanded again. */
+function formatTree(manifest) {
+    const byId = new Map(manifest.modules.map(module => [module.id, module]));
+    const shown = new Set();
+    const lines = [];
+
+    const visit = (module, label, prefix, childPrefix) => {
+        if (shown.has(module.id)) {
+            lines.push(`${prefix}${label}${describeModule(module)} ...`);
+            return;
+        }
+
+        shown.add(module.id);
+        lines.push(`${prefix}${label}${describeModule(module)}`);
+
+        module.requires.forEach((required, i) => {
+            const last = i === module.requires.length - 1;
+            const branch = childPrefix + (last ? '`-- ' : '|-- ');
+            const request = `${required.request} -> `;
+
+            if (byId.has(required.id)) {
+                visit(byId.get(required.id), request, branch, childPrefix + (last ? '    ' : '|   '));
+            } else {
+                lines.push(`${branch}${request}${required.name} [${required.id}] (missing)`);
+            }
+        });
+    };
+
+    manifest.entries.forEach(id => visit(byId.get(id), '', '', ''));
+
+    /* Modules that can't be reached from an entry. */
+    manifest.modules
+        .filter(module => !shown.has(module.id))
+        .forEach(module => visit(module, '', '', ''));
+
+    if (manifest.conflicts.length) {
+        lines.push('', 'Conflicts:');
+        manifest.conflicts.forEach(({id, names}) => {
+            lines.push(`  [${id}] ${names[0]} (also ${names.slice(1).join(', ')})`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildManifest,
+    formatTree
+};
@@ -0,0 +1,29 @@
+/*jslint node: true */
+'use strict';
+
+const uglifyES = require('uglify-es');
+
+/* Parse code into an AST_Toplevel with its scopes figured out. Goes through
+ * minify (without compressing or mangling anything), so syntax errors come
+ * with the filename. */
+function parseCode(code, filename = 'module.js') {
+    const result = uglifyES.minify({[filename]: code}, {
+        parse: {},
+        compress: false,
+        mangle: false,
+        output: {
+            ast: true,
+            code: false
+        }
+    });
+
+    if (result.error) throw result.error;
+
+    result.ast.figure_out_scope();
+
+    return result.ast;
+}
+
+module.exports = {
+    parseCode
+};
@@ -0,0 +1,139 @@
+/*jslint node: true */
+'use strict';
+
+const Promise = require('bluebird');
+
+const fs = Promise.promisifyAll(require('fs'));
+const path = require('path');
+
+const diff = require('diff');
+const uglifyES = require('uglify-es');
+
+const fingerprint = require('./fingerprint');
+const {parseCode} = require('./parse');
+
+const printOptions = {
+    beautify: true,
+    ascii_only: true,
+    bracketize: true
+};
+
+const printBody = moduleFunction =>
+    new uglifyES.AST_Toplevel({body: moduleFunction.body}).print_to_string(printOptions) + '\n';
+
+/* Print a published file the way the module it was bundled as is printed, so
+ * formatting and comments don't show up in the diff. */
+function printSource(source) {
+    const ast = parseCode(`(function(require,module,exports){\n${source}\n})`, 'published.js');
+
+    return printBody(ast.body[0].body);
+}
+
+const readPackageJson = Promise.coroutine(function* (packageDirectory) {
+    try {
+        return JSON.parse(yield fs.readFileAsync(path.join(packageDirectory, 'package.json'), 'utf8'));
+    } catch (e) {
+        return {};
+    }
+});
+
+function resolveFile(filename) {
+    try {
+        return require.resolve(filename);
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND') throw e;
+
+        return null;
+    }
+}
+
+/* The file of an installed package a module was bundled from. A module named
+ * after the package itself (`node_modules/foo/index`) is the package's entry
+ * point, which browserify looks up in the browser field before main. */
+const resolvePublishedFile = Promise.coroutine(function* (directory, {name, file}) {
+    const packageDirectory = path.resolve(directory, name);
+    const exact = resolveFile(path.join(packageDirectory, file));
+
+    if (exact || file !== 'index.js') {
+        return exact;
+    }
+
+    const packageJson = yield readPackageJson(packageDirectory);
+    const main = resolveFile(path.join(packageDirectory, packageJson.main || 'index'));
+    let browser = packageJson.browser;
+
+    if (browser && typeof browser === 'object' && main) {
+        const mainPath = './' + path.relative(packageDirectory, main).split(path.sep).join('/');
+
+        browser = browser[mainPath] || browser[mainPath.replace(/\.js$/, '')];
+    }
+
+    return typeof browser === 'string' ? resolveFile(path.join(packageDirectory, browser)) : main;
+});
+
+/*
+ Compare the modules of published packages (named `node_modules/<package>/...`)
+ with the files of the packages installed in `directory` (a node_modules
+ folder), to find local patches. Modules whose fingerprint matches the
+ installed file and modules without an installed file are skipped.
+
+ Resolves to a list of {id, name, package, version, file, diff}, where `file`
+ is the path of the installed file relative to `directory`, `version` the
+ installed version and `diff` a unified diff from the installed file to the
+ bundled module.
+ */
+const comparePublished = Promise.coroutine(function* (moduleObject, moduleNames, directory) {
+    const patches = [];
+    let i;
+
+    for (i = 0; i < moduleObject.properties.length; i += 1) {
+        const objectProperty = moduleObject.properties[i];
+        const id = String(objectProperty.key);
+        const name = moduleNames[id];
+        const split = fingerprint.splitPackageName(name || '');
+        const publishedFile = split && (yield resolvePublishedFile(directory, split));
+
+        if (!publishedFile) continue;
+
+        const source = yield fs.readFileAsync(publishedFile, 'utf8');
+        const moduleFunction = objectProperty.value.elements[0];
+        let published;
+
+        try {
+            if (fingerprint.fingerprintSource(source) === fingerprint.fingerprintModule(moduleFunction)) {
+                continue;
+            }
+
+            published = printSource(source);
+        } catch (e) {
+            /* Not JavaScript uglify-es can parse, so it can't be compared. */
+            continue;
+        }
+
+        const file = path.relative(path.resolve(directory), publishedFile).split(path.sep).join('/');
+        const version = (yield readPackageJson(path.resolve(directory, split.name))).version || null;
+
+        patches.push({
+            id,
+            name,
+            package: split.name,
+            version,
+            file,
+            diff: diff.createTwoFilesPatch(
+                `a/node_modules/${file}`, `b/${name}.js`,
+                published, printBody(moduleFunction),
+                version ? `${split.name}@${version}` : split.name, 'bundle')
+        });
+    }
+
+    return patches;
+});
+
+/* All diffs of comparePublished as one patch file. */
+const formatPatches = patches => patches.map(patch => patch.diff).join('');
+
+module.exports = {
+    resolvePublishedFile,
+    comparePublished,
+    formatPatches
+};
@@ -0,0 +1,37 @@
+/*jslint node: true */
+'use strict';
+
+const path = require('path');
+
+const absolutePath = /^([a-z]:)?[\\/]/i;
+
+/* Whether a module id is an absolute path, as with `browserify --full-paths`. */
+const isAbsolutePath = id => typeof id === 'string' && absolutePath.test(id);
+
+/* Longest directory shared by all (absolute) paths. */
+function commonDirectory(paths) {
+    if (!paths.length) {
+        return '/';
+    }
+
+    return paths
+        .map(p => path.dirname(p).split(path.sep))
+        .reduce((common, parts) => {
+            let i = 0;
+            while (i < common.length && common[i] === parts[i]) {
+                i += 1;
+            }
+            return common.slice(0, i);
+        })
+        .join(path.sep) || path.sep;
+}
+
+function stripExtension(filename) {
+    return filename.slice(0, filename.length - path.extname(filename).length);
+}
+
+module.exports = {
+    isAbsolutePath,
+    commonDirectory,
+    stripExtension
+};
@@ -0,0 +1,222 @@
+/*jslint node: true */
+'use strict';
+
+const Promise = require('bluebird');
+
+const path = require('path');
+
+const uglifyES = require('uglify-es');
+const SourceMapGenerator = require('source-map').SourceMapGenerator;
+
+/*
+ Printing of the written modules. Options:
+ - indent: the number of spaces to indent with. Defaults to 4.
+ - quotes: `auto` (double quotes unless single quotes need fewer escapes),
+   `single`, `double` or `original`. Defaults to `auto`.
+ - semicolons: false to leave out the semicolons that end statements, except
+   where the next line would continue the statement. Defaults to true.
+ - maxLineLength: break lines after a comma once they are longer than this.
+   Defaults to no limit.
+ - comments: `some` (license headers: `/*!` comments and comments with
+   @preserve, @license or @cc_on), `all` or false. Defaults to `some`.
+ */
+const defaultOptions = {
+    indent: 4,
+    quotes: 'auto',
+    semicolons: true,
+    maxLineLength: 0,
+    comments: 'some'
+};
+
+const quoteStyles = ['auto', 'single', 'double', 'original'];
+
+const commentStyles = ['some', 'all', false];
+
+const isLicenseComment = (node, comment) =>
+    comment.type === 'comment2' && /^\**!|@preserve|@license|@cc_on/i.test(comment.value);
+
+/* Marks the end of a statement while printing without semicolons. */
+const statementEnd = '\u0000';
+
+/* Characters that continue the previous line as an expression. */
+const continuesExpression = new Set(['(', '[', '`', '+', '-', '*', '/', ',', '.']);
+
+/* The uglify output options for the printer options. Throws for unknown
+ * quote or comment styles. */
+function outputOptions(options = {}) {
+    const {indent, quotes, comments} = Object.assign({}, defaultOptions, options);
+
+    if (quoteStyles.indexOf(quotes) === -1) {
+        throw new Error(`Unknown quote style '${quotes}'`);
+    }
+
+    if (commentStyles.indexOf(comments) === -1) {
+        throw new Error(`Unknown comment style '${comments}'`);
+    }
+
+    return {
+        beautify: true,
+        ascii_only: true,
+        bracketize: true,
+        indent_level: indent,
+        quote_style: quoteStyles.indexOf(quotes),
+        comments: comments === 'some' ? isLicenseComment : comments
+    };
+}
+
+/* Replace the statement ends with the semicolons that are needed: before a
+ * line that would continue the statement, or something on the same line.
+ * Calls removed with the offset of each statement end that is left out. */
+const placeSemicolons = (code, removed = () => undefined) =>
+    code.replace(/\u0000(?=(\s*)([^]?))/g, (match, space, next, offset) => {
+        if (next && (next === statementEnd || continuesExpression.has(next) ||
+                     (space.indexOf('\n') === -1 && next !== '}'))) {
+            return ';';
+        }
+
+        removed(offset);
+        return '';
+    });
+
+/* Print ast with the printer options (and uglify output options), leaving
+ * the statement ends to placeSemicolons. */
+function print(ast, options, extraOptions = {}) {
+    const {indent, semicolons, maxLineLength} = Object.assign({}, defaultOptions, options);
+
+    /* uglify doesn't export its output stream, so the stream is changed
+     * when print_to_string passes it to ast. */
+    ast.print = function (stream, ...args) {
+        delete ast.print;
+        customizeStream(stream, {indent, semicolons, maxLineLength});
+        return this.print(stream, ...args);
+    };
+
+    return ast.print_to_string(Object.assign(outputOptions(options), extraOptions));
+}
+
+/* Print the code of ast with the printer options. */
+const printCode = (ast, options = {}) => placeSemicolons(print(ast, options));
+
+/*
+ Print the code of ast with a source map from the code to the positions of
+ its tokens in the code it was parsed from (the bundle). Returns {code, map}
+ where map is a source map object for `file`, the name of the file the code
+ is written to.
+ */
+function printCodeWithSourceMap(ast, options = {}, file = null) {
+    const mappings = [];
+    const marked = print(ast, options, {
+        source_map: {
+            add: (source, line, column, originalLine, originalColumn, name) => {
+                mappings.push({source, line, column, originalLine, originalColumn, name});
+            }
+        }
+    });
+
+    /* Columns move left for each statement end left out before them. */
+    const lineStarts = [0];
+    const removed = new Map();
+    let i;
+
+    for (i = marked.indexOf('\n'); i !== -1; i = marked.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
+    }
+
+    const code = placeSemicolons(marked, offset => {
+        const line = lineStarts.filter(start => start <= offset).length;
+
+        removed.set(line, [...(removed.get(line) || []), offset - lineStarts[line - 1]]);
+    });
+
+    const generator = new SourceMapGenerator({file});
+
+    mappings.forEach(({source, line, column, originalLine, originalColumn, name}) => {
+        const shift = (removed.get(line) || []).filter(offset => offset < column).length;
+
+        generator.addMapping({
+            generated: {line, column: column - shift},
+            original: {line: originalLine, column: originalColumn},
+            source,
+            name: name || undefined
+        });
+    });
+
+    return {code, map: generator.toJSON()};
+}
+
+function customizeStream(stream, {indent, semicolons, maxLineLength}) {
+    if (!semicolons) {
+        stream.semicolon = () => {
+            stream.print(stream.parent(-1) instanceof uglifyES.AST_EmptyStatement ? ';' : statementEnd);
+        };
+    }
+
+    if (maxLineLength) {
+        stream.comma = () => {
+            stream.print(',');
+
+            if (stream.col() > maxLineLength) {
+                stream.newline();
+                stream.indent();
+                stream.print(' '.repeat(indent));
+            } else {
+                stream.space();
+            }
+        };
+    }
+}
+
+/* A formatter: an object with a Prettier compatible format(code, options)
+ * function, or the name of a module that exports one (resolved from the
+ * current directory first). */
+function loadFormatter(formatter) {
+    if (typeof formatter !== 'string') {
+        return formatter;
+    }
+
+    let resolved;
+
+    try {
+        resolved = require.resolve(formatter, {paths: [process.cwd(), __dirname]});
+    } catch (e) {
+        throw new Error(`Unable to find the formatter '${formatter}'`);
+    }
+
+    return require(resolved);
+}
+
+/*
+ Hand code printed by printCode to a formatter (see loadFormatter), with the
+ printer options as Prettier options. Resolves to the formatted code.
+ */
+function formatCode(code, filename, formatter, options = {}) {
+    return Promise.try(() => {
+        const {indent, quotes, semicolons, maxLineLength} = Object.assign({}, defaultOptions, options);
+        const formatterOptions = {
+            filepath: path.extname(filename) ? filename : `${filename}.js`,
+            tabWidth: indent,
+            semi: semicolons
+        };
+
+        if (quotes === 'single' || quotes === 'double') {
+            formatterOptions.singleQuote = quotes === 'single';
+        }
+
+        if (maxLineLength) {
+            formatterOptions.printWidth = maxLineLength;
+        }
+
+        return loadFormatter(formatter).format(code, formatterOptions);
+    });
+}
+
+module.exports = {
+    defaultOptions,
+    quoteStyles,
+    commentStyles,
+    outputOptions,
+    printCode,
+    printCodeWithSourceMap,
+    loadFormatter,
+    formatCode
+};
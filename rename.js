@@ -0,0 +1,303 @@
+/*jslint node: true */
+'use strict';
+
+const uglifyES = require('uglify-es');
+
+const esm = require('./esm');
+
+const {printedName, isSymbol, isRequireCall} = esm;
+
+/*
+ Give the short names a minifier leaves behind a name inferred from how they
+ are used, the same way renameArguments names the module arguments: by setting
+ the mangled name of their definition, which the printer prefers.
+
+ - `var e = require("./foo-bar")` becomes fooBar.
+ - Loop counters become i, j, k and so on.
+ - `var t = this` becomes self.
+ - `var e = new Foo()` becomes foo.
+ - Parameters are named after what they are used for: `e.preventDefault()`
+   makes an event, `e.then()` a promise, `e()` a callback and so on. Caught
+   errors become error.
+
+ A name is only used if the definition is the only one that name refers to
+ anywhere it is visible, otherwise a number is added (foo2, j).
+ */
+
+const minified = /^[A-Za-z_$][\w$]?$/;
+
+/* Short names people write themselves. */
+const meaningfulNames = new Set(['i', 'j', 'k', 'x', 'y', 'z', 'id', 'el', 'fs', 'db', 'fn', 'cb', 'io', 'os', 'ok', '$', '_']);
+
+const loopCounters = ['i', 'j', 'k', 'l', 'm', 'n'];
+
+/* Names for parameters by the properties that are used on them, in order of
+ * preference. */
+const parameterRoles = [
+    ['event', ['preventDefault', 'stopPropagation', 'target', 'currentTarget', 'keyCode', 'which']],
+    ['promise', ['then']],
+    ['element', ['appendChild', 'addEventListener', 'setAttribute', 'getAttribute', 'classList', 'innerHTML']],
+    ['node', ['nodeType', 'parentNode', 'childNodes', 'nodeName']],
+    ['array', ['push', 'forEach', 'filter', 'reduce', 'splice']],
+    ['string', ['charAt', 'charCodeAt', 'toLowerCase', 'toUpperCase']]
+];
+
+/* `./lib/foo-bar.js` => fooBar, `./foo/index` => foo */
+function nameFromRequest(request) {
+    const parts = request.replace(/\.js$/, '').split('/').filter(part => part && part !== '.' && part !== '..');
+    let last = parts.pop();
+
+    if (last === 'index' && parts.length) {
+        last = parts.pop();
+    }
+
+    return camelCase(last || '');
+}
+
+function camelCase(name) {
+    const words = name.split(/[^A-Za-z0-9_$]+/).filter(Boolean);
+    const joined = words.map((word, i) => (i ? word[0].toUpperCase() + word.slice(1) : word)).join('');
+
+    return /^[0-9]/.test(joined) ? '_' + joined : joined;
+}
+
+/* `Foo` => foo */
+const nameFromClass = name => name[0].toLowerCase() + name.slice(1);
+
+const isIdentifier = name => /^[A-Za-z_$][\w$]*$/.test(name) && !esm.reservedWords.has(name);
+
+/* Whether a statement or expression changes the value of def, as the step of
+ * a loop does. */
+function updates(node, def) {
+    let found = false;
+
+    if (!node) return false;
+
+    node.walk(new uglifyES.TreeWalker(child => {
+        if ((child instanceof uglifyES.AST_Unary && ['++', '--'].indexOf(child.operator) !== -1 &&
+             child.expression.thedef === def) ||
+                (child instanceof uglifyES.AST_Assign && child.operator !== '=' && child.left.thedef === def)) {
+            found = true;
+        }
+    }));
+
+    return found;
+}
+
+/* The definitions of the loop counters a for statement initialises. */
+function loopCountersOf(loop) {
+    const init = loop.init instanceof uglifyES.AST_SimpleStatement ? loop.init.body : loop.init;
+    const initialised = [];
+
+    if (init instanceof uglifyES.AST_Definitions) {
+        init.definitions.forEach(def => initialised.push(def.name));
+    } else if (init instanceof uglifyES.AST_Assign && init.operator === '=') {
+        initialised.push(init.left);
+    } else if (init instanceof uglifyES.AST_Sequence) {
+        init.expressions.filter(expression => expression instanceof uglifyES.AST_Assign && expression.operator === '=')
+            .forEach(expression => initialised.push(expression.left));
+    }
+
+    return initialised
+        .filter(symbol => symbol instanceof uglifyES.AST_Symbol && symbol.thedef && updates(loop.step, symbol.thedef))
+        .map(symbol => symbol.thedef);
+}
+
+/*
+ Walk the code once, to find the symbols of each definition (and the scopes
+ they are in) and what it can be named after.
+ */
+function collect(node) {
+    const defs = new Map();
+    const scopes = [];
+    const unresolved = [];
+    let dynamic = false;
+
+    const info = def => {
+        if (!defs.has(def)) {
+            defs.set(def, {symbols: [], hint: null, hintAssigned: false, properties: new Set(), called: false, assigned: 0});
+        }
+
+        return defs.get(def);
+    };
+
+    const walker = new uglifyES.TreeWalker((child, descend) => {
+        const parent = walker.parent();
+
+        if (child instanceof uglifyES.AST_Scope) {
+            scopes.push(child);
+            descend();
+            scopes.pop();
+            return true;
+        }
+
+        if (child instanceof uglifyES.AST_With || isSymbol(child, 'eval')) {
+            dynamic = true;
+        }
+
+        if (child instanceof uglifyES.AST_For) {
+            loopCountersOf(child).forEach(def => {
+                info(def).loop = true;
+            });
+        }
+
+        if (!(child instanceof uglifyES.AST_Symbol) || child instanceof uglifyES.AST_Label ||
+                child instanceof uglifyES.AST_LabelRef) {
+            return;
+        }
+
+        const def = child.thedef;
+
+        if (!def || def.undeclared) {
+            unresolved.push({name: printedName(child), scopes: scopes.slice()});
+            return;
+        }
+
+        const data = info(def);
+
+        data.symbols.push({symbol: child, scopes: scopes.slice()});
+
+        if (child instanceof uglifyES.AST_SymbolRef) {
+            if (parent instanceof uglifyES.AST_Dot && parent.expression === child) {
+                data.properties.add(parent.property);
+            } else if (parent instanceof uglifyES.AST_Call && parent.expression === child) {
+                data.called = true;
+            } else if ((parent instanceof uglifyES.AST_Assign && parent.left === child) ||
+                       (parent instanceof uglifyES.AST_Unary && ['++', '--'].indexOf(parent.operator) !== -1)) {
+                data.assigned += 1;
+
+                if (parent.operator === '=' && parent.right instanceof uglifyES.AST_This && !data.hint) {
+                    data.hint = 'self';
+                    data.hintAssigned = true;
+                }
+            }
+        }
+
+        if (parent instanceof uglifyES.AST_VarDef && parent.name === child && parent.value) {
+            const value = parent.value;
+
+            if (isRequireCall(value)) {
+                data.hint = nameFromRequest(value.args[0].value);
+            } else if (value instanceof uglifyES.AST_This) {
+                data.hint = 'self';
+            } else if (value instanceof uglifyES.AST_New && value.expression instanceof uglifyES.AST_SymbolRef &&
+                       !minified.test(printedName(value.expression))) {
+                data.hint = nameFromClass(printedName(value.expression));
+            }
+        }
+
+        if (child instanceof uglifyES.AST_SymbolCatch) {
+            data.hint = 'error';
+        }
+    });
+
+    node.walk(walker);
+
+    return {defs, unresolved, dynamic};
+}
+
+/* The name a definition is inferred to have, if any. */
+function inferName(def, data) {
+    if (data.loop) return loopCounters[0];
+
+    /* The variable has to keep the value it is named after. */
+    if (data.hint && (data.hint === 'error' || data.assigned === (data.hintAssigned ? 1 : 0))) {
+        return data.hint;
+    }
+
+    if (def.orig[0] instanceof uglifyES.AST_SymbolFunarg) {
+        const role = parameterRoles.find(([, properties]) =>
+            properties.some(property => data.properties.has(property)));
+
+        if (role) return role[0];
+        if (data.called && !data.properties.size) return 'callback';
+    }
+
+    return null;
+}
+
+/* Names to try for a definition: the inferred name, then the inferred name
+ * with a number (or the next loop counter). */
+function* candidates(name) {
+    let i;
+
+    if (loopCounters.indexOf(name) !== -1) {
+        yield* loopCounters;
+    } else {
+        yield name;
+    }
+
+    for (i = 2; ; i += 1) {
+        yield name + i;
+    }
+}
+
+/*
+ Rename the minified local variables in node (a module or a block of code
+ after figure_out_scope) after what they are used for. Code that uses eval or
+ with is left alone, as is every name that can't be inferred.
+ */
+function renameLocals(node) {
+    const {defs, unresolved, dynamic} = collect(node);
+
+    if (dynamic) return;
+
+    /* The names that are visible in each scope (and the scopes inside it),
+     * by the definitions they refer to. Names that don't refer to a
+     * definition count as well. */
+    const visible = new Map();
+    const see = (scopes, name, key) => {
+        [node].concat(scopes).forEach(scope => {
+            if (!visible.has(scope)) visible.set(scope, new Map());
+
+            const names = visible.get(scope);
+
+            if (!names.has(name)) names.set(name, new Set());
+            names.get(name).add(key);
+        });
+    };
+    const unsee = (scopes, name, key) => {
+        [node].concat(scopes).forEach(scope => {
+            visible.get(scope).get(name).delete(key);
+        });
+    };
+
+    unresolved.forEach(({name, scopes}) => see(scopes, name, name));
+    defs.forEach((data, def) => data.symbols.forEach(({symbol, scopes}) => see(scopes, printedName(symbol), def)));
+
+    defs.forEach((data, def) => {
+        const current = def.mangled_name || def.name;
+
+        if (def.mangled_name || !minified.test(current) || meaningfulNames.has(current)) return;
+
+        const name = inferName(def, data);
+
+        if (!name || !isIdentifier(name) || name === current) return;
+
+        /* The scope the definition is visible in, if it is part of node. */
+        const scope = visible.has(def.scope) ? def.scope : node;
+        const isFree = candidate => {
+            const keys = visible.get(scope).get(candidate);
+
+            return isIdentifier(candidate) && (!keys || [...keys].every(key => key === def));
+        };
+        let candidate;
+
+        for (candidate of candidates(name)) {
+            if (candidate === current || isFree(candidate)) break;
+        }
+
+        if (candidate === current) return;
+
+        def.mangled_name = candidate;
+        data.symbols.forEach(({scopes}) => {
+            unsee(scopes, current, def);
+            see(scopes, candidate, def);
+        });
+    });
+}
+
+module.exports = {
+    nameFromRequest,
+    renameLocals
+};
@@ -0,0 +1,214 @@
+/*jslint node: true */
+'use strict';
+
+const Promise = require('bluebird');
+
+const fs = Promise.promisifyAll(require('fs'));
+const http = require('http');
+const https = require('https');
+
+const registryUrl = require('registry-url');
+
+/*
+ A version resolver has a `name` and a `resolve(packageName)` function that
+ returns a promise of the version range to write into package.json, or null
+ if it doesn't know the package (`*` is written then).
+
+ Built in resolvers:
+ - offline: never knows a package.
+ - lockfile:<path>: the versions in a package-lock.json or yarn.lock.
+ - registry:<url>: the latest version in a (local) registry mirror.
+ - network: the latest version in the npm registry (the one npm is
+   configured with, see registry-url). This is the default.
+
+ The resolvers that make requests give up on a package after `timeout`
+ milliseconds (requestTimeout by default).
+ */
+
+const requestTimeout = 10000;
+
+const timeoutError = (what, timeout) => new Error(`${what}: no response within ${timeout / 1000} s`);
+
+const offline = () => ({
+    name: 'offline',
+    resolve: () => Promise.resolve(null)
+});
+
+/* Versions of the top-level packages in a package-lock.json (v1 to v3). */
+function npmLockVersions(lock) {
+    const versions = {};
+
+    Object.keys(lock.dependencies || {}).forEach(name => {
+        versions[name] = lock.dependencies[name].version;
+    });
+
+    Object.keys(lock.packages || {}).forEach(key => {
+        const match = /^node_modules\/((@[^/]+\/)?[^/]+)$/.exec(key);
+
+        if (match && lock.packages[key].version) {
+            versions[match[1]] = lock.packages[key].version;
+        }
+    });
+
+    return versions;
+}
+
+/* Versions in a yarn.lock, where each entry starts with the (quoted) list of
+ * `name@range` specs it resolves, followed by an indented `version` line. */
+function yarnLockVersions(content) {
+    const versions = {};
+    let names = [];
+
+    content.split('\n').forEach(line => {
+        let match;
+
+        if (/^[^\s#].*:$/.test(line)) {
+            names = line.slice(0, -1).split(',').map(spec => {
+                spec = spec.trim().replace(/^"|"$/g, '');
+
+                return spec.slice(0, spec.lastIndexOf('@'));
+            });
+        } else if ((match = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line))) {
+            names.forEach(name => {
+                versions[name] = versions[name] || match[1];
+            });
+            names = [];
+        }
+    });
+
+    return versions;
+}
+
+function lockfile(filename) {
+    let versions;
+
+    const readVersions = () => {
+        versions = versions || fs.readFileAsync(filename, 'utf8').then(content =>
+            content.trim().startsWith('{') ?
+                npmLockVersions(JSON.parse(content)) :
+                yarnLockVersions(content));
+
+        return versions;
+    };
+
+    return {
+        name: 'lockfile',
+        resolve: packageName => readVersions().then(known => known[packageName] || null)
+    };
+}
+
+function getJson(url, timeout = requestTimeout) {
+    return new Promise((resolve, reject) => {
+        const request = (url.startsWith('https:') ? https : http).get(url, response => {
+            let body = '';
+
+            if (response.statusCode === 404) {
+                response.resume();
+                return resolve(null);
+            }
+
+            if (response.statusCode !== 200) {
+                response.resume();
+                return reject(new Error(`${url}: ${response.statusCode} ${response.statusMessage}`));
+            }
+
+            response.setEncoding('utf8');
+            response.on('error', reject);
+            response.on('data', chunk => {
+                body += chunk;
+            });
+            response.on('end', () => {
+                try {
+                    resolve(JSON.parse(body));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+
+        request.on('error', reject);
+        request.setTimeout(timeout, () => {
+            request.destroy(timeoutError(url, timeout));
+        });
+    });
+}
+
+function registry(url, timeout = requestTimeout) {
+    const base = url.replace(/\/+$/, '');
+
+    return {
+        name: 'registry',
+        resolve: packageName =>
+            getJson(`${base}/${packageName.replace('/', '%2f')}`, timeout).then(metadata => {
+                const latest = metadata && metadata['dist-tags'] && metadata['dist-tags'].latest;
+
+                return latest ? `^${latest}` : null;
+            })
+    };
+}
+
+/* Scoped packages can have a registry of their own. */
+const network = (timeout = requestTimeout) => ({
+    name: 'network',
+    resolve: packageName => {
+        const scope = packageName.startsWith('@') ? packageName.split('/')[0] : undefined;
+
+        return registry(registryUrl(scope), timeout).resolve(packageName);
+    }
+});
+
+/* Create a resolver from a name such as `offline`, `lockfile:package-lock.json`
+ * or `registry:http://localhost:4873`. Resolver objects are returned as is. */
+function createResolver(spec) {
+    if (spec && typeof spec.resolve === 'function') {
+        return spec;
+    }
+
+    const [name, ...rest] = String(spec || 'network').split(':');
+    const argument = rest.join(':');
+
+    switch (name) {
+    case 'offline':
+        return offline();
+    case 'lockfile':
+        return lockfile(argument || 'package-lock.json');
+    case 'registry':
+        return registry(argument || 'http://localhost:4873');
+    case 'network':
+        return network();
+    default:
+        throw new Error(`Unknown version resolver '${spec}'.`);
+    }
+}
+
+/* Resolve the versions of the given packages. Packages identified by their
+ * fingerprint (see fingerprint.identifyPackages) get the identified range;
+ * packages the resolver fails on or doesn't know get `*`, and the failure is
+ * passed to `warn`. */
+function resolveVersions(names, resolver, packages = {}, warn = console.warn) {
+    return Promise.all(names.map(name => {
+        if (packages[name]) {
+            return packages[name].range;
+        }
+
+        return Promise.resolve(resolver.resolve(name))
+            .catch(e => {
+                warn('Unable to resolve the version of %s: %s', name, e.message);
+
+                return null;
+            })
+            .then(version => version || '*');
+    }))
+    .then(versions => names.reduce((result, name, i) =>
+        Object.assign(result, {[name]: versions[i]}), {}));
+}
+
+module.exports = {
+    requestTimeout,
+    offline,
+    lockfile,
+    registry,
+    network,
+    createResolver,
+    resolveVersions
+};
@@ -0,0 +1,193 @@
+/*jslint node: true */
+'use strict';
+
+const Promise = require('bluebird');
+
+const fs = Promise.promisifyAll(require('fs'));
+const path = require('path');
+
+const SourceMapConsumer = require('source-map').SourceMapConsumer;
+
+const {commonDirectory, stripExtension} = require('./paths');
+
+const sourceMappingURL = /\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/;
+const dataURL = /^data:[^,]*?(;base64)?,(.*)$/;
+const urlScheme = /^[a-z][\w+.-]*:\/\/[^/]*/i;
+
+/* Modules browserify substitutes for `false` in a browser field or for
+ * builtins without a shim. They are not part of the bundled project. */
+const emptyModule = /(browser-resolve\/empty|browserify\/lib\/_empty)\.js$/;
+
+/* Find the last `//# sourceMappingURL=` comment in the code. */
+function findSourceMappingURL(code) {
+    const lines = code.split('\n');
+    let i, match;
+
+    for (i = lines.length - 1; i >= 0; i -= 1) {
+        match = sourceMappingURL.exec(lines[i]);
+        if (match) {
+            return match[1];
+        }
+    }
+
+    return null;
+}
+
+const decodeDataURL = match => match[1] ?
+    Buffer.from(match[2], 'base64').toString('utf8') :
+    decodeURIComponent(match[2]);
+
+/* The source map of the bundle if it is inline as a data URL, or null. */
+function inlineSourceMap(code) {
+    const url = findSourceMappingURL(code);
+    const match = url && dataURL.exec(url);
+
+    return match ? new SourceMapConsumer(JSON.parse(decodeDataURL(match))) : null;
+}
+
+/* Read the source map referenced by the bundle, either inline as a data
+ * URL or as a file next to the bundle. Resolves to null if there is none. */
+const readSourceMap = Promise.coroutine(function* (code, filename) {
+    const url = findSourceMappingURL(code);
+    let json;
+
+    if (!url) {
+        return null;
+    }
+
+    if (dataURL.test(url)) {
+        return inlineSourceMap(code);
+    }
+
+    try {
+        json = yield fs.readFileAsync(path.resolve(path.dirname(filename), url), 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return null;
+        }
+        throw e;
+    }
+
+    return new SourceMapConsumer(JSON.parse(json));
+});
+
+/* Position in the bundle of the first bit of code that belongs to the module
+ * itself. The `function(require,module,exports){` header is usually mapped to
+ * the prelude, so look at the body instead. */
+function modulePosition(moduleFunction) {
+    const token = moduleFunction.body.length ?
+        moduleFunction.body[0].start :
+        moduleFunction.end;
+
+    return {line: token.line, column: token.col};
+}
+
+/* Use the source map to find the original file of each module in the module
+ * object. Returns a list of {id, absolute, content}, where `absolute` is the
+ * resolved path of the original file and `content` its original source (or
+ * null if the map has no sourcesContent).
+ */
+function findModuleSources(moduleObject, consumer, filename) {
+    /* The consumer already prefixes sources with the map's sourceRoot. */
+    const base = filename ? path.dirname(path.resolve(filename)) : process.cwd();
+    const found = [];
+
+    moduleObject.properties.forEach(objectProperty => {
+        const moduleFunction = objectProperty.value.elements[0];
+        const original = consumer.originalPositionFor(modulePosition(moduleFunction));
+
+        if (!original.source || emptyModule.test(original.source)) {
+            return;
+        }
+
+        found.push({
+            id: objectProperty.key,
+            absolute: path.resolve(base, original.source.replace(urlScheme, '')),
+            content: consumer.sourceContentFor(original.source, true)
+        });
+    });
+
+    return found;
+}
+
+/* Make the paths found by findModuleSources relative to their common
+ * directory. Returns an object of module id to {name, file, content}, where
+ * `name` is the module name (without extension, as used by
+ * extractModuleNames) and `file` the relative path of the original file.
+ */
+function nameModuleSources(found) {
+    const root = commonDirectory(found.map(({absolute}) => absolute));
+
+    return found.reduce((sources, {id, absolute, content}) => {
+        const file = path.relative(root, absolute);
+
+        sources[id] = {name: stripExtension(file), file, content};
+
+        return sources;
+    }, {});
+}
+
+function mapModuleSources(moduleObject, consumer, filename) {
+    return nameModuleSources(findModuleSources(moduleObject, consumer, filename));
+}
+
+/* Point to the source map of a written module, which is written next to it
+ * as `<file>.map`. */
+const withSourceMappingURL = (code, file) =>
+    `${code}\n//# sourceMappingURL=${encodeURI(path.basename(file))}.map`;
+
+/* A copy of a source map of a module with its sources (the bundles) relative
+ * to the directory the map is written to. Standard input stays `-`. */
+function relativeSources(map, directory) {
+    return Object.assign({}, map, {
+        sources: map.sources.map(source => (source === '-' ?
+            source :
+            path.relative(path.resolve(directory), path.resolve(source)).split(path.sep).join('/')))
+    });
+}
+
+/*
+ Find where a position in a bundle ended up, using the source maps of the
+ modules (an object of module file to source map, as returned by unpackBundles
+ with the `sourceMaps` option). The line is 1-based and the column 0-based.
+ Returns {file, line, column, name} for the closest mapped position at or
+ before the given one, or null if no module comes before it.
+ */
+function findRecoveredPosition(sourceMaps, bundle, {line, column}) {
+    const target = path.resolve(bundle);
+    let found = null;
+
+    Object.keys(sourceMaps).forEach(file => {
+        new SourceMapConsumer(sourceMaps[file]).eachMapping(mapping => {
+            if (!mapping.source || path.resolve(mapping.source) !== target ||
+                    mapping.originalLine > line ||
+                    (mapping.originalLine === line && mapping.originalColumn > column)) {
+                return;
+            }
+
+            if (!found || mapping.originalLine > found.originalLine ||
+                    (mapping.originalLine === found.originalLine && mapping.originalColumn > found.originalColumn)) {
+                found = Object.assign({file}, mapping);
+            }
+        });
+    });
+
+    return found && {
+        file: found.file,
+        line: found.generatedLine,
+        column: found.generatedColumn,
+        name: found.name
+    };
+}
+
+module.exports = {
+    findSourceMappingURL,
+    inlineSourceMap,
+    readSourceMap,
+    findModuleSources,
+    nameModuleSources,
+    mapModuleSources,
+    withSourceMappingURL,
+    relativeSources,
+    findRecoveredPosition
+};
@@ -0,0 +1,3 @@
+var platform = require("./lib/node.js");
+var WebSocket = require("ws");
+console.log(platform, WebSocket);
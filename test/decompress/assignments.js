@@ -0,0 +1,35 @@
+test1: {
+    input: {
+        a = b = c;
+        x.y = z = w;
+        this.v = u = t();
+    }
+    expect: {
+        b = c;
+        a = b;
+        z = w;
+        x.y = z;
+        u = t();
+        this.v = u;
+    }
+}
+
+keep: {
+    description: "Chains that can't be split safely are kept";
+    input: {
+        a[b()] = c = d;
+        a = b.c = d;
+        a += b = c;
+        o.p = b = g();
+        this.o.p = b = g();
+        x.y = z = w = 0;
+    }
+    expect: {
+        a[b()] = c = d;
+        a = b.c = d;
+        a += b = c;
+        o.p = b = g();
+        this.o.p = b = g();
+        x.y = z = w = 0;
+    }
+}
@@ -0,0 +1,169 @@
+babel_async_function: {
+    description: "babel async functions compiled to regenerator";
+    options = {async: true};
+    input: {
+        function asyncGeneratorStep(gen, resolve, reject, _next, _throw, key, arg) { var info = gen[key](arg); var value = info.value; if (info.done) { resolve(value); } else { Promise.resolve(value).then(_next, _throw); } }
+        function _asyncToGenerator(fn) { return function () { var self = this, args = arguments; return new Promise(function (resolve, reject) { var gen = fn.apply(self, args); function _next(value) { asyncGeneratorStep(gen, resolve, reject, _next, _throw, "next", value); } function _throw(err) { asyncGeneratorStep(gen, resolve, reject, _next, _throw, "throw", err); } _next(undefined); }); }; }
+        function load(_x) {
+            return _load.apply(this, arguments);
+        }
+        function _load() {
+            _load = _asyncToGenerator(regeneratorRuntime.mark(function _callee(url) {
+                var response;
+                return regeneratorRuntime.wrap(function _callee$(_context) {
+                    while (1) {
+                        switch (_context.prev = _context.next) {
+                            case 0:
+                                _context.next = 2;
+                                return fetch(url);
+                            case 2:
+                                response = _context.sent;
+                                _context.next = 5;
+                                return response.json();
+                            case 5:
+                                return _context.abrupt("return", _context.sent.items);
+                            case 6:
+                            case "end":
+                                return _context.stop();
+                        }
+                    }
+                }, _callee);
+            }));
+            return _load.apply(this, arguments);
+        }
+        var save = function () {
+            var _ref = _asyncToGenerator(regeneratorRuntime.mark(function _callee2(item) {
+                return regeneratorRuntime.wrap(function _callee2$(_context2) {
+                    while (1) {
+                        switch (_context2.prev = _context2.next) {
+                            case 0:
+                                _context2.next = 2;
+                                return store.put(item);
+                            case 2:
+                            case "end":
+                                return _context2.stop();
+                        }
+                    }
+                }, _callee2);
+            }));
+            return function save(_x2) {
+                return _ref.apply(this, arguments);
+            };
+        }();
+    }
+    expect: {
+        async function load(url) {
+            var response;
+            response = await fetch(url);
+            return (await response.json()).items;
+        }
+        var save = async function save(item) {
+            await store.put(item);
+        };
+    }
+}
+
+babel_async_generator: {
+    description: "babel async functions compiled for engines with generators";
+    options = {async: true};
+    input: {
+        function _asyncToGenerator(fn) { return function () { var self = this, args = arguments; return new Promise(function (resolve, reject) { var gen = fn.apply(self, args); gen.next(); }); }; }
+        var fetchAll = _asyncToGenerator(function* (urls) {
+            return yield Promise.all(urls);
+        });
+    }
+    expect: {
+        var fetchAll = async function (urls) {
+            return await Promise.all(urls);
+        };
+    }
+}
+
+branches: {
+    description: "State machines with branches are left alone";
+    options = {async: true};
+    input: {
+        var retry = regeneratorRuntime.mark(function _callee() {
+            return regeneratorRuntime.wrap(function _callee$(_context) {
+                while (1) {
+                    switch (_context.prev = _context.next) {
+                        case 0:
+                            if (!ready) {
+                                _context.next = 3;
+                                break;
+                            }
+                            _context.next = 3;
+                            return go();
+                        case 3:
+                        case "end":
+                            return _context.stop();
+                    }
+                }
+            }, _callee);
+        });
+    }
+    expect: {
+        var retry = regeneratorRuntime.mark(function _callee() {
+            return regeneratorRuntime.wrap(function _callee$(_context) {
+                while (1) {
+                    switch (_context.prev = _context.next) {
+                      case 0:
+                        if (!ready) {
+                            _context.next = 3;
+                            break;
+                        }
+                        _context.next = 3;
+                        return go();
+
+                      case 3:
+                      case "end":
+                        return _context.stop();
+                    }
+                }
+            }, _callee);
+        });
+    }
+}
+
+typescript_async_function: {
+    description: "TypeScript async functions";
+    options = {async: true};
+    input: {
+        var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+            return new (P || (P = Promise))(function (resolve, reject) {});
+        };
+        var __generator = (this && this.__generator) || function (thisArg, body) {
+            if (f) throw new TypeError("Generator is already executing.");
+        };
+        function get(url) {
+            return __awaiter(this, void 0, void 0, function () {
+                var res;
+                return __generator(this, function (_a) {
+                    switch (_a.label) {
+                        case 0: return [4, http.get(url)];
+                        case 1:
+                            res = _a.sent();
+                            return [2, res.data];
+                    }
+                });
+            });
+        }
+        function ping() {
+            return __awaiter(this, void 0, void 0, function () {
+                return __generator(this, function (_a) {
+                    return [2, true];
+                });
+            });
+        }
+    }
+    expect: {
+        async function get(url) {
+            var res;
+            res = await http.get(url);
+            return res.data;
+        }
+        async function ping() {
+            return true;
+        }
+    }
+}
@@ -0,0 +1,249 @@
+babel_class: {
+    description: "babel classes with methods, accessors and static methods";
+    options = {classes: true};
+    input: {
+        function _classCallCheck(instance, Constructor) { if (!(instance instanceof Constructor)) { throw new TypeError("Cannot call a class as a function"); } }
+        function _defineProperties(target, props) { for (var i = 0; i < props.length; i++) { var descriptor = props[i]; descriptor.enumerable = descriptor.enumerable || false; descriptor.configurable = true; if ("value" in descriptor) descriptor.writable = true; Object.defineProperty(target, descriptor.key, descriptor); } }
+        function _createClass(Constructor, protoProps, staticProps) { if (protoProps) _defineProperties(Constructor.prototype, protoProps); if (staticProps) _defineProperties(Constructor, staticProps); return Constructor; }
+        var Animal = function () {
+            function Animal(name) {
+                _classCallCheck(this, Animal);
+                this.name = name;
+            }
+            _createClass(Animal, [{
+                key: "speak",
+                value: function speak() {
+                    return this.name + " makes a noise";
+                }
+            }, {
+                key: "label",
+                get: function get() {
+                    return "animal";
+                }
+            }], [{
+                key: "create",
+                value: function create(name) {
+                    return new Animal(name);
+                }
+            }]);
+            return Animal;
+        }();
+    }
+    expect: {
+        class Animal {
+            constructor(name) {
+                this.name = name;
+            }
+            speak() {
+                return this.name + " makes a noise";
+            }
+            get label() {
+                return "animal";
+            }
+            static create(name) {
+                return new Animal(name);
+            }
+        }
+    }
+}
+
+babel_derived_class: {
+    description: "babel derived classes with super calls and arrow functions";
+    options = {classes: true};
+    input: {
+        function _classCallCheck(instance, Constructor) { if (!(instance instanceof Constructor)) { throw new TypeError("Cannot call a class as a function"); } }
+        function _inherits(subClass, superClass) { if (typeof superClass !== "function" && superClass !== null) { throw new TypeError("Super expression must either be null or a function"); } subClass.prototype = Object.create(superClass && superClass.prototype); }
+        function _createSuper(Derived) { return function () { var Super = _getPrototypeOf(Derived); return _possibleConstructorReturn(this, Super.apply(this, arguments)); }; }
+        function _possibleConstructorReturn(self, call) { if (!self) { throw new ReferenceError("this hasn't been initialised - super() hasn't been called"); } return call && (typeof call === "object" || typeof call === "function") ? call : self; }
+        function _get(target, property, receiver) { return Reflect.get(target, property, receiver); }
+        function _getPrototypeOf(o) { return Object.getPrototypeOf(o); }
+        function _createClass(Constructor, protoProps) { if (protoProps) _defineProperties(Constructor.prototype, protoProps); return Constructor; }
+        var Dog = function (_Animal) {
+            _inherits(Dog, _Animal);
+            var _super = _createSuper(Dog);
+            function Dog(name) {
+                var _this;
+                _classCallCheck(this, Dog);
+                _this = _super.call(this, name);
+                _this.bark = function () {
+                    return _this.name;
+                };
+                return _this;
+            }
+            _createClass(Dog, [{
+                key: "speak",
+                value: function speak() {
+                    return _get(_getPrototypeOf(Dog.prototype), "speak", this).call(this) + "!";
+                }
+            }]);
+            return Dog;
+        }(Animal);
+        var Puppy = function (_Dog) {
+            _inherits(Puppy, _Dog);
+            var _super2 = _createSuper(Puppy);
+            function Puppy() {
+                _classCallCheck(this, Puppy);
+                return _super2.apply(this, arguments);
+            }
+            return Puppy;
+        }(Dog);
+    }
+    expect: {
+        class Dog extends Animal {
+            constructor(name) {
+                super(name);
+                this.bark = () => {
+                    return this.name;
+                };
+            }
+            speak() {
+                return super.speak() + "!";
+            }
+        }
+        class Puppy extends Dog {}
+    }
+}
+
+typescript_class: {
+    description: "TypeScript classes with prototype methods, accessors and __extends";
+    options = {classes: true};
+    input: {
+        var __extends = (this && this.__extends) || function (d, b) {
+            if (typeof b !== "function" && b !== null)
+                throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        };
+        var Shape = /** @class */ (function () {
+            function Shape(x) {
+                this.x = x;
+            }
+            Shape.prototype.move = function (dx) {
+                this.x += dx;
+            };
+            Object.defineProperty(Shape.prototype, "position", {
+                get: function () {
+                    return this.x;
+                },
+                enumerable: false,
+                configurable: true
+            });
+            Shape.origin = function () {
+                return new Shape(0);
+            };
+            return Shape;
+        }());
+        var Circle = /** @class */ (function (_super) {
+            __extends(Circle, _super);
+            function Circle(x, r) {
+                var _this = _super.call(this, x) || this;
+                _this.r = r;
+                return _this;
+            }
+            Circle.prototype.move = function (dx) {
+                _super.prototype.move.call(this, dx * 2);
+            };
+            return Circle;
+        }(Shape));
+    }
+    expect: {
+        class Shape {
+            constructor(x) {
+                this.x = x;
+            }
+            move(dx) {
+                this.x += dx;
+            }
+            get position() {
+                return this.x;
+            }
+            static origin() {
+                return new Shape(0);
+            }
+        }
+        class Circle extends Shape {
+            constructor(x, r) {
+                super(x);
+                this.r = r;
+            }
+            move(dx) {
+                super.move(dx * 2);
+            }
+        }
+    }
+}
+
+minified_class: {
+    description: "Minified helpers are recognised by what they throw";
+    options = {classes: true};
+    input: {
+        function a(e, t) { if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function"); }
+        var b = function () {
+            function e(t) {
+                a(this, e);
+                this.t = t;
+            }
+            e.prototype.get = function () {
+                return this.t;
+            };
+            return e;
+        }();
+    }
+    expect: {
+        var b = class e {
+            constructor(t) {
+                this.t = t;
+            }
+            get() {
+                return this.t;
+            }
+        };
+    }
+}
+
+unrecognised_wrapper: {
+    description: "Function wrappers that aren't classes are left alone";
+    options = {classes: true};
+    input: {
+        var Counter = function () {
+            function Counter() {
+                this.count = 0;
+            }
+            Counter.instances = [];
+            return Counter;
+        }();
+    }
+    expect: {
+        var Counter = function () {
+            function Counter() {
+                this.count = 0;
+            }
+            Counter.instances = [];
+            return Counter;
+        }();
+    }
+}
+
+disabled: {
+    description: "Classes are only restored when the transform is enabled";
+    input: {
+        function _classCallCheck(instance, Constructor) { if (!(instance instanceof Constructor)) { throw new TypeError("Cannot call a class as a function"); } }
+        var Empty = function () {
+            function Empty() {
+                _classCallCheck(this, Empty);
+            }
+            return Empty;
+        }();
+    }
+    expect: {
+        function _classCallCheck(instance, Constructor) {
+            if (!(instance instanceof Constructor)) {
+                throw new TypeError("Cannot call a class as a function");
+            }
+        }
+        var Empty = function () {
+            function Empty() {
+                _classCallCheck(this, Empty);
+            }
+            return Empty;
+        }();
+    }
+}
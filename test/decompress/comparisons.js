@@ -0,0 +1,18 @@
+test1: {
+    input: {
+        var a = "undefined" == typeof x, b = null != y, c = 0 < z, d = 1 >= z.length, e = !0 === f;
+    }
+    expect: {
+        var a = typeof x == "undefined", b = y != null, c = z > 0, d = z.length <= 1, e = f === true;
+    }
+}
+
+constants: {
+    description: "Comparisons of constants are left alone";
+    input: {
+        var a = 1 < 2, b = "a" == a;
+    }
+    expect: {
+        var a = 1 < 2, b = a == "a";
+    }
+}
@@ -85,3 +85,98 @@ test4: {
         }
     }
 }
+
+test5: {
+    description: "Nested ternaries in returns become else if ladders";
+    input: {
+        function f(a) {
+            return a ? b : c ? (d(), e) : g ? h ? 1 : 2 : 3;
+        }
+    }
+    expect: {
+        function f(a) {
+            if (a) {
+                return b;
+            } else if (c) {
+                d();
+                return e;
+            } else if (g) {
+                if (h) {
+                    return 1;
+                } else {
+                    return 2;
+                }
+            } else {
+                return 3;
+            }
+        }
+    }
+}
+
+test6: {
+    description: "Assignments of ternaries become if/else assignments";
+    input: {
+        x = a ? b : c ? d : e;
+        o.p += a ? 1 : 2;
+        var q = 1, y = a ? 1 : 2;
+        var z = a ? 1 : 2, w = z;
+    }
+    expect: {
+        if (a) {
+            x = b;
+        } else if (c) {
+            x = d;
+        } else {
+            x = e;
+        }
+        if (a) {
+            o.p += 1;
+        } else {
+            o.p += 2;
+        }
+        var q = 1, y;
+        if (a) {
+            y = 1;
+        } else {
+            y = 2;
+        }
+        var z = a ? 1 : 2, w = z;
+    }
+}
+
+test7: {
+    description: "Assignments whose target could change are kept";
+    input: {
+        o.p = a() ? b : c;
+        o[k()] = a ? b : c;
+        x += (x = a) ? b : c;
+        const k = a ? 1 : 2;
+    }
+    expect: {
+        o.p = a() ? b : c;
+        o[k()] = a ? b : c;
+        x += (x = a) ? b : c;
+        const k = a ? 1 : 2;
+    }
+}
+
+test8: {
+    description: "Logical chains with sequences become blocks";
+    input: {
+        a && b && (c(), d());
+        a || (b(), c && (d(), e()));
+    }
+    expect: {
+        if (a && b) {
+            c();
+            d();
+        }
+        if (!a) {
+            b();
+            if (c) {
+                d();
+                e();
+            }
+        }
+    }
+}
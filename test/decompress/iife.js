@@ -0,0 +1,74 @@
+test1: {
+    input: {
+        !function (a) {
+            b(a);
+        }(1);
+        +function () {
+            return c;
+        }();
+    }
+    expect: {
+        (function (a) {
+            b(a);
+        })(1);
+        (function () {
+            return c;
+        })();
+    }
+}
+
+unwrap: {
+    description: "Functions that are only called once for their scope are unwrapped";
+    input: {
+        !function () {
+            var a = 1;
+            function b() {
+                return this;
+            }
+            b(a);
+        }();
+    }
+    expect: {
+        var a = 1;
+        function b() {
+            return this;
+        }
+        b(a);
+    }
+}
+
+keep: {
+    description: "Functions that use their scope are kept";
+    input: {
+        var a;
+        (function () {
+            var a = 1;
+        })();
+        (function () {
+            "use strict";
+            b();
+        })();
+        (function () {
+            this.c = 1;
+        })();
+        (function () {
+            d(arguments);
+        })();
+    }
+    expect: {
+        var a;
+        (function () {
+            var a = 1;
+        })();
+        (function () {
+            "use strict";
+            b();
+        })();
+        (function () {
+            this.c = 1;
+        })();
+        (function () {
+            d(arguments);
+        })();
+    }
+}
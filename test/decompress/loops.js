@@ -0,0 +1,46 @@
+test1: {
+    input: {
+        for (i = 0; i < n; a(i), i++);
+        for (i = 0; i < n; b(i), c(i), i++) d(i);
+        for (;; e(), i++) {
+            f();
+        }
+    }
+    expect: {
+        for (i = 0; i < n; i++) {
+            a(i);
+        }
+        for (i = 0; i < n; i++) {
+            d(i);
+            b(i);
+            c(i);
+        }
+        for (;; i++) {
+            f();
+            e();
+        }
+    }
+}
+
+keep_update: {
+    description: "Loops that continue keep their update";
+    input: {
+        for (i = 0, j = 0; i < n; i++, j++) {
+            if (a(i)) continue;
+            for (;;) {
+                continue;
+            }
+        }
+    }
+    expect: {
+        i = 0;
+        for (j = 0; i < n; i++, j++) {
+            if (a(i)) {
+                continue;
+            }
+            for (;;) {
+                continue;
+            }
+        }
+    }
+}
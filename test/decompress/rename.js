@@ -0,0 +1,134 @@
+requires: {
+    description: "Variables are named after the module they require";
+    options = {rename: true};
+    input: {
+        var e = require("./lib/foo-bar.js"), t = require("lodash/index"), n = require("./x");
+        var r = require("./x");
+        n = null;
+        e(t, r);
+    }
+    expect: {
+        var fooBar = require("./lib/foo-bar.js"), lodash = require("lodash/index"), n = require("./x");
+        var x = require("./x");
+        n = null;
+        fooBar(lodash, x);
+    }
+}
+
+loop_counters: {
+    description: "Loop counters become i, j and k, in order";
+    options = {rename: true};
+    input: {
+        function sum(e) {
+            var t, n, r = 0;
+            for (t = 0; t < e.length; t++) {
+                for (var o = 0; o < e[t].length; o += 1) {
+                    r += e[t][o];
+                }
+            }
+            for (n = e.length; n > 0; --n) {
+                r -= n;
+            }
+            return r;
+        }
+    }
+    expect: {
+        function sum(e) {
+            var i, j, r = 0;
+            for (i = 0; i < e.length; i++) {
+                for (var k = 0; k < e[i].length; k += 1) {
+                    r += e[i][k];
+                }
+            }
+            for (j = e.length; j > 0; --j) {
+                r -= j;
+            }
+            return r;
+        }
+    }
+}
+
+parameters: {
+    description: "Parameters are named after how they are used";
+    options = {rename: true};
+    input: {
+        function handle(e, t, n) {
+            e.preventDefault();
+            t.then(n);
+            n.push(e.target);
+        }
+        function each(e, t) {
+            for (var n = 0; n < e.length; n++) {
+                t(e[n]);
+            }
+        }
+        try {
+            each();
+        } catch (e) {
+            console.log(e.message);
+        }
+    }
+    expect: {
+        function handle(event, promise, array) {
+            event.preventDefault();
+            promise.then(array);
+            array.push(event.target);
+        }
+        function each(e, callback) {
+            for (var i = 0; i < e.length; i++) {
+                callback(e[i]);
+            }
+        }
+        try {
+            each();
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+}
+
+this_alias: {
+    description: "Aliases of this become self";
+    options = {rename: true};
+    input: {
+        function Widget() {
+            var e = this, t = new Date();
+            setTimeout(function () {
+                var n = this;
+                e.render(n, t);
+            });
+        }
+    }
+    expect: {
+        function Widget() {
+            var self = this, date = new Date();
+            setTimeout(function () {
+                var self2 = this;
+                self.render(self2, date);
+            });
+        }
+    }
+}
+
+collisions: {
+    description: "Names that are in use are skipped";
+    options = {rename: true};
+    input: {
+        function load(foo) {
+            var e = require("./foo"), t = require("./foo");
+            return function (n) {
+                n.preventDefault();
+                return [e, t, foo, event];
+            };
+        }
+    }
+    expect: {
+        function load(foo) {
+            var foo2 = require("./foo"), foo3 = require("./foo");
+            return function (event2) {
+                event2.preventDefault();
+                return [foo2, foo3, foo, event];
+            };
+        }
+    }
+}
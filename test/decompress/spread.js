@@ -0,0 +1,100 @@
+babel_array_spread: {
+    description: "babel array and call spread";
+    options = {spread: true};
+    input: {
+        function _toConsumableArray(arr) { return _arrayWithoutHoles(arr) || _iterableToArray(arr) || _nonIterableSpread(); }
+        function _nonIterableSpread() { throw new TypeError("Invalid attempt to spread non-iterable instance."); }
+        function _iterableToArray(iter) { if (typeof Symbol !== "undefined" && iter[Symbol.iterator] != null) return Array.from(iter); }
+        function _arrayWithoutHoles(arr) { if (Array.isArray(arr)) return Array.from(arr); }
+        var all = [1].concat(_toConsumableArray(rest), [2]);
+        var copy = _toConsumableArray(rest);
+        max.apply(void 0, _toConsumableArray(numbers));
+        console.log.apply(console, [x].concat(_toConsumableArray(args)));
+        list.push.apply(other, _toConsumableArray(items));
+    }
+    expect: {
+        var all = [1, ...rest, 2];
+        var copy = [...rest];
+        max(...numbers);
+        console.log(x, ...args);
+        list.push.apply(other, [...items]);
+    }
+}
+
+babel_object_spread: {
+    description: "babel object spread";
+    options = {spread: true};
+    input: {
+        function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = arguments[i] != null ? arguments[i] : {}; var ownKeys = Object.keys(source); if (typeof Object.getOwnPropertySymbols === "function") { ownKeys = ownKeys.concat(Object.getOwnPropertySymbols(source).filter(function (sym) { return Object.getOwnPropertyDescriptor(source, sym).enumerable; })); } ownKeys.forEach(function (key) { _defineProperty(target, key, source[key]); }); } return target; }
+        function _extends() { _extends = Object.assign || function (target) { return target; }; return _extends.apply(this, arguments); }
+        var a = _objectSpread({}, defaults, {}, options, {
+            debug: true
+        });
+        var b = _extends({
+            id: 1
+        }, props);
+        var c = _objectSpread({}, props, {
+            get x() {
+                return 1;
+            }
+        });
+    }
+    expect: {
+        var a = {
+            ...defaults,
+            ...options,
+            debug: true
+        };
+        var b = {
+            id: 1,
+            ...props
+        };
+        var c = {
+            ...props,
+            ...{
+                get x() {
+                    return 1;
+                }
+            }
+        };
+    }
+}
+
+construct: {
+    description: "Spread in new expressions";
+    options = {spread: true};
+    input: {
+        function _construct(Parent, args, Class) { return new (Function.bind.apply(Parent, [null].concat(args)))(); }
+        var a = _construct(Date, _toConsumableArray(parts));
+        var b = new (Function.prototype.bind.apply(Point, [null].concat(_toConsumableArray(coordinates))))();
+        function _toConsumableArray(arr) { return Array.from(arr); }
+    }
+    expect: {
+        var a = new Date(...parts);
+        var b = new Point(...coordinates);
+    }
+}
+
+typescript_spread: {
+    description: "TypeScript array and object spread";
+    options = {spread: true};
+    input: {
+        var __assign = (this && this.__assign) || function () {
+            return Object.assign.apply(Object, arguments);
+        };
+        var __spreadArray = (this && this.__spreadArray) || function (to, from, pack) {
+            return to.concat(Array.prototype.slice.call(from));
+        };
+        var merged = __assign(__assign({}, a), { b: b });
+        var list = __spreadArray(__spreadArray([1], a, true), [2], false);
+        f.apply(void 0, __spreadArray([], args, false));
+    }
+    expect: {
+        var merged = {
+            ...a,
+            b: b
+        };
+        var list = [1, ...a, 2];
+        f(...args);
+    }
+}
@@ -0,0 +1,38 @@
+test1: {
+    input: {
+        var a = void 0;
+        if (b === void 0) {
+            c(void 0);
+        }
+    }
+    expect: {
+        var a = undefined;
+        if (b === undefined) {
+            c(undefined);
+        }
+    }
+}
+
+shadowed: {
+    description: "void 0 is kept where undefined is declared";
+    input: {
+        function f(undefined) {
+            return void 0;
+        }
+    }
+    expect: {
+        function f(undefined) {
+            return;
+        }
+    }
+}
+
+disabled: {
+    options = {undefined: false};
+    input: {
+        var a = void 0;
+    }
+    expect: {
+        var a = void 0;
+    }
+}
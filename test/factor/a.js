@@ -0,0 +1,2 @@
+var double = require("./shared.js");
+console.log(double(1));
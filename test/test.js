@@ -3,12 +3,29 @@
 const assert = require('assert');
 const path = require('path');
 const fs = require('fs');
+const childProcess = require('child_process');
+const http = require('http');
+const os = require('os');
+const util = require('util');
 const uglifyES = require('uglify-es');
+const SourceMapConsumer = require('source-map').SourceMapConsumer;
 
 const here = path.dirname(module.filename);
 const suffix = process.env.TEST_COV ? '-cov' : '';
 const unbrowserify = require(`../unbrowserify${suffix}`);
 const decompress = require(`../decompress${suffix}`);
+const sourcemap = require(`../sourcemap${suffix}`);
+const paths = require(`../paths${suffix}`);
+const parse = require(`../parse${suffix}`);
+const fingerprint = require(`../fingerprint${suffix}`);
+const resolvers = require(`../resolvers${suffix}`);
+const manifest = require(`../manifest${suffix}`);
+const patches = require(`../patches${suffix}`);
+const esm = require(`../esm${suffix}`);
+const printer = require(`../printer${suffix}`);
+const cli = require(`../cli${suffix}`);
+const differential = require(`../differential${suffix}`);
+const verify = require(`../verify${suffix}`);
 
 function parseString(code, filename) {
     const ast = uglifyES.minify({[filename]: code}, {
@@ -79,6 +96,119 @@ describe('unbrowserify', () => {
         });
     });
 
+    describe('detectBundle', () => {
+        function detectHelper(filename) {
+            const bundle = path.resolve(here, filename);
+
+            return unbrowserify.detectBundle(parseString(fs.readFileSync(bundle, 'utf8'), bundle));
+        }
+
+        function moduleCode(bundle, id) {
+            const objectProperty = bundle.moduleObject.properties.find(prop => prop.key === String(id));
+
+            return new uglifyES.AST_Toplevel({body: objectProperty.value.elements[0].body}).print_to_string();
+        }
+
+        it('should detect browserify bundles', () => {
+            const bundle = detectHelper('fib/bundle.js');
+
+            assert.equal(bundle.format, 'browserify');
+            assert.deepEqual(bundle.main.elements.map(element => element.value), [2]);
+        });
+
+        it('should detect browserify standalone bundles', () => {
+            const bundle = detectHelper('fib/bundle-standalone.js');
+
+            assert.equal(bundle.format, 'browserify');
+            assert.deepEqual(bundle.main.elements.map(element => element.value), [2]);
+            assert.equal(bundle.moduleObject.properties.length, 2);
+        });
+
+        it('should name modules of --full-paths bundles relative to their common directory', () => {
+            const bundle = detectHelper('fib/bundle-full-paths.js');
+
+            assert.deepEqual(Object.values(bundle.names).sort(), ['fib', 'main']);
+        });
+
+        it('should recreate the require mapping of collapsed bundles', () => {
+            const bundle = detectHelper('fib/bundle-collapsed.js');
+            const requireMapping = bundle.moduleObject.properties[1].value.elements[1];
+
+            assert.deepEqual(requireMapping.properties.map(({key, value}) => [key, value.value]), [['./1', 1]]);
+            assert.equal(moduleCode(bundle, 2), 'var fib=require("./1");console.log(fib(10));');
+        });
+
+        it('should detect webpack 4 bundles with an array of modules', () => {
+            const bundle = detectHelper('webpack/webpack4.js');
+
+            assert.equal(bundle.format, 'webpack');
+            assert.deepEqual(bundle.main.elements.map(element => element.value), [1]);
+            assert.deepEqual(bundle.names, {0: '0'});
+            assert.equal(moduleCode(bundle, 1), 'var r=n("./0");console.log(r(10));');
+        });
+
+        it('should detect webpack 4 bundles with named modules', () => {
+            const bundle = detectHelper('webpack/webpack4-dev.js');
+
+            assert.equal(bundle.format, 'webpack');
+            assert.deepEqual(bundle.main.elements.map(element => element.value), ['./src/main.js']);
+            assert.deepEqual(bundle.names, {
+                './src/lib/fib.js': 'src/lib/fib',
+                './src/main.js': 'src/main'
+            });
+        });
+
+        it('should detect webpack 5 bundles', () => {
+            const bundle = detectHelper('webpack/webpack5.js');
+            const moduleFunction = bundle.moduleObject.properties[1].value.elements[0];
+
+            assert.equal(bundle.format, 'webpack');
+            assert.deepEqual(bundle.main.elements.map(element => element.value), [88]);
+            assert.deepEqual(moduleFunction.argnames.map(arg => arg.name), ['o', 'e', 'r']);
+        });
+
+        it('should detect webpack bundles in a UMD header', () => {
+            const bundle = detectHelper('webpack/umd.js');
+
+            assert.equal(bundle.format, 'webpack');
+            assert.deepEqual(bundle.main.elements.map(element => element.value), [1]);
+            assert.equal(moduleCode(bundle, 1), 'var r=n("./0");e.exports=function(){return r(10)};');
+        });
+
+        it('should detect webpack chunks', () => {
+            const bundle = detectHelper('webpack/chunk.js');
+
+            assert.equal(bundle.format, 'webpack');
+            assert.deepEqual(bundle.main.elements, []);
+            assert.deepEqual(bundle.names, {7: '7', 8: '8'});
+            assert.equal(moduleCode(bundle, 7), 'var r=n("./8");e.exports=function(){return r.a};');
+        });
+
+        it('should return undefined for unknown formats', () => {
+            assert.equal(unbrowserify.detectBundle(parseString('foo(); bar();')), undefined);
+        });
+    });
+
+    describe('mergeBundles', () => {
+        function bundleHelper(filename) {
+            const bundle = path.resolve(here, 'factor', filename);
+            const detected = unbrowserify.detectBundle(parseString(fs.readFileSync(bundle, 'utf8'), bundle));
+
+            return Object.assign({filename: bundle, moduleSources: []}, detected);
+        }
+
+        it('should merge factor-bundle outputs', () => {
+            const bundles = ['bundle-common.js', 'bundle-a.js', 'bundle-b.js'].map(bundleHelper);
+            const merged = unbrowserify.mergeBundles(bundles);
+            const moduleNames = unbrowserify.extractModuleNames(merged.moduleObject, merged.main, merged.names);
+
+            assert.equal(merged.moduleObject.properties.length, 3);
+            assert.deepEqual(merged.main.elements.map(element => element.value), [1, 2]);
+            assert.equal(moduleNames[1], 'bundle-a');
+            assert.equal(moduleNames[2], 'bundle-b');
+        });
+    });
+
     function extractHelper(bundleFilename, test) {
         const bundle = path.resolve(here, 'fib', bundleFilename), bundleSource = fs.readFileSync(bundle, 'utf8'), ast = parseString(bundleSource, bundle), mainFunction = unbrowserify.findMainFunction(ast), moduleObject = mainFunction.args[0], main = mainFunction.args[2], moduleNames = unbrowserify.extractModuleNames(moduleObject, main);
 
@@ -101,6 +231,87 @@ describe('unbrowserify', () => {
         });
     });
 
+    describe('relativeModulePath', () => {
+        it('should find paths to modules in the same or other directories', () => {
+            assert.equal(unbrowserify.relativeModulePath('browser', 'fib'), './fib.js');
+            assert.equal(unbrowserify.relativeModulePath('lib/a', 'lib/b'), './b.js');
+            assert.equal(unbrowserify.relativeModulePath('lib/a', 'foo'), '../foo.js');
+            assert.equal(unbrowserify.relativeModulePath('lib/a', 'lib/node_modules/bar/index'), './node_modules/bar/index.js');
+        });
+    });
+
+    describe('buildModuleGraph', () => {
+        function graphHelper(code, overrides) {
+            const bundleCall = unbrowserify.findMainFunction(parseString(code));
+
+            return unbrowserify.buildModuleGraph(bundleCall.args[0], bundleCall.args[2], {}, overrides);
+        }
+
+        it('should name modules after their require path', () => {
+            const graph = graphHelper('e({1:[function(){},{"./lib/a.js":2}],2:[function(){},{"../b":3}],3:[function(){},{}]},{},[1]);');
+
+            assert.deepEqual(graph.names, {1: 'browser', 2: 'lib/a', 3: 'b'});
+            assert.deepEqual(graph.edges, [
+                {from: '1', to: '2', request: './lib/a.js'},
+                {from: '2', to: '3', request: '../b'}
+            ]);
+        });
+
+        it('should name unreachable modules as orphans', () => {
+            const graph = graphHelper('e({1:[function(){},{}],3:[function(){},{"./d":4}],4:[function(){},{"./e":3}]},{},[1]);');
+
+            assert.deepEqual(graph.names, {1: 'browser', 3: 'orphans/3', 4: 'orphans/d'});
+            assert.deepEqual(graph.nodes.filter(node => node.orphan).map(node => node.id), ['3']);
+        });
+
+        it('should report modules with several names', () => {
+            const graph = graphHelper('e({1:[function(){},{"./a":2,"./lib/b":3}],2:[function(){},{}],3:[function(){},{"../c":2}]},{},[1]);');
+
+            assert.equal(graph.names[2], 'a');
+            assert.deepEqual(graph.conflicts, [{id: '2', names: ['a', 'c']}]);
+        });
+
+        it('should choose the same name regardless of require order', () => {
+            const graph1 = graphHelper('e({1:[function(){},{"./lib/x/y":2,"./z":2}],2:[function(){},{}]},{},[1]);');
+            const graph2 = graphHelper('e({1:[function(){},{"./z":2,"./lib/x/y":2}],2:[function(){},{}]},{},[1]);');
+
+            assert.equal(graph1.names[2], 'z');
+            assert.equal(graph2.names[2], 'z');
+        });
+
+        it('should prefer the index form of a folder', () => {
+            const graph = graphHelper('e({1:[function(){},{"./foo":2,"./foo/index.js":2}],2:[function(){},{}]},{},[1]);');
+
+            assert.equal(graph.names[2], 'foo/index');
+            assert.deepEqual(graph.conflicts, []);
+        });
+
+        it('should keep names that only differ in case apart', () => {
+            const graph = graphHelper('e({1:[function(){},{"./Foo":2,"./foo":3}],2:[function(){},{}],3:[function(){},{}]},{},[1]);');
+
+            assert.equal(graph.names[2], 'Foo');
+            assert.equal(graph.names[3], 'foo~2');
+        });
+
+        it('should move all names into the directories that requires go up from', () => {
+            const graph = graphHelper('e({1:[function(){},{"../lib/x":2,"lodash":4}],2:[function(){},{"../../y":3}],' +
+                                      '3:[function(){},{}],4:[function(){},{}]},{},[1]);');
+
+            assert.deepEqual(graph.names, {
+                1: 'src/src/browser',
+                2: 'src/lib/x',
+                3: 'y',
+                4: 'node_modules/lodash/index'
+            });
+        });
+
+        it('should use the name overrides', () => {
+            const graph = graphHelper('e({1:[function(){},{"./a":2}],2:[function(){},{"./b":3}],3:[function(){},{}]},{},[1]);', {2: './lib/a.js'});
+
+            assert.deepEqual(graph.names, {1: 'browser', 2: 'lib/a', 3: 'lib/b'});
+        });
+    });
+
     describe('extractModules', () => {
         const fib = path.resolve(here, 'fib', 'fib.js'), fibSource = fs.readFileSync(fib, 'utf8'), expected = parseString(fibSource, fib);
 
@@ -116,6 +327,87 @@ describe('unbrowserify', () => {
             });
         });
 
+        it('should rewrite requires relative to the requiring module', () => {
+            const code = 'e({' +
+                '1:[function(require){require("./lib/a.js");require("events");require("lodash")},{"./lib/a.js":2,"events":3,"lodash":4}],' +
+                '2:[function(require){require("../b")},{"../b":5}],' +
+                '3:[function(){},{}],4:[function(){},{}],5:[function(){},{}]' +
+                '},{},[1]);';
+            const bundleCall = unbrowserify.findMainFunction(parseString(code));
+            const moduleNames = unbrowserify.extractModuleNames(bundleCall.args[0], bundleCall.args[2]);
+            const modules = unbrowserify.extractModules(bundleCall.args[0], moduleNames);
+
+            assert.deepEqual(Object.keys(modules).sort(), ['b', 'browser', 'lib/a']);
+            assert.equal(modules.browser.print_to_string(), 'require("./lib/a.js");require("events");require("lodash");');
+            assert.equal(modules['lib/a'].print_to_string(), 'require("../b.js");');
+        });
+
+        it('should keep builtins and dependencies when asked', () => {
+            const code = 'e({' +
+                '1:[function(require){require("events");require("lodash")},{"events":2,"lodash":3}],' +
+                '2:[function(){},{}],3:[function(){},{}]' +
+                '},{},[1]);';
+            const bundleCall = unbrowserify.findMainFunction(parseString(code));
+            const moduleNames = unbrowserify.extractModuleNames(bundleCall.args[0], bundleCall.args[2]);
+            const modules = unbrowserify.extractModules(bundleCall.args[0], moduleNames,
+                {keepBuiltins: true, keepDependencies: true});
+
+            assert.deepEqual(Object.keys(modules).sort(),
+                             ['browser', 'node_modules/events/index', 'node_modules/lodash/index']);
+            assert.equal(modules.browser.print_to_string(),
+                         'require("./node_modules/events/index.js");require("lodash");');
+        });
+
+        describe('module functions', () => {
+            const extractBrowser = body => {
+                const code = `e({1:[function(r,m,e,s,l,i){${body}},{}]},{},[1]);`;
+                const bundleCall = unbrowserify.findMainFunction(parseString(code));
+                const moduleNames = unbrowserify.extractModuleNames(bundleCall.args[0], bundleCall.args[2]);
+                const warnings = [];
+                const modules = unbrowserify.extractModules(bundleCall.args[0], moduleNames, {
+                    warn: (...args) => warnings.push(util.format(...args))
+                });
+
+                return {code: modules.browser.print_to_string(), warnings};
+            };
+
+            it('should replace this with exports', () => {
+                assert.deepEqual(extractBrowser('this.a=1;var b=()=>this;function c(){return this}'), {
+                    code: 'exports.a=1;var b=()=>exports;function c(){return this}',
+                    warnings: []
+                });
+                assert.equal(extractBrowser('e=m.exports=function(){};e.a=this').code,
+                             'exports=module.exports=function(){};exports.a=this;');
+            });
+
+            it('should turn returns into if statements', () => {
+                assert.deepEqual(extractBrowser('if(a)return;b();if(c){return}d();return'), {
+                    code: 'if(!a){b();if(!c){d()}}',
+                    warnings: []
+                });
+                assert.equal(extractBrowser('a();if(b)return').code, 'a();b;');
+            });
+
+            it('should keep modules that need their function wrapped', () => {
+                assert.deepEqual(extractBrowser('m.exports=arguments.length'), {
+                    code: '(function(require,module,exports,moduleSource,loadedModules,mainIds){' +
+                        'module.exports=arguments.length}).call(this,require,module,exports);',
+                    warnings: ['Module browser is kept in its function, because it uses arguments']
+                });
+                assert.deepEqual(extractBrowser('m.exports=s[1][0].apply(e,l)').warnings,
+                                 ['Module browser is kept in its function, because it uses moduleSource, ' +
+                                  'loadedModules, which only exist in the bundle']);
+                assert.deepEqual(extractBrowser('if(a)return 1;b()').warnings,
+                                 ['Module browser is kept in its function, because it returns at the top level']);
+                assert.deepEqual(extractBrowser('if(a)return;function b(){}').warnings,
+                                 ['Module browser is kept in its function, because it returns at the top level']);
+                ['let b=1', 'const b=1', 'class b{}'].forEach(declaration => {
+                    assert.deepEqual(extractBrowser(`function c(){return b}if(a)return;${declaration}`).warnings,
+                                     ['Module browser is kept in its function, because it returns at the top level']);
+                });
+            });
+        });
+
         it('should find the modules after compression', () => {
             extractHelper('bundle-min.js', (moduleObject, moduleNames) => {
                 const modules = unbrowserify.extractModules(moduleObject, moduleNames);
@@ -127,11 +419,1076 @@ describe('unbrowserify', () => {
             });
         });
     });
+
+    describe('unbrowserifyString', () => {
+        it('should return the modules and package.json', () => {
+            const bundle = path.resolve(here, 'fib', 'bundle.js');
+
+            return unbrowserify.unbrowserifyString(fs.readFileSync(bundle, 'utf8')).then(result => {
+                assert.deepEqual(Object.keys(result.modules).sort(), ['browser.js', 'fib.js']);
+                assert.ok(/require\("\.\/fib\.js"\)/.test(result.modules['browser.js']));
+                assert.equal(result.packageJson.name, 'bundle.js');
+                assert.equal(result.packageJson.main, './browser.js');
+                assert.deepEqual(result.warnings, []);
+            });
+        });
+
+        it('should rename minified variables when asked', () => {
+            const bundle = path.resolve(here, 'fib', 'bundle-min.js');
+            const options = {decompress: {rename: true}};
+
+            return unbrowserify.unbrowserifyString(fs.readFileSync(bundle, 'utf8'), options).then(result => {
+                assert.ok(/^var fib = require\("\.\/fib\.js"\);/.test(result.modules['browser.js']));
+                assert.ok(/for \(i = 1; i < r; i \+= 1\)/.test(result.modules['fib.js']));
+            });
+        });
+
+        it('should write ES modules as .mjs files', () => {
+            const code = 'e({' +
+                '1:[function(require,module){var a=require("./a"),b=require("./b");module.exports=a+b},' +
+                '{"./a":2,"./b":3}],' +
+                '2:[function(require,module){module.exports=1},{}],' +
+                '3:[function(require,module){module.exports=this},{}]' +
+                '},{},[1]);';
+
+            return unbrowserify.unbrowserifyString(code, {esm: true}).then(result => {
+                assert.deepEqual(Object.keys(result.modules).sort(), ['a.mjs', 'b.js', 'browser.mjs']);
+                assert.ok(/^import a from "\.\/a\.mjs";\n+import b from "\.\/b\.js";/.test(result.modules['browser.mjs']));
+                assert.equal(result.modules['b.js'], 'module.exports = exports;');
+                assert.deepEqual(result.manifest.modules.map(({file}) => file).sort(), ['a.mjs', 'b.js', 'browser.mjs']);
+                assert.equal(result.packageJson.main, './browser.mjs');
+                assert.equal(result.packageJson.scripts.test, 'node -e "import(\'./browser.mjs\')"');
+            });
+        });
+
+        it('should only restore ES modules with esm', () => {
+            const code = 'e({' +
+                '1:[function(require,module,exports){"use strict";' +
+                'Object.defineProperty(exports,"__esModule",{value:!0});exports.default=void 0;' +
+                'var _a=_interopRequireDefault(require("./a"));' +
+                'function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}' +
+                'var _default=_a.default+1;exports.default=_default},{"./a":2}],' +
+                '2:[function(require,module){module.exports=1},{}]' +
+                '},{},[1]);';
+            const options = {decompress: {helpers: true}};
+
+            return Promise.all([
+                unbrowserify.unbrowserifyString(code, options),
+                unbrowserify.unbrowserifyString(code, Object.assign({esm: true}, options))
+            ]).then(([commonjs, esModules]) => {
+                assert.deepEqual(Object.keys(commonjs.modules).sort(), ['a.js', 'browser.js']);
+                assert.ok(/require\("\.\/a\.js"\)/.test(commonjs.modules['browser.js']));
+                assert.ok(/exports\.default = _default;$/.test(commonjs.modules['browser.js']));
+                assert.equal(esModules.modules['browser.mjs'], 'import a from "./a.mjs";\n\nexport default a + 1;');
+            });
+        });
+
+        it('should return and log warnings', () => {
+            const code = 'e({' +
+                '1:[function(require){require("./a");require("./b")},{"./a":2,"./b":3}],' +
+                '2:[function(){},{}],' +
+                '3:[function(require){require("./c")},{"./c":2}]' +
+                '},{},[1]);';
+            const logged = [];
+            const logger = {
+                info: () => undefined,
+                debug: () => undefined,
+                warn: (...args) => logged.push(args)
+            };
+
+            return unbrowserify.unbrowserifyString(code, {logger}).then(result => {
+                assert.deepEqual(result.warnings, ['Module 2 is also known as c']);
+                assert.deepEqual(logged, [['Module %s is also known as %s', '2', 'c']]);
+            });
+        });
+
+        it('should write modules with the same name to files of their own', () => {
+            const code = 'e({' +
+                '1:[function(require,module){var a=1;module.exports=a},{}],' +
+                '2:[function(require,module){var a=2;if(a)return;module.exports=a},{}]' +
+                '},{},[1,2]);';
+
+            return unbrowserify.unbrowserifyString(code, {decompress: false}).then(result => {
+                assert.deepEqual(Object.keys(result.modules).sort(), ['browser.js', 'browser~2.js']);
+                assert.equal(result.modules['browser~2.js'], 'var a = 2;\n\nif (!a) {\n    module.exports = a;\n}');
+                assert.deepEqual(result.warnings, ['Module 2 is also named browser, writing it to browser~2.js']);
+            });
+        });
+
+        it('should merge modules pinned to the same name in scopes of their own', () => {
+            const code = 'e({' +
+                '1:[function(require,module){require("./a");require("./b")},{"./a":2,"./b":3}],' +
+                '2:[function(require,module){var a=1;return},{}],' +
+                '3:[function(require,module){var a=2},{}]' +
+                '},{},[1]);';
+
+            return unbrowserify.unbrowserifyString(code, {decompress: false, names: {2: 'lib', 3: 'lib'}}).then(result => {
+                assert.deepEqual(Object.keys(result.modules).sort(), ['browser.js', 'lib.js']);
+                assert.equal(result.modules['lib.js'],
+                              '(function() {\n    var a = 1;\n}).call(this);\n\n' +
+                              '(function() {\n    var a = 2;\n}).call(this);');
+                assert.deepEqual(result.warnings,
+                                 ['Modules 2, 3 are all named lib, writing them to lib.js, each in its own function scope']);
+            });
+        });
+
+        it('should keep license comments with their module', () => {
+            const code = '/*! bundle */e({' +
+                '1:[function(require,module){\n/*! a v1 | MIT */\n// note\na&&b();module.exports=a},{}],' +
+                '2:[function(){\n/** @license b */\n},{}]' +
+                '},{},[1,2]);';
+
+            return unbrowserify.unbrowserifyString(code).then(result => {
+                assert.equal(result.modules['browser.js'],
+                             '/*! a v1 | MIT */\nif (a) {\n    b();\n}\n\nmodule.exports = a;');
+                assert.equal(result.modules['browser~2.js'], '/** @license b */\n');
+            });
+        });
+
+        it('should format the modules with the printer options and formatter', () => {
+            const code = 'e({1:[function(require,module){module.exports="a"},{}]},{},[1]);';
+            const formatter = {
+                format: (source, options) => Promise.resolve(`// ${JSON.stringify(options)}\n${source}`)
+            };
+            const options = {output: {quotes: 'single', semicolons: false}, formatter};
+
+            return unbrowserify.unbrowserifyString(code, options).then(result => {
+                assert.equal(result.modules['browser.js'],
+                             '// {"filepath":"browser.js","tabWidth":4,"semi":false,"singleQuote":true}\n' +
+                             'module.exports = \'a\'');
+            });
+        });
+
+        it('should make source maps from the modules back to the bundle', () => {
+            const code = 'e({1:[function(require,module){var a=b?c():d;module.exports=a},{}]},{},[1]);';
+
+            return unbrowserify.unbrowserifyString(code, {sourceMaps: true}).then(result => {
+                const map = result.sourceMaps['browser.js'];
+                const found = sourcemap.findRecoveredPosition(result.sourceMaps, 'bundle.js',
+                                                              {line: 1, column: code.indexOf('c()')});
+
+                assert.ok(result.modules['browser.js'].endsWith('\n//# sourceMappingURL=browser.js.map'));
+                assert.deepEqual(map.sources, ['bundle.js']);
+                assert.equal(map.file, 'browser.js');
+                assert.equal(result.modules['browser.js'].split('\n')[found.line - 1], '    a = c();');
+                assert.equal(found.column, 8);
+            });
+        });
+
+        it('should not make source maps of formatted modules', () => {
+            const code = 'e({1:[function(require,module){module.exports="a"},{}]},{},[1]);';
+            const formatter = {format: source => source};
+
+            return unbrowserify.unbrowserifyString(code, {sourceMaps: true, formatter}).then(result => {
+                assert.deepEqual(result.sourceMaps, {});
+                assert.deepEqual(result.warnings, ['Not making source maps, the formatter changes the code after printing']);
+            });
+        });
+
+        it('should only identify packages by fingerprint when asked', () => {
+            const code = fs.readFileSync(path.resolve(here, 'vendor', 'bundle.js'), 'utf8');
+
+            return Promise.all([
+                unbrowserify.unbrowserifyString(code),
+                unbrowserify.unbrowserifyString(code, {fingerprints: true})
+            ]).then(([plain, identified]) => {
+                assert.deepEqual(plain.packages, {});
+                assert.deepEqual(Object.keys(identified.packages), ['inherits']);
+            });
+        });
+
+        it('should not load the fingerprint index unless it identifies packages', done => {
+            const script = 'const u = require("./unbrowserify");' +
+                'u.unbrowserifyString(\'e({1:[function(){},{}]},{},[1]);\').then(() => console.log(' +
+                'Object.keys(require.cache).some(file => file.endsWith("fingerprints.json"))));';
+
+            childProcess.execFile(process.execPath, ['-e', script], {cwd: path.resolve(here, '..'), timeout: 10000},
+                (error, stdout) => {
+                    assert.ifError(error);
+                    assert.equal(stdout, 'false\n');
+                    done();
+                });
+        });
+
+        it('should only take objects as formatter and fingerprint indexes', () => {
+            const code = 'e({1:[function(){},{}]},{},[1]);';
+
+            return Promise.all([
+                unbrowserify.unbrowserifyString(code, {formatter: 'prettier'}).then(() => assert.fail('should not resolve'),
+                    e => assert.ok(/takes a formatter object/.test(e.message))),
+                unbrowserify.unbrowserifyString(code, {fingerprints: ['index.json']}).then(() => assert.fail('should not resolve'),
+                    e => assert.ok(/takes fingerprint index objects/.test(e.message)))
+            ]);
+        });
+
+        it('should reject bundles of unknown formats', () => {
+            return unbrowserify.unbrowserifyString('foo();', {filename: 'foo.js'}).then(() => {
+                assert.fail('should not resolve');
+            }, e => {
+                assert.ok(/^foo\.js: unable to find the modules/.test(e.message));
+            });
+        });
+    });
+
+    describe('unbrowserify', () => {
+        it('should not write outside of the output directory', () => {
+            assert.equal(unbrowserify.outputPath('out', 'lib/a.js'), path.join('out', 'lib', 'a.js'));
+            assert.throws(() => unbrowserify.outputPath('out', '../../y.js'),
+                          /Refusing to write \.\.\/\.\.\/y\.js, it is outside of the output directory/);
+            assert.throws(() => unbrowserify.outputPath('out', 'node_modules/../../y.js'), /outside of the output directory/);
+        });
+
+        it('should keep modules that are required from above the entry in the output directory', () => {
+            const code = 'e({1:[function(require){require("../lib/x")},{"../lib/x":2}],' +
+                '2:[function(require){require("../../y")},{"../../y":3}],3:[function(){},{}]},{},[1]);';
+
+            return unbrowserify.unbrowserifyString(code).then(result => {
+                assert.deepEqual(Object.keys(result.modules).sort(), ['src/lib/x.js', 'src/src/browser.js', 'y.js']);
+                assert.ok(/require\("\.\.\/lib\/x\.js"\)/.test(result.modules['src/src/browser.js']));
+                assert.ok(/require\("\.\.\/\.\.\/y\.js"\)/.test(result.modules['src/lib/x.js']));
+            });
+        });
+
+        it('should only say what it would write in a dry run', () => {
+            const bundle = path.resolve(here, 'fib', 'bundle.js');
+            const logged = [];
+            const logger = {
+                info: (...args) => logged.push(args),
+                debug: () => undefined,
+                warn: () => undefined
+            };
+
+            return unbrowserify.unbrowserify(bundle, 'out', {dryRun: true, logger}).then(() => {
+                assert.deepEqual(logged.filter(([format]) => /write/i.test(format)).sort(), [
+                    ['Would write %s', path.join('out', 'browser.js')],
+                    ['Would write %s', path.join('out', 'fib.js')]
+                ]);
+                assert.ok(!fs.existsSync('out'));
+            });
+        });
+    });
+
+    describe('browserField', () => {
+        const bundle = path.resolve(here, 'browser', 'bundle.js');
+
+        it('should reconstruct replaced and ignored modules', () => {
+            const bundleSource = fs.readFileSync(bundle, 'utf8');
+            const bundleCall = unbrowserify.findMainFunction(parseString(bundleSource, bundle));
+            const moduleObject = bundleCall.args[0];
+
+            return sourcemap.readSourceMap(bundleSource, bundle).then(consumer => {
+                const sources = sourcemap.mapModuleSources(moduleObject, consumer, bundle);
+                const knownNames = {};
+
+                Object.keys(sources).forEach(id => {
+                    knownNames[id] = sources[id].name;
+                });
+
+                const moduleGraph = unbrowserify.buildModuleGraph(moduleObject, bundleCall.args[2], knownNames);
+                const browser = unbrowserify.browserField(moduleGraph, moduleObject,
+                    new Set(Object.keys(sources)), name => name + '.js');
+
+                assert.deepEqual(browser, {'./lib/node.js': './lib/browser.js', ws: false});
+            });
+        });
+    });
+
+    describe('mergePackageJson', () => {
+        it('should keep existing fields and add missing dependencies', () => {
+            const merged = unbrowserify.mergePackageJson(
+                {name: 'app', version: '1.2.3', dependencies: {ws: '^3.0.0'}},
+                {name: 'bundle.js', main: './main.js', dependencies: {ws: '*', inherits: '*'}});
+
+            assert.deepEqual(merged, {
+                name: 'app',
+                version: '1.2.3',
+                main: './main.js',
+                dependencies: {ws: '^3.0.0', inherits: '*'}
+            });
+        });
+    });
+});
+
+describe('sourcemap', () => {
+    describe('findSourceMappingURL', () => {
+        it('should find the last sourceMappingURL comment', () => {
+            const code = 'foo();\n//# sourceMappingURL=a.map\n//# sourceMappingURL=b.map\n';
+            assert.equal(sourcemap.findSourceMappingURL(code), 'b.map');
+        });
+
+        it('should return null without a sourceMappingURL comment', () => {
+            assert.equal(sourcemap.findSourceMappingURL('foo();'), null);
+        });
+    });
+
+    describe('mapModuleSources', () => {
+        const bundle = path.resolve(here, 'fib', 'bundle-map.js');
+
+        it('should find the original files and contents', () => {
+            const bundleSource = fs.readFileSync(bundle, 'utf8');
+            const moduleObject = unbrowserify.findMainFunction(parseString(bundleSource, bundle)).args[0];
+
+            return sourcemap.readSourceMap(bundleSource, bundle).then(consumer => {
+                const sources = sourcemap.mapModuleSources(moduleObject, consumer, bundle);
+                const names = Object.values(sources).map(source => source.name).sort();
+                const fib = Object.values(sources).find(source => source.name === 'fib');
+
+                assert.deepEqual(names, ['fib', 'main']);
+                assert.equal(fib.file, 'fib.js');
+                assert.equal(fib.content, fs.readFileSync(path.resolve(here, 'fib', 'fib.js'), 'utf8'));
+            });
+        });
+
+        it('should resolve to null without a source map', () => {
+            const plain = path.resolve(here, 'fib', 'bundle.js');
+
+            return sourcemap.readSourceMap(fs.readFileSync(plain, 'utf8'), plain).then(consumer => {
+                assert.equal(consumer, null);
+            });
+        });
+    });
+
+    describe('findRecoveredPosition', () => {
+        const sourceMaps = {
+            'a.js': {version: 3, sources: ['dist/bundle.js'], names: [], mappings: 'AAAE,IAAU;AACN', file: 'a.js'},
+            'b.js': {version: 3, sources: ['other.js'], names: [], mappings: 'AAAE,IAAU', file: 'b.js'}
+        };
+
+        it('should find the closest mapped position before the given one', () => {
+            assert.deepEqual(sourcemap.findRecoveredPosition(sourceMaps, 'dist/bundle.js', {line: 1, column: 20}),
+                             {file: 'a.js', line: 1, column: 4, name: null});
+            assert.deepEqual(sourcemap.findRecoveredPosition(sourceMaps, './dist/bundle.js', {line: 2, column: 7}),
+                             {file: 'a.js', line: 2, column: 0, name: null});
+        });
+
+        it('should return null for positions before the modules', () => {
+            assert.equal(sourcemap.findRecoveredPosition(sourceMaps, 'dist/bundle.js', {line: 1, column: 1}), null);
+            assert.equal(sourcemap.findRecoveredPosition(sourceMaps, 'missing.js', {line: 1, column: 20}), null);
+        });
+    });
+
+    describe('relativeSources', () => {
+        it('should make the bundles relative to the directory of the map', () => {
+            const map = {version: 3, sources: ['dist/bundle.js', '-'], names: [], mappings: ''};
+
+            assert.deepEqual(sourcemap.relativeSources(map, 'out/lib').sources, ['../../dist/bundle.js', '-']);
+            assert.deepEqual(map.sources, ['dist/bundle.js', '-']);
+        });
+    });
+});
+
+describe('fingerprint', () => {
+    describe('fingerprintSource', () => {
+        it('should ignore formatting, comments and local names', () => {
+            const a = fingerprint.fingerprintSource('/* add */\nvar add = function (first, second) {\n    return first + second;\n};\nmodule.exports = add;');
+            const b = fingerprint.fingerprintSource('var x=function(a,b){return a+b};module.exports=x;');
+
+            assert.equal(a, b);
+        });
+
+        it('should tell different code apart', () => {
+            const a = fingerprint.fingerprintSource('module.exports = function (a, b) { return a + b; };');
+            const b = fingerprint.fingerprintSource('module.exports = function (a, b) { return a - b; };');
+
+            assert.notEqual(a, b);
+        });
+    });
+
+    describe('splitPackageName', () => {
+        it('should split module names into package and file', () => {
+            assert.deepEqual(fingerprint.splitPackageName('node_modules/inherits/inherits_browser'),
+                             {name: 'inherits', file: 'inherits_browser.js'});
+            assert.deepEqual(fingerprint.splitPackageName('node_modules/a/node_modules/@b/c/lib/d'),
+                             {name: '@b/c', file: 'lib/d.js'});
+            assert.equal(fingerprint.splitPackageName('lib/d'), null);
+        });
+    });
+
+    describe('identifyPackages', () => {
+        it('should identify the version of bundled packages', () => {
+            const bundle = path.resolve(here, 'vendor', 'bundle.js');
+            const detected = unbrowserify.detectBundle(parseString(fs.readFileSync(bundle, 'utf8'), bundle));
+            const moduleNames = unbrowserify.extractModuleNames(detected.moduleObject, detected.main);
+            const inherits = path.resolve(here, '..', 'node_modules', 'inherits');
+            const version = require(path.join(inherits, 'package.json')).version;
+
+            return fingerprint.indexPackage(inherits).then(index => {
+                const packages = fingerprint.identifyPackages(detected.moduleObject, moduleNames, index);
+
+                assert.deepEqual(Object.keys(packages), ['inherits']);
+                assert.deepEqual(packages.inherits.versions, [version]);
+                assert.equal(packages.inherits.range, version);
+            });
+        });
+
+        it('should leave out packages that are not in the index', () => {
+            const bundle = path.resolve(here, 'vendor', 'bundle.js');
+            const detected = unbrowserify.detectBundle(parseString(fs.readFileSync(bundle, 'utf8'), bundle));
+            const moduleNames = unbrowserify.extractModuleNames(detected.moduleObject, detected.main);
+
+            assert.deepEqual(fingerprint.identifyPackages(detected.moduleObject, moduleNames, {}), {});
+        });
+
+        it('should identify common packages with the default index', () => {
+            const bundle = path.resolve(here, 'vendor', 'bundle.js');
+            const detected = unbrowserify.detectBundle(parseString(fs.readFileSync(bundle, 'utf8'), bundle));
+            const moduleNames = unbrowserify.extractModuleNames(detected.moduleObject, detected.main);
+            const version = require(path.resolve(here, '..', 'node_modules', 'inherits', 'package.json')).version;
+
+            return fingerprint.readIndex().then(index => {
+                assert.deepEqual(fingerprint.identifyPackages(detected.moduleObject, moduleNames, index).inherits.versions,
+                                 [version]);
+            });
+        });
+    });
+
+    describe('extendIndexFile', () => {
+        it('should add the packages of node_modules folders to the index file', () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'unbrowserify-'));
+            const filename = path.join(directory, 'index.json');
+            const addPackage = (name, version, source) => {
+                const packageDirectory = path.join(directory, 'node_modules', name);
+
+                fs.mkdirSync(packageDirectory, {recursive: true});
+                fs.writeFileSync(path.join(packageDirectory, 'package.json'), JSON.stringify({name, version}));
+                fs.writeFileSync(path.join(packageDirectory, 'index.js'), source);
+            };
+
+            addPackage('b', '1.0.0', 'module.exports = 1;');
+            fs.mkdirSync(path.join(directory, 'node_modules', 'b', 'tests'));
+            fs.writeFileSync(path.join(directory, 'node_modules', 'b', 'tests', 'index.js'), 'module.exports = 3;');
+            fs.writeFileSync(path.join(directory, 'node_modules', 'b', 'test.js'), 'module.exports = 4;');
+            addPackage('@a/c', '2.0.0', 'module.exports = 2;');
+            fs.writeFileSync(filename, JSON.stringify({
+                [fingerprint.fingerprintSource('module.exports = 1;')]: [{name: 'a', version: '0.1.0', file: 'one.js'}]
+            }));
+
+            return fingerprint.extendIndexFile(filename, [path.join(directory, 'node_modules')]).then(() => {
+                const index = JSON.parse(fs.readFileSync(filename, 'utf8'));
+
+                assert.deepEqual(index, {
+                    [fingerprint.fingerprintSource('module.exports = 1;')]: [
+                        {name: 'a', version: '0.1.0', file: 'one.js'},
+                        {name: 'b', version: '1.0.0', file: 'index.js'}
+                    ],
+                    [fingerprint.fingerprintSource('module.exports = 2;')]: [
+                        {name: '@a/c', version: '2.0.0', file: 'index.js'}
+                    ]
+                });
+                assert.equal(fs.readFileSync(filename, 'utf8'), fingerprint.formatIndex(index));
+            }).finally(() => {
+                fs.rmSync(directory, {recursive: true});
+            });
+        });
+    });
+});
+
+describe('resolvers', () => {
+    const directory = path.resolve(here, 'resolvers');
+
+    describe('resolveVersions', () => {
+        it('should write * for unknown packages when offline', () =>
+            resolvers.resolveVersions(['inherits'], resolvers.createResolver('offline')).then(versions => {
+                assert.deepEqual(versions, {inherits: '*'});
+            }));
+
+        it('should prefer packages identified by fingerprint', () => {
+            const packages = {inherits: {range: '2.0.1 - 2.0.3'}};
+
+            return resolvers.resolveVersions(['inherits', 'other'], resolvers.createResolver('offline'), packages)
+                .then(versions => {
+                    assert.deepEqual(versions, {inherits: '2.0.1 - 2.0.3', other: '*'});
+                });
+        });
+    });
+
+    describe('lockfile', () => {
+        it('should read versions from package-lock.json', () => {
+            const resolver = resolvers.createResolver(`lockfile:${path.join(directory, 'npm-lock.json')}`);
+
+            return resolvers.resolveVersions(['inherits', '@scope/pkg', 'other'], resolver).then(versions => {
+                assert.deepEqual(versions, {inherits: '2.0.3', '@scope/pkg': '1.2.3', other: '*'});
+            });
+        });
+
+        it('should read versions from yarn.lock', () => {
+            const resolver = resolvers.createResolver(`lockfile:${path.join(directory, 'yarn-lock.txt')}`);
+
+            return resolvers.resolveVersions(['inherits', '@scope/pkg', 'other'], resolver).then(versions => {
+                assert.deepEqual(versions, {inherits: '2.0.3', '@scope/pkg': '1.2.3', other: '*'});
+            });
+        });
+    });
+
+    describe('registry', () => {
+        let server, url;
+
+        before(done => {
+            server = http.createServer((request, response) => {
+                if (request.url === '/inherits' || request.url === '/@scope%2fpkg') {
+                    response.writeHead(200, {'Content-Type': 'application/json'});
+                    response.end(JSON.stringify({'dist-tags': {latest: '2.0.4'}}));
+                } else if (request.url === '/broken') {
+                    response.writeHead(500);
+                    response.end();
+                } else if (request.url === '/slow') {
+                    setTimeout(() => response.end('{}'), 200);
+                } else {
+                    response.writeHead(404);
+                    response.end();
+                }
+            });
+            server.listen(0, '127.0.0.1', () => {
+                url = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        after(done => {
+            server.close(done);
+        });
+
+        it('should resolve the latest version from a registry mirror', () => {
+            const resolver = resolvers.createResolver(`registry:${url}`);
+            const warn = console.warn;
+
+            console.warn = () => {};
+
+            return resolvers.resolveVersions(['inherits', '@scope/pkg', 'missing', 'broken'], resolver)
+                .finally(() => {
+                    console.warn = warn;
+                })
+                .then(versions => {
+                    assert.deepEqual(versions, {
+                        inherits: '^2.0.4',
+                        '@scope/pkg': '^2.0.4',
+                        missing: '*',
+                        broken: '*'
+                    });
+                });
+        });
+
+        it('should give up on requests that take too long', () => {
+            const warnings = [];
+
+            return resolvers.resolveVersions(['slow'], resolvers.registry(url, 50), {}, (...args) => warnings.push(args))
+                .then(versions => {
+                    assert.deepEqual(versions, {slow: '*'});
+                    assert.deepEqual(warnings, [['Unable to resolve the version of %s: %s', 'slow',
+                                                 `${url}/slow: no response within 0.05 s`]]);
+                });
+        });
+    });
+
+    describe('network', () => {
+        let server, url;
+
+        before(done => {
+            /* Accepts connections, but never answers. */
+            server = http.createServer(() => undefined);
+            server.listen(0, '127.0.0.1', () => {
+                url = `http://127.0.0.1:${server.address().port}/`;
+                done();
+            });
+        });
+
+        after(done => {
+            server.close(done);
+        });
+
+        it('should give up on a registry that never answers, and let the process exit', done => {
+            const script = `require('./resolvers').network(100).resolve('inherits').catch(e => console.log(e.message))`;
+            const env = Object.assign({}, process.env, {npm_registry: url});
+
+            childProcess.execFile(process.execPath, ['-e', script], {cwd: path.resolve(here, '..'), env, timeout: 5000},
+                (error, stdout) => {
+                    assert.ifError(error);
+                    assert.equal(stdout, `${url}inherits: no response within 0.1 s\n`);
+                    done();
+                });
+        });
+    });
+
+    describe('createResolver', () => {
+        it('should reject unknown resolvers', () => {
+            assert.throws(() => resolvers.createResolver('carrier-pigeon'), /Unknown version resolver/);
+        });
+    });
+});
+
+describe('esm', () => {
+    function convertHelper(modules, decompressOptions) {
+        const code = 'e({' + modules.map(([id, body, mapping]) =>
+            `${id}:[function(require,module,exports){${body}},${JSON.stringify(mapping || {})}]`).join(',') +
+            '},{},[1]);';
+        const bundleCall = unbrowserify.findMainFunction(parseString(code));
+        const moduleNames = unbrowserify.extractModuleNames(bundleCall.args[0], bundleCall.args[2]);
+        const extracted = unbrowserify.extractModules(bundleCall.args[0], moduleNames);
+
+        if (decompressOptions) {
+            Object.keys(extracted).forEach(name => decompress(extracted[name], decompressOptions));
+        }
+
+        const kept = esm.convertModules(extracted);
+        const printed = {};
+
+        Object.keys(extracted).forEach(name => {
+            printed[name] = extracted[name].print_to_string();
+        });
+
+        return {kept, printed};
+    }
+
+    describe('convertModules', () => {
+        it('should convert requires and exports', () => {
+            const {kept, printed} = convertHelper([
+                [1, 'var a=require("./a");require("./b");module.exports=a.x+a.y', {'./a': 2, './b': 3}],
+                [2, 'function x(){}exports.x=x;exports.y=1'],
+                [3, 'window.b=1']
+            ]);
+
+            assert.deepEqual(kept, {});
+            assert.equal(printed.browser, 'import a from"./a.js";import"./b.js";export default a.x+a.y;');
+            assert.equal(printed.a, 'function x(){}export{x};export const y=1;export default{x:x,y:y};');
+            assert.equal(printed.b, 'window.b=1;');
+        });
+
+        it('should keep modules that need CommonJS', () => {
+            const {kept, printed} = convertHelper([
+                [1, 'var a=require("./a");setTimeout(function(){require("./b")})', {'./a': 2, './b': 3}],
+                [2, 'module.exports=this'],
+                [3, 'exports.b=arguments.length']
+            ]);
+
+            assert.deepEqual(kept, {
+                browser: 'require is used dynamically',
+                a: 'exports is used other than to export',
+                b: 'this is used at the top level'
+            });
+            assert.equal(printed.a, 'module.exports=exports;');
+        });
+
+        it('should keep modules whose code means something else in strict mode', () => {
+            const {kept} = convertHelper([
+                [1, 'require("./a");require("./b");require("./c");require("./d");require("./e");require("./f")',
+                 {'./a': 2, './b': 3, './c': 4, './d': 5, './e': 6, './f': 7}],
+                [2, 'var root=function(){return this}();exports.root=root'],
+                [3, 'exports.f=function(){return arguments.callee}'],
+                [4, 'var x=1;delete x;exports.x=2'],
+                [5, 'exports.f=function(a,a){return a}'],
+                [6, 'exports.n=010'],
+                [7, 'exports.s="\\101"']
+            ]);
+
+            assert.deepEqual(kept, {
+                a: 'this is used in a function that is not a method',
+                b: 'arguments.callee is used',
+                c: 'a variable is deleted',
+                d: 'a function has duplicate parameters',
+                e: 'it uses legacy octal literals or escapes',
+                f: 'it uses legacy octal literals or escapes'
+            });
+        });
+
+        it('should convert strict mode code and methods that use this', () => {
+            const {kept} = convertHelper([
+                [1, 'var a=require("./a"),b=require("./b");module.exports=[a,b]', {'./a': 2, './b': 3}],
+                [2, '"use strict";exports.root=function(){return this}()'],
+                [3, 'function A(){this.x=1}A.prototype.get=function(){return this.x};' +
+                    'exports.o={f:function(){return this},get g(){return this}};exports.A=A;exports.s="\\\\1"']
+            ]);
+
+            assert.deepEqual(kept, {});
+        });
+
+        it('should keep modules required by CommonJS modules and cycles', () => {
+            const {kept} = convertHelper([
+                [1, 'var a=require("./a");a.x=require("./b")', {'./a': 2, './b': 3}],
+                [2, 'var c=require("./c");module.exports={}', {'./c': 4}],
+                [3, 'var d=require("./d");module.exports=d', {'./d': 5}],
+                [4, 'var a=require("./a");module.exports=a', {'./a': 2}],
+                [5, 'module.exports=1']
+            ]);
+
+            assert.deepEqual(Object.keys(kept).sort(), ['a', 'b', 'browser', 'c', 'd']);
+            assert.equal(kept.a, 'it is part of a require cycle');
+            assert.equal(kept.d, 'it is required by CommonJS module b');
+        });
+
+        it('should keep imports that are assigned to', () => {
+            const {kept} = convertHelper([
+                [1, 'var a=require("./a");a=1', {'./a': 2}],
+                [2, 'module.exports=1']
+            ]);
+
+            assert.equal(kept.browser, 'the import a is assigned or declared again');
+        });
+
+        it('should leave ES modules restored by decompress alone', () => {
+            const {kept, printed} = convertHelper([
+                [1, 'Object.defineProperty(exports,"__esModule",{value:true});var _a=_interopRequireDefault(require("./a"));' +
+                    'function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}exports.default=_a.default.x',
+                 {'./a': 2}],
+                [2, 'exports.x=1']
+            ], {interop: true});
+
+            assert.deepEqual(kept, {});
+            assert.equal(printed.browser, 'import a from"./a.js";export default a.x;');
+            assert.equal(printed.a, 'export const x=1;export default{x:x};');
+        });
+    });
+});
+
+describe('patches', () => {
+    const bundle = path.resolve(here, 'vendor', 'bundle.js');
+    const published = path.resolve(here, '..', 'node_modules');
+
+    function compareHelper(code) {
+        const bundleCall = unbrowserify.findMainFunction(parseString(code, bundle));
+        const moduleNames = unbrowserify.extractModuleNames(bundleCall.args[0], bundleCall.args[2]);
+
+        return patches.comparePublished(bundleCall.args[0], moduleNames, published);
+    }
+
+    describe('resolvePublishedFile', () => {
+        it('should prefer the browser field for the entry point', () => {
+            return patches.resolvePublishedFile(published, {name: 'inherits', file: 'index.js'}).then(file => {
+                assert.equal(path.basename(file), 'inherits_browser.js');
+            });
+        });
+    });
+
+    describe('comparePublished', () => {
+        it('should skip modules that match the published file', () => {
+            return compareHelper(fs.readFileSync(bundle, 'utf8')).then(found => {
+                assert.deepEqual(found, []);
+            });
+        });
+
+        it('should report patched modules', () => {
+            const code = fs.readFileSync(bundle, 'utf8').replace(/ctor\.super_ = superCtor/g, 'ctor.patched = true');
+
+            return compareHelper(code).then(found => {
+                assert.equal(found.length, 1);
+                assert.equal(found[0].name, 'node_modules/inherits/index');
+                assert.equal(found[0].file, 'inherits/inherits_browser.js');
+                assert.ok(/^-\s+ctor\.super_ = superCtor;$/m.test(found[0].diff));
+                assert.ok(/^\+\s+ctor\.patched = true;$/m.test(found[0].diff));
+            });
+        });
+    });
+});
+
+describe('manifest', () => {
+    const code = 'e({' +
+        '1:[function(require){require("./lib/a.js");require("events");require("lodash")},{"./lib/a.js":2,"events":3,"lodash":4}],' +
+        '2:[function(require){require("events")},{"events":3}],' +
+        '3:[function(){},{}],4:[function(){},{}]' +
+        '},{},[1]);';
+
+    function manifestHelper(options) {
+        const bundleCall = unbrowserify.findMainFunction(parseString(code));
+        const moduleGraph = unbrowserify.buildModuleGraph(bundleCall.args[0], bundleCall.args[2]);
+
+        return manifest.buildManifest(moduleGraph, bundleCall.args[0], options);
+    }
+
+    describe('buildManifest', () => {
+        it('should classify the modules', () => {
+            const modules = manifestHelper().modules;
+
+            assert.deepEqual(modules.map(({name, kind, package: packageName, emitted, file}) =>
+                [name, kind, packageName, emitted, file]), [
+                ['browser', 'module', null, true, 'browser.js'],
+                ['lib/a', 'module', null, true, 'lib/a.js'],
+                ['node_modules/events/index', 'builtin', 'events', false, null],
+                ['node_modules/lodash/index', 'dependency', 'lodash', false, null]
+            ]);
+            assert.deepEqual(modules[1].requires, [{request: 'events', id: '3', name: 'node_modules/events/index'}]);
+            assert.equal(modules[2].size, 'function(){}'.length);
+        });
+
+        it('should mark kept modules as emitted', () => {
+            const modules = manifestHelper({keepBuiltins: true, keepDependencies: true}).modules;
+
+            assert.ok(modules.every(module => module.emitted));
+        });
+    });
+
+    describe('formatTree', () => {
+        it('should show each module once', () => {
+            const lines = manifest.formatTree(manifestHelper()).split('\n');
+
+            assert.deepEqual(lines.map(line => line.replace(/ \(.*/, '')), [
+                'browser [1]',
+                '|-- ./lib/a.js -> lib/a [2]',
+                '|   `-- events -> node_modules/events/index [3]',
+                '|-- events -> node_modules/events/index [3]',
+                '`-- lodash -> node_modules/lodash/index [4]'
+            ]);
+            assert.ok(/\.\.\.$/.test(lines[3]));
+        });
+    });
+});
+
+describe('cli', () => {
+    const parse = (args, stdinIsTTY = true) => cli.createOptions(cli.parseArgs(args), stdinIsTTY);
+
+    it('should keep the positional output directory', () => {
+        const {sources, outputDirectory} = parse(['bundle.js', 'out']);
+
+        assert.deepEqual(sources, ['bundle.js']);
+        assert.equal(outputDirectory, 'out');
+    });
+
+    it('should take all positionals as sources with --out', () => {
+        const {sources, outputDirectory} = parse(['--out=out', 'common.js', 'a.js']);
+
+        assert.deepEqual(sources, ['common.js', 'a.js']);
+        assert.equal(outputDirectory, 'out');
+    });
+
+    it('should read standard input without a source', () => {
+        assert.deepEqual(parse([], false).sources, ['-']);
+        assert.throws(() => parse([]), /No bundle given/);
+    });
+
+    it('should map flags to options', () => {
+        const {options} = parse(['-n', '--keep-deps', '--keep-builtins', '-f', 'webpack',
+                                 '-q', '-t', 'no-sequences,constants', 'bundle.js']);
+
+        assert.deepEqual(options, {
+            decompress: {sequences: false, constants: true},
+            dryRun: true,
+            keepDependencies: true,
+            keepBuiltins: true,
+            quiet: true,
+            format: 'webpack'
+        });
+        assert.deepEqual(parse(['--no-decompress', 'bundle.js']).options, {decompress: false});
+        assert.deepEqual(parse(['-m', 'tree', 'bundle.js']).options, {dryRun: true, quiet: true});
+    });
+
+    it('should map the printer flags to output options', () => {
+        const {options} = parse(['--indent', '2', '--quotes=single', '--no-semicolons', '--max-line-length', '80',
+                                 '--comments', 'none', '--formatter', 'prettier', 'bundle.js']);
+
+        assert.deepEqual(options, {
+            output: {indent: 2, quotes: 'single', semicolons: false, maxLineLength: 80, comments: false},
+            formatter: 'prettier'
+        });
+        assert.throws(() => parse(['--indent', 'two', 'bundle.js']), /Invalid indent 'two'/);
+        assert.throws(() => parse(['--quotes', 'curly', 'bundle.js']), /Unknown quote style 'curly'/);
+        assert.throws(() => parse(['--max-line-length', '0', 'bundle.js']), /Invalid line length '0'/);
+        assert.throws(() => parse(['--comments', 'most', 'bundle.js']), /Unknown comments 'most'/);
+    });
+
+    it('should look up positions in a dry run with source maps', () => {
+        const {sources, options, lookup} = parse(['lookup', 'dist/bundle.js:1:48213', '--esm']);
+
+        assert.deepEqual(sources, ['dist/bundle.js']);
+        assert.deepEqual(options, {esm: true, sourceMaps: true, dryRun: true, quiet: true});
+        assert.deepEqual(lookup, {bundle: 'dist/bundle.js', line: 1, column: 48212});
+        assert.equal(parse(['--source-maps', 'bundle.js']).options.sourceMaps, true);
+        assert.throws(() => parse(['lookup', 'bundle.js']), /lookup takes one Source:line:column/);
+        assert.throws(() => parse(['lookup', 'bundle.js:0:1']), /lookup takes one Source:line:column/);
+        assert.throws(() => parse(['lookup', 'bundle.js:1:1', '--formatter', 'prettier']),
+                      /lookup can not be combined with --formatter/);
+    });
+
+    it('should take fingerprint indexes and build them', () => {
+        assert.deepEqual(parse(['--fingerprints', 'a.json', '--fingerprints=b.json', 'bundle.js']).options,
+                         {fingerprints: ['a.json', 'b.json']});
+        assert.deepEqual(cli.createIndexOptions(cli.parseArgs(['-o', 'index.json', 'index', 'node_modules'])),
+                         {packages: ['node_modules'], file: 'index.json'});
+        assert.throws(() => cli.createIndexOptions(cli.parseArgs(['index'])), /index takes one or more packages/);
+    });
+
+    it('should only verify modules that are written as CommonJS', () => {
+        assert.deepEqual(parse(['--verify', 'bundle.js']).options, {verify: true});
+        assert.throws(() => parse(['--verify', '-n', 'bundle.js']), /--verify needs the modules to be written/);
+        assert.throws(() => parse(['--verify', '--esm', 'bundle.js']), /--verify can not be combined with --esm/);
+    });
+
+    it('should print where a position in the bundle is written to', () => {
+        const log = console.log;
+        const messages = [];
+
+        console.log = message => messages.push(message);
+
+        return cli.main(['lookup', `${path.resolve(here, 'fib', 'bundle.js')}:2:11`])
+            .then(code => {
+                assert.equal(code, 0);
+                assert.deepEqual(messages, ['fib.js:1:8 (exports)']);
+            })
+            .finally(() => {
+                console.log = log;
+            });
+    });
+
+    it('should reject unknown options and transforms', () => {
+        assert.throws(() => parse(['--bogus', 'bundle.js']), /Unknown option --bogus/);
+        assert.throws(() => parse(['-t', 'bogus', 'bundle.js']), /Unknown transform 'bogus'/);
+        assert.throws(() => parse(['bundle.js', '--out']), /--out requires a value/);
+        assert.throws(() => parse(['-m', 'xml', 'bundle.js']), /Unknown manifest format 'xml'/);
+    });
+
+    it('should exit with 2 on usage errors and 1 on failures', () => {
+        const error = console.error;
+        const messages = [];
+
+        console.error = message => messages.push(message);
+
+        return cli.main(['--bogus'])
+            .then(code => {
+                assert.equal(code, 2);
+
+                return cli.main([path.resolve(here, 'fib', 'missing.js')]);
+            })
+            .then(code => {
+                assert.equal(code, 1);
+            })
+            .finally(() => {
+                console.error = error;
+            });
+    });
+
+    it('should describe parse errors with their position', () => {
+        let error;
+
+        try {
+            unbrowserify.parseCode('foo(', 'bundle.js');
+        } catch (e) {
+            error = e;
+        }
+
+        assert.ok(/^bundle\.js:1:\d+: /.test(cli.describeError(error)));
+    });
+});
+
+describe('parse', () => {
+    describe('parseCode', () => {
+        it('should parse code with its scopes', () => {
+            const ast = parse.parseCode('var a = 1; a += 1;');
+
+            assert.ok(ast instanceof uglifyES.AST_Toplevel);
+            assert.equal(ast.variables.get('a').references.length, 1);
+        });
+
+        it('should name the file in syntax errors', () => {
+            assert.throws(() => parse.parseCode('a(', 'broken.js'), error => error.filename === 'broken.js');
+        });
+    });
+});
+
+describe('paths', () => {
+    describe('isAbsolutePath', () => {
+        it('should recognize absolute paths', () => {
+            assert.equal(paths.isAbsolutePath('/home/builder/main.js'), true);
+            assert.equal(paths.isAbsolutePath('C:\\builder\\main.js'), true);
+        });
+
+        it('should not recognize ids and relative paths', () => {
+            assert.equal(paths.isAbsolutePath('./main.js'), false);
+            assert.equal(paths.isAbsolutePath('1'), false);
+            assert.equal(paths.isAbsolutePath(1), false);
+        });
+    });
+
+    describe('commonDirectory', () => {
+        it('should find the shared directory', () => {
+            const common = paths.commonDirectory(['/a/b/c.js', '/a/b/d/e.js', '/a/b/f.js']);
+            assert.equal(common, '/a/b');
+        });
+
+        it('should fall back to the root', () => {
+            assert.equal(paths.commonDirectory(['/a/b.js', '/c/d.js']), '/');
+        });
+    });
 });
 
 describe('decompress', () => {
     const directory = path.resolve(here, 'decompress');
 
+    describe('numbers', () => {
+        const decompressNumbers = (code, options) => {
+            const ast = parseString(code, 'numbers.js');
+
+            decompress(ast, options);
+
+            return ast.print_to_string();
+        };
+
+        it('should print numbers as decimals', () => {
+            assert.equal(decompressNumbers('a=[1e3,.5,1e21,255,-2e3,1e3.toFixed()]'),
+                         'a=[1000,0.5,1e21,255,-2000,1000..toFixed()];');
+        });
+
+        it('should keep the shortest form when disabled', () => {
+            assert.equal(decompressNumbers('a=[1000,0.5]', {numbers: false}), 'a=[1e3,.5];');
+        });
+    });
+
+    describe('helpers', () => {
+        const decompressModule = (code, options) => {
+            const ast = parseString(code, 'module.js');
+
+            decompress(ast, options);
+
+            return ast.print_to_string();
+        };
+
+        it('should enable the transforms of transpiled code', () => {
+            const code = 'function _toConsumableArray(a){return Array.from(a)}' +
+                'var a=function(){function A(){_classCallCheck(this,A)}return A}(),b=_toConsumableArray(c);' +
+                'function _classCallCheck(a,b){if(!(a instanceof b))throw new TypeError("Cannot call a class as a function")}';
+
+            assert.equal(decompressModule(code, {helpers: true}), 'var a=class A{},b=[...c];');
+            assert.equal(decompressModule(code, {helpers: true, classes: false}),
+                         'var a=function(){function A(){_classCallCheck(this,A)}return A}(),b=[...c];' +
+                         'function _classCallCheck(a,b){if(!(a instanceof b))throw new TypeError("Cannot call a class as a function")}');
+        });
+
+        it('should leave user functions that are named like a helper alone', () => {
+            const code = 'function _extends(a,b){return a.concat(b)}function _defineProperty(o,k){return o[k]}' +
+                'var a=_extends({},b),c=_defineProperty({},"x");';
+
+            assert.equal(decompressModule(code, {helpers: true}), code);
+        });
+
+        it('should turn modules compiled from ES modules back into ES modules', () => {
+            const code = '"use strict";Object.defineProperty(exports,"__esModule",{value:!0});exports.default=exports.run=void 0;' +
+                'var _foo=_interopRequireDefault(require("foo")),_bar=require("./bar"),ns=_interopRequireWildcard(require("ns"));' +
+                'function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}' +
+                'function _interopRequireWildcard(e){if(e&&e.__esModule)return e;var t={};' +
+                'if(e!=null)for(var n in e)Object.prototype.hasOwnProperty.call(e,n)&&(t[n]=e[n]);return t.default=e,t}' +
+                'function run(){return(0,_bar.start)(_foo.default,ns)}exports.run=run;' +
+                'var _default=_bar.config;exports.default=_default;';
+
+            assert.equal(decompressModule(code, {interop: true}),
+                         'import foo from"foo";import{start,config}from"./bar";import*as ns from"ns";' +
+                         'function run(){return start(foo,ns)}export{run};' +
+                         'export default config;');
+        });
+
+        it('should keep the default export variable when it is used elsewhere', () => {
+            const code = 'Object.defineProperty(exports,"__esModule",{value:true});' +
+                'var _default=function(){return _default};exports.default=_default;';
+
+            assert.equal(decompressModule(code, {interop: true}),
+                         'var _default=function(){return _default};export default _default;');
+        });
+
+        it('should leave modules that use CommonJS otherwise alone', () => {
+            const code = 'Object.defineProperty(exports,"__esModule",{value:true});' +
+                'var _foo=_interopRequireDefault(require("foo"));' +
+                'function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}' +
+                'module.exports.x=_foo.default;';
+
+            assert.equal(decompressModule(code, {interop: true, conditionals: false}), code);
+        });
+    });
+
     function findTestFiles() {
         const isJs = /\.js$/;
         return fs.readdirSync(directory).filter(name => isJs.test(name));
@@ -173,6 +1530,16 @@ describe('decompress', () => {
                 throw new Error(`Unsupported label '${name}' at line ${node.label.start.line}`);
             }
 
+            /* options = {classes: true}; */
+            if (inTest && node instanceof uglifyES.AST_SimpleStatement && node.body instanceof uglifyES.AST_Assign &&
+                    node.body.left instanceof uglifyES.AST_SymbolRef && node.body.left.name === 'options') {
+                testCase.options = {};
+                node.body.right.properties.forEach(property => {
+                    testCase.options[property.key] = property.value.value;
+                });
+                return true;
+            }
+
             if (!inTest && !(node instanceof uglifyES.AST_Toplevel)) {
                 throw new Error(`Unsupported statement ${node.TYPE} at line ${node.start.line}`);
             }
@@ -188,7 +1555,7 @@ describe('decompress', () => {
                 it(testCase.description || testCase.name, () => {
                     let output, expect;
 
-                    decompress(testCase.input);
+                    decompress(testCase.input, testCase.options);
 
                     output = formatCode(testCase.input);
                     expect = formatCode(testCase.expect);
@@ -199,3 +1566,188 @@ describe('decompress', () => {
         });
     });
 });
+
+describe('printer', () => {
+    const print = (code, options) => printer.printCode(uglifyES.parse(code), options);
+
+    it('should print with the default options', () => {
+        assert.equal(print('/* a */\n/*! b */\nif(a){b(\'c\')}'), '/*! b */\nif (a) {\n    b("c");\n}');
+    });
+
+    it('should indent and quote as asked', () => {
+        assert.equal(print('if(a){b("c")}', {indent: 2, quotes: 'single'}), "if (a) {\n  b('c');\n}");
+        assert.equal(print('b(\'c\',"d")', {quotes: 'original'}), 'b(\'c\', "d");');
+        assert.throws(() => print('a', {quotes: 'curly'}), /Unknown quote style 'curly'/);
+    });
+
+    it('should keep all or no comments', () => {
+        assert.equal(print('// a\nb()', {comments: 'all'}), '// a\nb();');
+        assert.equal(print('/*! a */\nb()', {comments: false}), 'b();');
+    });
+
+    it('should only print the semicolons that are needed', () => {
+        assert.equal(print('a=1;b();(c||d)();[1].map(e);for(;;);if(f);else g();x=`y`', {semicolons: false}),
+                     'a = 1\n\nb();\n\n(c || d)();\n\n[ 1 ].map(e)\n\nfor (;;) {}\n\nif (f) {} else {\n    g()\n}\n\nx = `y`');
+    });
+
+    it('should break long lines after commas', () => {
+        assert.equal(print('f(aaaaaaaaaa,bbbbbbbbbb,cccccccccc,dddddddddd)', {maxLineLength: 20}),
+                     'f(aaaaaaaaaa, bbbbbbbbbb,\n    cccccccccc, dddddddddd);');
+    });
+
+    it('should map the printed code back to the parsed code', () => {
+        const ast = uglifyES.parse('a=1;b(c)', {filename: 'bundle.js'});
+        const {code, map} = printer.printCodeWithSourceMap(ast, {semicolons: false}, 'a.js');
+        const consumer = new SourceMapConsumer(map);
+
+        assert.equal(code, 'a = 1\n\nb(c)');
+        assert.deepEqual(consumer.generatedPositionFor({source: 'bundle.js', line: 1, column: 6}),
+                         {line: 3, column: 2, lastColumn: null});
+        assert.deepEqual(consumer.originalPositionFor({line: 1, column: 4}),
+                         {source: 'bundle.js', line: 1, column: 2, name: null});
+    });
+
+    it('should pass the printer options to the formatter', () => {
+        const formatter = {format: (code, options) => options};
+
+        return printer.formatCode('a', 'lib/a', formatter, {indent: 2, maxLineLength: 100}).then(options => {
+            assert.deepEqual(options, {filepath: 'lib/a.js', tabWidth: 2, semi: true, printWidth: 100});
+        });
+    });
+
+    it('should reject formatters that are not installed', () => {
+        return printer.formatCode('a', 'a.js', 'no-such-formatter').then(() => {
+            assert.fail('should not resolve');
+        }, e => {
+            assert.equal(e.message, "Unable to find the formatter 'no-such-formatter'");
+        });
+    });
+});
+
+describe('verify', () => {
+    const code = 'e({' +
+        '1:[function(require,module){var a=require("./a");module.exports=a.x?1:2},{"./a":2}],' +
+        '2:[function(require,module,exports){exports.x=1;return},{}]' +
+        '},{},[1]);';
+
+    /* Unpack the bundle, write the modules to a new directory (after
+     * changing them with edit) and verify them. */
+    const verifyBundle = (bundle, options = {}, edit = () => undefined) => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'unbrowserify-'));
+
+        return unbrowserify.unbrowserifyString(bundle, options).then(result => {
+            Object.keys(result.modules).forEach(file => {
+                fs.mkdirSync(path.dirname(path.join(directory, file)), {recursive: true});
+                fs.writeFileSync(path.join(directory, file), result.modules[file]);
+            });
+            fs.writeFileSync(path.join(directory, 'package.json'), JSON.stringify(result.packageJson));
+
+            edit(directory, result.modules);
+
+            const original = unbrowserify.detectBundle(unbrowserify.parseCode(bundle, 'bundle.js'));
+
+            return verify.verifyModules(original.moduleObject, result.manifest, directory, options);
+        }).finally(() => {
+            fs.rmSync(directory, {recursive: true});
+        });
+    };
+
+    it('should tell the decompress transforms from other changes', () => {
+        return verifyBundle(code).then(divergences => {
+            assert.deepEqual(divergences.map(({file, reason}) => [file, reason]),
+                             [['browser.js', 'decompress'], ['a.js', 'structure']]);
+        });
+    });
+
+    it('should find nothing when the modules are written as they are', () => {
+        const bundle = fs.readFileSync(path.resolve(here, 'browser', 'bundle.js'), 'utf8');
+
+        return verifyBundle(bundle, {decompress: false}).then(divergences => {
+            assert.deepEqual(divergences, []);
+        });
+    });
+
+    it('should report requires that resolve to other modules', () => {
+        const moveModule = directory => {
+            fs.mkdirSync(path.join(directory, 'lib'));
+            fs.renameSync(path.join(directory, 'a.js'), path.join(directory, 'lib', 'a.js'));
+        };
+
+        return verifyBundle(code, {}, moveModule).then(divergences => {
+            assert.deepEqual(divergences.map(({reason, message}) => [reason, message]), [
+                ['requires', 'browser.js: "./a", rewritten to "./a.js", resolves to nothing instead of a.js'],
+                ['missing', 'a.js: not in the new bundle, nothing requires it']
+            ]);
+        });
+    });
+
+    it('should report requests that were kept but resolve to other modules', () => {
+        const bundle = 'e({1:[function(require){require("./lib/a")},{"./lib/a":2}],2:[function(){},{}]},{},[1]);';
+        const keepRequest = (directory, modules) => {
+            fs.writeFileSync(path.join(directory, 'browser.js'), modules['browser.js'].replace('./a.js', './lib/a'));
+        };
+
+        return verifyBundle(bundle, {names: {2: 'a'}}, keepRequest).then(divergences => {
+            assert.deepEqual(divergences.map(({reason, message}) => [reason, message]), [
+                ['naming', 'browser.js: "./lib/a" resolves to nothing instead of a.js'],
+                ['missing', 'a.js: not in the new bundle, nothing requires it']
+            ]);
+        });
+    });
+});
+
+describe('differential', () => {
+    it('should record what code logs, returns and throws', () => {
+        assert.deepEqual(differential.run('module.exports = function (a) { log(-0); if (a) throw new TypeError(); return [a]; };',
+                                          [[0], [1]]),
+                         ['log -0', 'return [number:0]', 'log -0', 'throw TypeError']);
+    });
+
+    it('should flag code that behaves differently', () => {
+        const code = 'module.exports = function (a) { return a ? 1 : 2; };';
+
+        assert.notDeepEqual(differential.run(code), differential.run(code.replace('1 : 2', '2 : 1')));
+    });
+
+    it('should generate the same snippets for a seed', () => {
+        assert.equal(differential.generateSnippet(differential.createRandom(7)),
+                     differential.generateSnippet(differential.createRandom(7)));
+    });
+
+    it('should reject unknown transforms and counts that are not numbers', () => {
+        const error = console.error;
+        const errors = [];
+
+        console.error = message => errors.push(message.split('\n')[0]);
+
+        try {
+            assert.deepEqual([
+                differential.main(['--transform', 'loops,bogus']),
+                differential.main(['--transform', 'helpers']),
+                differential.main(['--count']),
+                differential.main(['--count', 'ten']),
+                differential.main(['--seed', '-1']),
+                differential.main(['--verbose'])
+            ], [2, 2, 2, 2, 2, 2]);
+        } finally {
+            console.error = error;
+        }
+
+        assert.deepEqual(errors, [
+            "differential.js: Unknown transform 'bogus'.",
+            "differential.js: Unknown transform 'helpers'.",
+            'differential.js: --count takes a number.',
+            'differential.js: --count takes a number.',
+            'differential.js: --seed takes a number.',
+            "differential.js: Unknown option '--verbose'."
+        ]);
+    });
+
+    it('should find no transform that changes behaviour', function () {
+        this.timeout(60000);
+
+        const failures = differential.fuzz({seed: 1, count: 30});
+
+        assert.deepEqual(failures.map(failure => `${failure.seed} ${failure.transform}`), []);
+    });
+});
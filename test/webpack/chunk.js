@@ -0,0 +1 @@
+(window.webpackJsonp=window.webpackJsonp||[]).push([[1],{7:function(e,t,n){var r=n(8);e.exports=function(){return r.a}},8:function(e,t){t.a=42}}]);
@@ -0,0 +1,47 @@
+/******/ (function(modules) { // webpackBootstrap
+/******/ 	var installedModules = {};
+/******/ 	function __webpack_require__(moduleId) {
+/******/ 		if(installedModules[moduleId]) {
+/******/ 			return installedModules[moduleId].exports;
+/******/ 		}
+/******/ 		var module = installedModules[moduleId] = {
+/******/ 			i: moduleId,
+/******/ 			l: false,
+/******/ 			exports: {}
+/******/ 		};
+/******/ 		modules[moduleId].call(module.exports, module, module.exports, __webpack_require__);
+/******/ 		module.l = true;
+/******/ 		return module.exports;
+/******/ 	}
+/******/ 	__webpack_require__.m = modules;
+/******/ 	__webpack_require__.c = installedModules;
+/******/ 	__webpack_require__.p = "";
+/******/ 	return __webpack_require__(__webpack_require__.s = "./src/main.js");
+/******/ })
+/************************************************************************/
+/******/ ({
+
+/***/ "./src/lib/fib.js":
+/***/ (function(module, exports) {
+
+module.exports = function (n) {
+    var a = 0, b = 1, f, i;
+    for (i = 1; i < n; i += 1) {
+        f = a + b;
+        a = b;
+        b = f;
+    }
+    return f;
+};
+
+/***/ }),
+
+/***/ "./src/main.js":
+/***/ (function(module, exports, __webpack_require__) {
+
+var fib = __webpack_require__("./src/lib/fib.js");
+console.log(fib(10));
+
+/***/ })
+
+/******/ });
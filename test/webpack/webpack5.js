@@ -0,0 +1 @@
+(()=>{var e={421:e=>{e.exports=function(e){var r=0,o=1,t,n;for(n=1;n<e;n+=1)t=r+o,r=o,o=t;return t}},88:(e,r,o)=>{var t=o(421);console.log(t(10))}},r={};function o(t){var n=r[t];if(void 0!==n)return n.exports;var s=r[t]={exports:{}};return e[t](s,s.exports,o),s.exports}o(88)})();
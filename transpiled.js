@@ -0,0 +1,1891 @@
+/*jslint node: true */
+'use strict';
+
+const uglifyES = require('uglify-es');
+
+const esm = require('./esm');
+
+const {printedName, isSymbol, isRequireCall} = esm;
+
+/*
+ Undo the boilerplate babel and TypeScript add to the modules they compile for
+ older engines. Each transform rewrites the code it recognises in place and
+ leaves everything that doesn't match its pattern exactly as it is:
+
+ - classes: the function wrappers built with `_classCallCheck`, `_createClass`
+   and `_inherits` (babel) or `__extends` (TypeScript) become classes.
+ - spread: `_toConsumableArray`, `__spreadArray`, `_objectSpread`, `__assign`
+   and the `.concat` and `.apply` calls around them become spread syntax.
+ - async: `_asyncToGenerator` and `__awaiter` become async functions. The
+   regenerator and `__generator` state machines they wrap are only restored
+   when they run straight through, without branches, loops or try.
+ - interop: modules compiled from ES modules (`exports.__esModule`,
+   `_interopRequireDefault`) become ES modules again, with `_foo.default`
+   restored to the default import.
+
+ Helpers are recognised by their name, the @babel/runtime or tslib module they
+ are required from or, once minified, by the error messages they throw.
+ */
+
+const transforms = ['classes', 'spread', 'async', 'interop'];
+
+const identifier = /^[A-Za-z_$][\w$]*$/;
+
+/* Helpers that can be removed once nothing uses them, with a pattern their
+ * printed function matches (in any babel or TypeScript version), so user
+ * functions that happen to have the name of a helper are left alone. */
+const helperShapes = new Map([
+    ['_interopRequireDefault', /__esModule/],
+    ['_interopRequireWildcard', /__esModule/],
+    ['_getRequireWildcardCache', /WeakMap/],
+    ['_typeof', /Symbol/],
+    ['_classCallCheck', /Cannot call a class as a function/],
+    ['_defineProperties', /Object\.defineProperty\(/],
+    ['_createClass', /\.prototype/],
+    ['_inherits', /Super expression must either be null or a function/],
+    ['_setPrototypeOf', /setPrototypeOf|__proto__/],
+    ['_getPrototypeOf', /getPrototypeOf|__proto__/],
+    ['_createSuper', /getPrototypeOf|Reflect\.construct/],
+    ['_isNativeReflectConstruct', /Reflect\.construct/],
+    ['_possibleConstructorReturn', /super\(\) hasn't been called|Derived constructors may only return/],
+    ['_assertThisInitialized', /this hasn't been initiali[sz]ed/],
+    ['_get', /getOwnPropertyDescriptor|Reflect\.get/],
+    ['_superPropBase', /hasOwnProperty/],
+    ['_toConsumableArray', /_arrayWithoutHoles|Array\.from|non-iterable/],
+    ['_arrayWithoutHoles', /Array\.isArray/],
+    ['_iterableToArray', /Array\.from/],
+    ['_unsupportedIterableToArray', /Array\.from/],
+    ['_arrayLikeToArray', /new Array\(/],
+    ['_nonIterableSpread', /non-iterable/],
+    ['_construct', /Reflect\.construct|\.bind\b/],
+    ['_objectSpread', /defineProperty|getOwnPropertySymbols/],
+    ['_objectSpread2', /defineProperty|getOwnPropertyDescriptors/],
+    ['ownKeys', /getOwnPropertySymbols/],
+    ['_defineProperty', /Object\.defineProperty\(/],
+    ['_extends', /Object\.assign|hasOwnProperty/],
+    ['asyncGeneratorStep', /Promise\.resolve/],
+    ['_asyncToGenerator', /new Promise/],
+    ['_regeneratorRuntime', /GeneratorFunction|regeneratorRuntime/],
+    ['__extends', /setPrototypeOf|__proto__|\.prototype/],
+    ['extendStatics', /setPrototypeOf|__proto__/],
+    ['__assign', /Object\.assign|hasOwnProperty/],
+    ['__spreadArray', /concat|slice/],
+    ['__spreadArrays', /arguments/],
+    ['__spread', /__read|concat/],
+    ['__read', /Symbol\.iterator/],
+    ['__awaiter', /Promise/],
+    ['__generator', /Generator is already executing/],
+    ['__importDefault', /__esModule/],
+    ['__importStar', /__esModule/],
+    ['__createBinding', /defineProperty|\[[\w$]+\] *= *[\w$]+\[/],
+    ['__setModuleDefault', /"?default"?/]
+]);
+
+const helperNames = new Set(helperShapes.keys());
+
+/* [name, number of parameters, pattern of the printed function] of helpers
+ * that can be told apart after minification. */
+const helperMarkers = [
+    ['_classCallCheck', 2, /Cannot call a class as a function/],
+    ['_inherits', 2, /Super expression must either be null or a function/],
+    ['_possibleConstructorReturn', 2, /this hasn't been initiali[sz]ed - super\(\) hasn't been called/],
+    ['_assertThisInitialized', 1, /this hasn't been initiali[sz]ed - super\(\) hasn't been called/],
+    ['_toConsumableArray', 1, /Invalid attempt to spread non-iterable instance/],
+    ['_interopRequireDefault', 1, /^function ?[\w$]*\(([\w$]+)\)\{return \1&&\1\.__esModule\?\1:\{"?default"?:\1\}\}$/],
+    ['_asyncToGenerator', 1, /^(?=.*new Promise)(?=.*"next")(?=.*"throw")/],
+    ['__generator', 2, /Generator is already executing/],
+    ['__extends', 2, /Class extends value /]
+];
+
+/* `@babel/runtime/helpers/createClass` and the like, also as the path
+ * extractModules rewrites them to when the runtime is kept. */
+const runtimeHelper = /(?:^|\/)(?:@babel\/runtime(?:-corejs\d)?|babel-runtime)\/helpers\/(?:esm\/)?([\w$]+?)(?:\.js)?$/;
+
+const runtimeRegenerator =
+    /(?:^|\/)(?:(?:@babel\/runtime(?:-corejs\d)?|babel-runtime)\/regenerator|regenerator-runtime)(?:\/index|\/runtime)?(?:\.js)?$/;
+
+const tslib = /(?:^|\/)tslib(?:\/tslib(?:\.es6)?)?(?:\.js)?$/;
+
+const isNumber = (node, value) => node instanceof uglifyES.AST_Number && node.value === value;
+
+const isString = (node, value) =>
+    node instanceof uglifyES.AST_String && (value === undefined || node.value === value);
+
+/* void 0, or undefined as decompress writes it. */
+const isVoidZero = node =>
+    (node instanceof uglifyES.AST_UnaryPrefix && node.operator === 'void' && isNumber(node.expression, 0)) ||
+    node instanceof uglifyES.AST_Undefined ||
+    (node instanceof uglifyES.AST_SymbolRef && node.name === 'undefined' && (!node.thedef || node.thedef.undeclared));
+
+const isTrue = node => node instanceof uglifyES.AST_True ||
+    (node instanceof uglifyES.AST_UnaryPrefix && node.operator === '!' && isNumber(node.expression, 0));
+
+const isFalse = node => node instanceof uglifyES.AST_False ||
+    (node instanceof uglifyES.AST_UnaryPrefix && node.operator === '!' && isNumber(node.expression, 1));
+
+/* `object.property`, where object is a symbol of the given name. */
+const isDot = (node, object, property) =>
+    node instanceof uglifyES.AST_Dot && node.property === property && isSymbol(node.expression, object);
+
+const isPlainFunction = node =>
+    node instanceof uglifyES.AST_Function && !node.is_generator && !node.async;
+
+/* `(0, f)` => `f` */
+const unwrapIndirect = node =>
+    node instanceof uglifyES.AST_Sequence && node.expressions.length === 2 && isNumber(node.expressions[0], 0) ?
+        node.expressions[1] :
+        node;
+
+/* Whether a symbol refers to a declaration, by its definition where both have
+ * one and by name otherwise (for nodes built by decompress). */
+const refersTo = (symbol, declaration) =>
+    symbol.thedef && declaration.thedef ?
+        symbol.thedef === declaration.thedef :
+        printedName(symbol) === printedName(declaration);
+
+function countNodes(node, predicate) {
+    let count = 0;
+
+    node.walk(new uglifyES.TreeWalker(child => {
+        if (predicate(child)) {
+            count += 1;
+        }
+    }));
+
+    return count;
+}
+
+const references = (node, name) => countNodes(node, child => isSymbol(child, name)) > 0;
+
+function replaceNode(node, predicate, replacement) {
+    return node.transform(new uglifyES.TreeTransformer(child => (predicate(child) ? replacement : undefined)));
+}
+
+/* Walk the code of a function, but not of the functions it defines (other
+ * than arrow functions), which have their own this, arguments and yield. */
+function walkOwnScope(lambda, visit) {
+    const walker = new uglifyES.TreeWalker(node => {
+        if (visit(node, walker)) return true;
+
+        return node instanceof uglifyES.AST_Lambda && !(node instanceof uglifyES.AST_Arrow);
+    });
+
+    [].concat(lambda.body).forEach(statement => statement.walk(walker));
+}
+
+function usesOwnThis(lambda) {
+    let found = false;
+
+    walkOwnScope(lambda, node => {
+        if (node instanceof uglifyES.AST_This || node instanceof uglifyES.AST_NewTarget ||
+                isSymbol(node, 'arguments')) {
+            found = true;
+        }
+    });
+
+    return found;
+}
+
+/* Call fn with the statement list of every block in node, innermost first. */
+function forEachBlock(node, fn) {
+    const blocks = [];
+
+    node.walk(new uglifyES.TreeWalker(child => {
+        if (child instanceof uglifyES.AST_Block && Array.isArray(child.body)) {
+            blocks.unshift(child);
+        }
+    }));
+
+    blocks.forEach(block => fn(block.body, block));
+}
+
+/* The name of the helper a function is, if it is one. */
+function recogniseHelper(name, value) {
+    if (!(value instanceof uglifyES.AST_Lambda)) return null;
+
+    const source = value.print_to_string();
+
+    if (helperShapes.has(name)) {
+        return helperShapes.get(name).test(source) ? name : null;
+    }
+    const marker = helperMarkers.find(([, parameters, pattern]) =>
+        value.argnames.length === parameters && pattern.test(source));
+
+    return marker ? marker[0] : null;
+}
+
+/* `this && this.__extends || function () {...}`, which is how TypeScript
+ * defines its helpers. */
+function typescriptHelper(value) {
+    const guard = value instanceof uglifyES.AST_Binary && value.operator === '||' && value.left;
+
+    if (guard instanceof uglifyES.AST_Binary && guard.operator === '&&' &&
+            guard.left instanceof uglifyES.AST_This && guard.right instanceof uglifyES.AST_Dot &&
+            guard.right.expression instanceof uglifyES.AST_This) {
+        return guard.right.property;
+    }
+
+    return null;
+}
+
+/* The module a helper is required from: `require(x)` or, for the modules of
+ * @babel/runtime, `_interopRequireDefault(require(x))`. */
+function requiredModule(value, helpers) {
+    if (isRequireCall(value)) {
+        return value.args[0].value;
+    }
+
+    if (value instanceof uglifyES.AST_Call && value.args.length === 1 && isRequireCall(value.args[0]) &&
+            helperOf(value.expression, helpers) === '_interopRequireDefault') {
+        return value.args[0].args[0].value;
+    }
+
+    return null;
+}
+
+/*
+ Find the helpers defined or required at the top level of a module. Returns a
+ map of the name they are bound to to {kind, access, def}, where kind is the
+ babel or TypeScript name of the helper, access is 'direct' for functions,
+ 'runtime' for modules of @babel/runtime (used as `x` or `x.default`) and
+ 'tslib' for tslib (whose helpers are used as `x.__extends`), and def the
+ definition of the binding.
+
+ This has to run before decompress changes the code of the helpers.
+ */
+function findHelpers(node) {
+    const helpers = new Map();
+    const add = (symbol, kind, access) => {
+        helpers.set(printedName(symbol), {kind, access, def: symbol.thedef || null});
+    };
+    const definitions = node.body.filter(statement => statement instanceof uglifyES.AST_Definitions);
+
+    node.body.filter(statement => statement instanceof uglifyES.AST_Defun).forEach(statement => {
+        const kind = recogniseHelper(printedName(statement.name), statement);
+
+        if (kind) add(statement.name, kind, 'direct');
+    });
+
+    definitions.forEach(statement => {
+        statement.definitions.forEach(({name, value}) => {
+            if (!(name instanceof uglifyES.AST_SymbolDeclaration) || !value) return;
+
+            const kind = typescriptHelper(value) || (value instanceof uglifyES.AST_Lambda &&
+                                                     recogniseHelper(printedName(name), value));
+
+            if (kind) add(name, kind, 'direct');
+        });
+    });
+
+    /* After the functions, as the runtime modules are required through
+     * _interopRequireDefault. */
+    definitions.forEach(statement => {
+        statement.definitions.forEach(({name, value}) => {
+            const request = name instanceof uglifyES.AST_SymbolDeclaration && value &&
+                requiredModule(value, helpers);
+            const match = request && runtimeHelper.exec(request);
+
+            if (match) {
+                add(name, `_${match[1]}`, 'runtime');
+            } else if (request && runtimeRegenerator.test(request)) {
+                add(name, 'regeneratorRuntime', 'runtime');
+            } else if (request && tslib.test(request)) {
+                add(name, null, 'tslib');
+            }
+        });
+    });
+
+    return helpers;
+}
+
+function lookupHelper(symbol, helpers) {
+    const helper = helpers.get(printedName(symbol));
+
+    if (helper && (!symbol.thedef || !helper.def || symbol.thedef === helper.def)) {
+        return helper;
+    }
+
+    return null;
+}
+
+/* The kind of helper an expression refers to, if any. */
+function helperOf(node, helpers) {
+    node = unwrapIndirect(node);
+
+    if (node instanceof uglifyES.AST_SymbolRef) {
+        const helper = lookupHelper(node, helpers);
+
+        if (helper) {
+            return helper.access === 'tslib' ? null : helper.kind;
+        }
+
+        return node.name === 'regeneratorRuntime' && (!node.thedef || node.thedef.undeclared) ?
+            'regeneratorRuntime' : null;
+    }
+
+    if (node instanceof uglifyES.AST_Dot && node.expression instanceof uglifyES.AST_SymbolRef) {
+        const helper = lookupHelper(node.expression, helpers);
+
+        if (helper && helper.access === 'tslib') {
+            return helperNames.has(node.property) ? node.property : null;
+        }
+
+        if (helper && helper.access === 'runtime' && node.property === 'default') {
+            return helper.kind;
+        }
+    }
+
+    /* The regenerator runtime of babel 7.18 and later. */
+    if (node instanceof uglifyES.AST_Call && !node.args.length &&
+            helperOf(node.expression, helpers) === '_regeneratorRuntime') {
+        return 'regeneratorRuntime';
+    }
+
+    return null;
+}
+
+const isHelperCall = (node, kinds, helpers) =>
+    node instanceof uglifyES.AST_Call && [].concat(kinds).indexOf(helperOf(node.expression, helpers)) !== -1;
+
+const isRuntimeCall = (node, method, helpers) =>
+    node instanceof uglifyES.AST_Call && node.expression instanceof uglifyES.AST_Dot &&
+    node.expression.property === method && helperOf(node.expression.expression, helpers) === 'regeneratorRuntime';
+
+/* `return f.apply(this, arguments)` => f */
+function forwardedTo(lambda) {
+    const returned = lambda.body.length === 1 && lambda.body[0] instanceof uglifyES.AST_Return &&
+        lambda.body[0].value;
+
+    if (returned instanceof uglifyES.AST_Call && returned.expression instanceof uglifyES.AST_Dot &&
+            returned.expression.property === 'apply' &&
+            returned.expression.expression instanceof uglifyES.AST_SymbolRef &&
+            returned.args.length === 2 && returned.args[0] instanceof uglifyES.AST_This &&
+            isSymbol(returned.args[1], 'arguments')) {
+        return returned.expression.expression;
+    }
+
+    return null;
+}
+
+/*
+ async
+ */
+
+/* Whether a statement of a state machine case leaves the case other than by
+ * running to its end. */
+function escapes(node) {
+    let found = false;
+
+    const walker = new uglifyES.TreeWalker(child => {
+        if (found || child instanceof uglifyES.AST_Lambda) return true;
+
+        if (child instanceof uglifyES.AST_Return) {
+            found = true;
+        } else if (child instanceof uglifyES.AST_LoopControl) {
+            found = !walker.stack.slice(0, -1).some(parent => (child.label ?
+                parent instanceof uglifyES.AST_LabeledStatement && parent.label.name === child.label.name :
+                parent instanceof uglifyES.AST_IterationStatement ||
+                    (child instanceof uglifyES.AST_Break && parent instanceof uglifyES.AST_Switch)));
+        }
+    });
+
+    node.walk(walker);
+
+    return found;
+}
+
+/*
+ Turn the cases of a generator state machine that runs straight through back
+ into the body of a generator. `cases` is a list of {label, statements,
+ returned, yielded, next, stop} as parsed by regeneratorCase and
+ typescriptCase, where `returned` is {value} for a case that returns, and
+ `yielded` the value a case yields before the machine goes on at the case
+ labelled `next`.
+
+ The value sent back into the generator (`isSent`) has to be the first thing
+ the next case does, as that is where the yield expression goes. Returns null
+ for anything else, and for machines that use their state (`usesState`) in any
+ other way.
+ */
+function linearize(cases, isSent, usesState) {
+    const statements = [];
+    let resumed = null;
+    let next = null;
+    let done = false;
+    let i;
+
+    for (i = 0; i < cases.length; i += 1) {
+        const current = cases[i];
+
+        if (!current) return null;
+
+        if (done) {
+            if (current.statements.length || current.returned || current.yielded) return null;
+            continue;
+        }
+
+        if (resumed && current.label !== next) return null;
+
+        /* What the case evaluates, in order. */
+        const parts = current.statements.slice();
+        const returnIndex = current.returned && current.returned.value ? parts.push(current.returned.value) - 1 : -1;
+        const yieldIndex = current.yielded ? parts.push(current.yielded) - 1 : -1;
+
+        if (parts.some(escapes)) return null;
+
+        if (resumed) {
+            const counts = parts.map(part => countNodes(part, isSent));
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            const resume = new uglifyES.AST_Yield({expression: resumed, is_star: false});
+
+            if (total === 0) {
+                statements.push(new uglifyES.AST_SimpleStatement({body: resume}));
+            } else if (total === 1 && counts[0] === 1) {
+                parts[0] = replaceNode(parts[0], isSent, resume);
+            } else {
+                return null;
+            }
+        }
+
+        if (parts.some(usesState)) return null;
+
+        statements.push(...parts.slice(0, current.statements.length));
+
+        if (current.returned) {
+            statements.push(new uglifyES.AST_Return({value: returnIndex === -1 ? null : parts[returnIndex]}));
+            done = true;
+        }
+
+        resumed = yieldIndex === -1 ? null : parts[yieldIndex];
+        next = current.next;
+        done = done || !!current.stop;
+    }
+
+    return resumed ? null : statements;
+}
+
+/* `_context.next = 2; return x;` (yield), `return _context.abrupt("return",
+ * x);` (return) and `return _context.stop();` (end). */
+function regeneratorCase(branch, context) {
+    if (!(branch instanceof uglifyES.AST_Case) ||
+            !(branch.expression instanceof uglifyES.AST_Number || branch.expression instanceof uglifyES.AST_String)) {
+        return null;
+    }
+
+    const statements = branch.body.slice();
+    const parsed = {label: branch.expression.value, statements};
+    const last = statements[statements.length - 1];
+    const value = last instanceof uglifyES.AST_Return && last.value;
+    const isContextCall = (node, method) =>
+        node instanceof uglifyES.AST_Call && isDot(node.expression, context, method);
+    const jump = statements[statements.length - 2];
+
+    if (isContextCall(value, 'stop') && !value.args.length) {
+        statements.pop();
+        parsed.stop = true;
+    } else if (isContextCall(value, 'abrupt') && isString(value.args[0], 'return') && value.args.length <= 2) {
+        statements.pop();
+        parsed.returned = {value: value.args[1] || null};
+    } else if (value && jump instanceof uglifyES.AST_SimpleStatement && jump.body instanceof uglifyES.AST_Assign &&
+               jump.body.operator === '=' && isDot(jump.body.left, context, 'next') &&
+               jump.body.right instanceof uglifyES.AST_Number) {
+        statements.splice(-2, 2);
+        parsed.yielded = value;
+        parsed.next = jump.body.right.value;
+    }
+
+    return parsed;
+}
+
+/* The `switch (_context.prev = _context.next)` in `while (1)` of a
+ * regenerator state machine. */
+function regeneratorSwitch(machine, context) {
+    let loop = machine.body.length === 1 && machine.body[0];
+    let body;
+
+    if (loop instanceof uglifyES.AST_While && (isTrue(loop.condition) || isNumber(loop.condition, 1))) {
+        body = loop.body;
+    } else if (loop instanceof uglifyES.AST_For && !loop.init && !loop.condition && !loop.step) {
+        body = loop.body;
+    } else {
+        return null;
+    }
+
+    if (body instanceof uglifyES.AST_BlockStatement && body.body.length === 1) {
+        body = body.body[0];
+    }
+
+    loop = body instanceof uglifyES.AST_Switch && body.expression;
+
+    if (loop instanceof uglifyES.AST_Assign && isDot(loop.left, context, 'prev') &&
+            isDot(loop.right, context, 'next')) {
+        return body;
+    }
+
+    return null;
+}
+
+/* `regeneratorRuntime.mark(function _callee() { var x; return
+ * regeneratorRuntime.wrap(function _callee$(_context) {...}, _callee, this);
+ * })` => `function* () {...}` */
+function regeneratorFunction(call, helpers) {
+    const outer = isRuntimeCall(call, 'mark', helpers) && call.args.length === 1 && call.args[0];
+
+    if (!isPlainFunction(outer) || !outer.body.length) return null;
+
+    const last = outer.body[outer.body.length - 1];
+    const wrap = last instanceof uglifyES.AST_Return && last.value;
+
+    if (!isRuntimeCall(wrap, 'wrap', helpers) || wrap.args.length > 3 ||
+            (wrap.args[2] && !(wrap.args[2] instanceof uglifyES.AST_This))) {
+        return null;
+    }
+
+    const machine = wrap.args[0];
+
+    if (!isPlainFunction(machine) || machine.argnames.length !== 1) return null;
+
+    const context = printedName(machine.argnames[0]);
+    const branches = regeneratorSwitch(machine, context);
+    const statements = branches && linearize(
+        branches.body.map(branch => regeneratorCase(branch, context)),
+        node => isDot(node, context, 'sent'),
+        node => references(node, context));
+
+    if (!statements) return null;
+
+    return new uglifyES.AST_Function({
+        name: outer.name && !/^_callee\d*$/.test(outer.name.name) ? outer.name : null,
+        argnames: outer.argnames,
+        uses_arguments: outer.uses_arguments,
+        is_generator: true,
+        async: false,
+        body: outer.body.slice(0, -1).concat(statements)
+    });
+}
+
+/* `return [4 /*yield*\/, x];` (yield), `return [2 /*return*\/, x];` (return). */
+function typescriptCase(body, label) {
+    const statements = body.slice();
+    const parsed = {label, statements};
+    const last = statements[statements.length - 1];
+    const instruction = last instanceof uglifyES.AST_Return && last.value instanceof uglifyES.AST_Array &&
+        last.value.elements;
+
+    if (instruction && isNumber(instruction[0], 4) && instruction.length === 2) {
+        statements.pop();
+        parsed.yielded = instruction[1];
+        parsed.next = label + 1;
+    } else if (instruction && isNumber(instruction[0], 2) && instruction.length <= 2) {
+        statements.pop();
+        parsed.returned = {value: instruction[1] || null};
+    }
+
+    return parsed;
+}
+
+/* `function () { var x; return __generator(this, function (_a) { switch
+ * (_a.label) {...} }); }` => `function* () {...}` */
+function restoreTypescriptGenerator(lambda, helpers) {
+    if (!(lambda instanceof uglifyES.AST_Function || lambda instanceof uglifyES.AST_Defun) ||
+            lambda.is_generator || lambda.async || !lambda.body.length) {
+        return;
+    }
+
+    const last = lambda.body[lambda.body.length - 1];
+    const call = last instanceof uglifyES.AST_Return && last.value;
+
+    if (!isHelperCall(call, '__generator', helpers) || call.args.length !== 2 ||
+            !(call.args[0] instanceof uglifyES.AST_This) || !isPlainFunction(call.args[1]) ||
+            call.args[1].argnames.length > 1) {
+        return;
+    }
+
+    const machine = call.args[1];
+    const state = machine.argnames.length ? printedName(machine.argnames[0]) : null;
+    const branches = machine.body.length === 1 && machine.body[0] instanceof uglifyES.AST_Switch &&
+        isDot(machine.body[0].expression, state, 'label') && machine.body[0].body;
+    const cases = branches ?
+        branches.map(branch => (branch instanceof uglifyES.AST_Case && branch.expression instanceof uglifyES.AST_Number ?
+                                typescriptCase(branch.body, branch.expression.value) : null)) :
+        [typescriptCase(machine.body, 0)];
+    const statements = linearize(
+        cases,
+        node => node instanceof uglifyES.AST_Call && !node.args.length && isDot(node.expression, state, 'sent'),
+        node => state !== null && references(node, state));
+
+    if (statements) {
+        lambda.is_generator = true;
+        lambda.body = lambda.body.slice(0, -1).concat(statements);
+    }
+}
+
+/* Make a generator function async, with its (own) yields as awaits. Returns
+ * false for generators that delegate with `yield*`. */
+function makeAsync(lambda) {
+    let delegates = false;
+
+    walkOwnScope(lambda, node => {
+        if (node instanceof uglifyES.AST_Yield && node.is_star) {
+            delegates = true;
+        }
+    });
+
+    if (delegates) return false;
+
+    const transformer = new uglifyES.TreeTransformer(
+        node => (node instanceof uglifyES.AST_Lambda && !(node instanceof uglifyES.AST_Arrow) ? node : undefined),
+        node => {
+            if (node instanceof uglifyES.AST_Yield) {
+                return new uglifyES.AST_Await({expression: node.expression || new uglifyES.AST_Undefined()});
+            }
+        });
+
+    lambda.body = lambda.body.map(statement => statement.transform(transformer));
+    lambda.is_generator = false;
+    lambda.async = true;
+
+    return true;
+}
+
+/* A function that only returns `__awaiter(this, void 0, void 0, function* ()
+ * {...})` becomes async with the body of the generator. */
+function restoreAwaiter(lambda, helpers) {
+    const body = lambda.body;
+    const call = Array.isArray(body) ?
+        body.length === 1 && body[0] instanceof uglifyES.AST_Return && body[0].value :
+        body;
+
+    if (lambda instanceof uglifyES.AST_Accessor || lambda.async || lambda.is_generator ||
+            !isHelperCall(call, '__awaiter', helpers) || call.args.length !== 4) {
+        return;
+    }
+
+    const [self, args, promise, generator] = call.args;
+
+    if (!(self instanceof uglifyES.AST_This) || !isVoidZero(promise) ||
+            !(generator instanceof uglifyES.AST_Function) || !generator.is_generator || generator.async ||
+            generator.argnames.length) {
+        return;
+    }
+
+    /* Without arguments, the generator has an empty arguments object. */
+    let usesArguments = false;
+
+    walkOwnScope(generator, node => {
+        usesArguments = usesArguments || isSymbol(node, 'arguments');
+    });
+
+    if (isVoidZero(args) ? usesArguments : !isSymbol(args, 'arguments')) {
+        return;
+    }
+
+    if (makeAsync(generator)) {
+        lambda.async = true;
+        lambda.body = generator.body;
+    }
+}
+
+/* `function () { var _ref = ASYNC; return function foo() { return
+ * _ref.apply(this, arguments); }; }()` and, for methods, `function () { var
+ * _foo = ASYNC; function foo() { return _foo.apply(this, arguments); } return
+ * foo; }()` => ASYNC, named foo. */
+function asyncWrapper(call) {
+    const wrapper = call.expression;
+
+    if (!(wrapper instanceof uglifyES.AST_Function || wrapper instanceof uglifyES.AST_Arrow) ||
+            wrapper.argnames.length || call.args.length || !Array.isArray(wrapper.body)) {
+        return null;
+    }
+
+    const [definition, ...rest] = wrapper.body;
+    const def = definition instanceof uglifyES.AST_Definitions && definition.definitions.length === 1 &&
+        definition.definitions[0];
+    const asyncFunction = def && def.value;
+
+    if (!(asyncFunction instanceof uglifyES.AST_Function) || !asyncFunction.async) return null;
+
+    const returned = rest[rest.length - 1] instanceof uglifyES.AST_Return && rest[rest.length - 1].value;
+    let forwarder;
+
+    if (rest.length === 1 && isPlainFunction(returned)) {
+        forwarder = returned;
+    } else if (rest.length === 2 && rest[0] instanceof uglifyES.AST_Defun && isSymbol(returned, printedName(rest[0].name))) {
+        forwarder = rest[0];
+    } else {
+        return null;
+    }
+
+    const target = forwardedTo(forwarder);
+
+    if (!target || !refersTo(target, def.name)) return null;
+
+    if (forwarder.name) {
+        asyncFunction.name = new uglifyES.AST_SymbolLambda({name: printedName(forwarder.name)});
+    }
+
+    return asyncFunction;
+}
+
+/* `function foo() { return _foo.apply(this, arguments); } function _foo() {
+ * _foo = ASYNC; return _foo.apply(this, arguments); }` => `async function
+ * foo() {...}` */
+function restoreAsyncDeclarations(body) {
+    body.slice().forEach(statement => {
+        const target = statement instanceof uglifyES.AST_Defun && !statement.async && forwardedTo(statement);
+        const inner = target && body.find(other => other instanceof uglifyES.AST_Defun && refersTo(target, other.name));
+
+        if (!inner || inner === statement || inner.argnames.length || inner.body.length !== 2) return;
+
+        const assign = inner.body[0] instanceof uglifyES.AST_SimpleStatement && inner.body[0].body;
+        const forwarded = forwardedTo({body: inner.body.slice(1)});
+
+        if (!(assign instanceof uglifyES.AST_Assign) || assign.operator !== '=' ||
+                !(assign.left instanceof uglifyES.AST_SymbolRef) || !refersTo(assign.left, inner.name) ||
+                !(assign.right instanceof uglifyES.AST_Function) || !assign.right.async ||
+                !forwarded || !refersTo(forwarded, inner.name)) {
+            return;
+        }
+
+        statement.argnames = assign.right.argnames;
+        statement.body = assign.right.body;
+        statement.uses_arguments = assign.right.uses_arguments;
+        statement.async = true;
+
+        const used = body.some(other => other !== inner &&
+            countNodes(other, node => node instanceof uglifyES.AST_SymbolRef && refersTo(node, inner.name)));
+
+        if (!used) {
+            body.splice(body.indexOf(inner), 1);
+        }
+    });
+}
+
+function restoreAsync(node, helpers) {
+    node.transform(new uglifyES.TreeTransformer(null, child => {
+        if (child instanceof uglifyES.AST_Call) {
+            const generator = regeneratorFunction(child, helpers);
+
+            if (generator) return generator;
+
+            if (isHelperCall(child, '_asyncToGenerator', helpers) && child.args.length === 1 &&
+                    child.args[0] instanceof uglifyES.AST_Function && child.args[0].is_generator &&
+                    !child.args[0].async && makeAsync(child.args[0])) {
+                return child.args[0];
+            }
+
+            return asyncWrapper(child) || undefined;
+        }
+
+        if (child instanceof uglifyES.AST_Lambda) {
+            restoreTypescriptGenerator(child, helpers);
+            restoreAwaiter(child, helpers);
+        }
+    }));
+
+    forEachBlock(node, restoreAsyncDeclarations);
+}
+
+/*
+ spread
+ */
+
+const hasHoles = array => array.elements.some(element => element instanceof uglifyES.AST_Hole);
+
+/* The elements an argument of concat or of a spread helper adds. */
+const spreadElements = node =>
+    (node instanceof uglifyES.AST_Array && !hasHoles(node) ?
+        node.elements :
+        [new uglifyES.AST_Expansion({expression: node})]);
+
+const isSpreadArray = node =>
+    node instanceof uglifyES.AST_Array && node.elements.some(element => element instanceof uglifyES.AST_Expansion);
+
+function restoreSpreadCall(node, helpers) {
+    const kind = helperOf(node.expression, helpers);
+    const args = node.args;
+
+    /* _toConsumableArray(a) => [...a] */
+    if (kind === '_toConsumableArray' && args.length === 1) {
+        return new uglifyES.AST_Array({elements: [new uglifyES.AST_Expansion({expression: args[0]})]});
+    }
+
+    /* __spreadArray([a], b, true) => [a, ...b] */
+    if (kind === '__spreadArray' && (args.length === 2 || args.length === 3) &&
+            args[0] instanceof uglifyES.AST_Array && !hasHoles(args[0])) {
+        return new uglifyES.AST_Array({elements: args[0].elements.concat(spreadElements(args[1]))});
+    }
+
+    /* __spreadArrays(a, [b]) => [...a, b] */
+    if (kind === '__spreadArrays' || kind === '__spread') {
+        return new uglifyES.AST_Array({elements: [].concat(...args.map(spreadElements))});
+    }
+
+    /* _objectSpread({}, a, {b: 1}) => {...a, b: 1} */
+    if (['_objectSpread', '_objectSpread2', '_extends', '__assign'].indexOf(kind) !== -1 &&
+            args[0] instanceof uglifyES.AST_Object) {
+        return new uglifyES.AST_Object({
+            properties: args[0].properties.concat(...args.slice(1).map(arg =>
+                (arg instanceof uglifyES.AST_Object &&
+                 arg.properties.every(property => property instanceof uglifyES.AST_ObjectKeyVal) ?
+                    arg.properties :
+                    [new uglifyES.AST_Expansion({expression: arg})])))
+        });
+    }
+
+    /* _construct(C, [...a]) => new C(...a) */
+    if (kind === '_construct' && args.length === 2 && args[1] instanceof uglifyES.AST_Array && !hasHoles(args[1])) {
+        return new uglifyES.AST_New({expression: args[0], args: args[1].elements});
+    }
+
+    const callee = node.expression instanceof uglifyES.AST_Dot && node.expression;
+
+    /* [a].concat([...b], [c]) => [a, ...b, c] */
+    if (callee && callee.property === 'concat' && callee.expression instanceof uglifyES.AST_Array &&
+            !hasHoles(callee.expression) &&
+            args.every(arg => arg instanceof uglifyES.AST_Array && !hasHoles(arg)) &&
+            [callee.expression, ...args].some(isSpreadArray)) {
+        return new uglifyES.AST_Array({elements: callee.expression.elements.concat(...args.map(arg => arg.elements))});
+    }
+
+    /* f.apply(void 0, [...a]) => f(...a), o.f.apply(o, [...a]) => o.f(...a) */
+    if (callee && callee.property === 'apply' && args.length === 2 && isSpreadArray(args[1])) {
+        const fn = callee.expression;
+        const self = args[0];
+        const sameObject = fn instanceof uglifyES.AST_PropAccess &&
+            ((self instanceof uglifyES.AST_This && fn.expression instanceof uglifyES.AST_This) ||
+             (self instanceof uglifyES.AST_SymbolRef && fn.expression instanceof uglifyES.AST_SymbolRef &&
+              refersTo(self, fn.expression)));
+
+        if (sameObject || (isVoidZero(self) && !(fn instanceof uglifyES.AST_PropAccess))) {
+            return new uglifyES.AST_Call({expression: fn, args: args[1].elements});
+        }
+    }
+
+    /* new (Function.prototype.bind.apply(C, [null, ...a]))() => new C(...a) */
+    return null;
+}
+
+function restoreSpread(node, helpers) {
+    node.transform(new uglifyES.TreeTransformer(null, child => {
+        if (child instanceof uglifyES.AST_Call && !(child instanceof uglifyES.AST_New)) {
+            return restoreSpreadCall(child, helpers) || undefined;
+        }
+
+        if (child instanceof uglifyES.AST_New && !child.args.length && child.expression instanceof uglifyES.AST_Call) {
+            const bind = child.expression;
+            const callee = bind.expression;
+
+            if (callee instanceof uglifyES.AST_Dot && callee.property === 'apply' &&
+                    callee.expression.print_to_string() === 'Function.prototype.bind' &&
+                    bind.args.length === 2 && bind.args[1] instanceof uglifyES.AST_Array &&
+                    bind.args[1].elements[0] instanceof uglifyES.AST_Null && !hasHoles(bind.args[1])) {
+                return new uglifyES.AST_New({expression: bind.args[0], args: bind.args[1].elements.slice(1)});
+            }
+        }
+    }));
+}
+
+/*
+ classes
+ */
+
+/* The key of a method: a name, a quoted name or a computed key. */
+function methodKey(key) {
+    if (isString(key)) {
+        return {key: new uglifyES.AST_SymbolMethod({name: key.value}), quote: identifier.test(key.value) ? undefined : '"'};
+    }
+
+    return {key};
+}
+
+/* A method, getter or setter (kind) of a class, from the function that
+ * implements it. */
+function classMember(key, value, kind, isStatic) {
+    if (!(value instanceof uglifyES.AST_Function) ||
+            (isString(key) && key.value === (isStatic ? 'prototype' : 'constructor')) ||
+            (kind !== 'method' && (value.is_generator || value.async))) {
+        return null;
+    }
+
+    /* A named function expression can refer to itself by name, a method
+     * can't. */
+    if (value.name && countNodes(value, node => node instanceof uglifyES.AST_SymbolRef && refersTo(node, value.name))) {
+        return null;
+    }
+
+    const properties = Object.assign(methodKey(key), {
+        static: isStatic,
+        value: new uglifyES.AST_Accessor({
+            argnames: value.argnames,
+            uses_arguments: value.uses_arguments,
+            body: value.body
+        })
+    });
+
+    if (kind === 'get') return new uglifyES.AST_ObjectGetter(properties);
+    if (kind === 'set') return new uglifyES.AST_ObjectSetter(properties);
+
+    return new uglifyES.AST_ConciseMethod(Object.assign(properties, {
+        is_generator: value.is_generator,
+        async: value.async
+    }));
+}
+
+/* The members described by an array of `{key: "name", value: function}` or
+ * `{key: "name", get: function, set: function}`, as passed to
+ * _createClass. */
+function descriptorMembers(descriptors, isStatic) {
+    if (!descriptors || isVoidZero(descriptors) || descriptors instanceof uglifyES.AST_Null) return [];
+    if (!(descriptors instanceof uglifyES.AST_Array)) return null;
+
+    const members = [];
+    const valid = descriptors.elements.every(descriptor => {
+        if (!(descriptor instanceof uglifyES.AST_Object) ||
+                !descriptor.properties.every(property => property instanceof uglifyES.AST_ObjectKeyVal &&
+                                             typeof property.key === 'string')) {
+            return false;
+        }
+
+        const fields = {};
+
+        descriptor.properties.forEach(property => {
+            fields[property.key] = property.value;
+        });
+
+        if (!fields.key || Object.keys(fields).some(field => ['key', 'value', 'get', 'set'].indexOf(field) === -1) ||
+                !!fields.value === !!(fields.get || fields.set)) {
+            return false;
+        }
+
+        return ['value', 'get', 'set'].filter(field => fields[field]).every(field => {
+            const member = classMember(fields.key, fields[field], field === 'value' ? 'method' : field, isStatic);
+
+            members.push(member);
+
+            return member;
+        });
+    });
+
+    return valid ? members : null;
+}
+
+/* `Object.defineProperty(Foo.prototype, "x", {get: ..., set: ...,
+ * enumerable: false, configurable: true})`, which is how TypeScript defines
+ * accessors. */
+function accessorMembers(call, isTarget) {
+    const [target, key, descriptor] = call.args;
+
+    if (!isDot(call.expression, 'Object', 'defineProperty') || call.args.length !== 3 ||
+            !isString(key) || !(descriptor instanceof uglifyES.AST_Object)) {
+        return null;
+    }
+
+    const isStatic = isTarget(target);
+    const members = [];
+
+    if (isStatic === null) return null;
+
+    const valid = descriptor.properties.every(property => {
+        if (!(property instanceof uglifyES.AST_ObjectKeyVal)) return false;
+
+        if (property.key === 'get' || property.key === 'set') {
+            members.push(classMember(key, property.value, property.key, isStatic));
+            return members[members.length - 1];
+        }
+
+        return (property.key === 'enumerable' && (isTrue(property.value) || isFalse(property.value))) ||
+            (property.key === 'configurable' && isTrue(property.value));
+    });
+
+    return valid && members.length ? members : null;
+}
+
+/* Parse a statement of a class wrapper (other than the constructor) into the
+ * class. Returns false for statements that don't belong to a class. */
+function classStatement(statement, state, helpers) {
+    const {name} = state;
+
+    /* Whether target is the prototype (false) or the class itself (true). */
+    const isTarget = target => {
+        if (isDot(target, name, 'prototype') || (state.prototype && isSymbol(target, state.prototype))) {
+            return false;
+        }
+
+        return isSymbol(target, name) ? true : null;
+    };
+
+    const body = statement instanceof uglifyES.AST_SimpleStatement && statement.body;
+
+    if (body instanceof uglifyES.AST_Call) {
+        const kind = helperOf(body.expression, helpers);
+
+        /* _inherits(Foo, _Bar), __extends(Foo, _super) */
+        if ((kind === '_inherits' || kind === '__extends') && body.args.length === 2 && !state.heritage &&
+                isSymbol(body.args[0], name) && state.superParameter &&
+                isSymbol(body.args[1], state.superParameter)) {
+            state.heritage = kind;
+            return true;
+        }
+
+        /* _createClass(Foo, [{key: "bar", value: function bar() {}}], [...]).
+         * Recognised by its arguments as it is hard to tell once minified. */
+        if (body.args.length >= 2 && body.args.length <= 3 && isSymbol(body.args[0], name) &&
+                (kind === '_createClass' || body.args[1] instanceof uglifyES.AST_Array)) {
+            const members = descriptorMembers(body.args[1], false);
+            const staticMembers = descriptorMembers(body.args[2], true);
+
+            if (!members || !staticMembers) return false;
+
+            state.members.push(...members, ...staticMembers);
+            return true;
+        }
+
+        const accessors = accessorMembers(body, isTarget);
+
+        if (accessors) {
+            state.members.push(...accessors);
+            return true;
+        }
+
+        return false;
+    }
+
+    /* Foo.prototype.bar = function () {}, Foo.bar = function () {} */
+    if (body instanceof uglifyES.AST_Assign && body.operator === '=' &&
+            body.left instanceof uglifyES.AST_PropAccess) {
+        const isStatic = isTarget(body.left.expression);
+        const key = body.left instanceof uglifyES.AST_Dot ?
+            new uglifyES.AST_String({value: body.left.property}) :
+            body.left.property;
+        const member = isStatic !== null && classMember(key, body.right, 'method', isStatic);
+
+        if (member) {
+            state.members.push(member);
+        }
+
+        return !!member;
+    }
+
+    const def = statement instanceof uglifyES.AST_Definitions && statement.definitions.length === 1 &&
+        statement.definitions[0];
+
+    /* var _super = _createSuper(Foo); */
+    if (def && isHelperCall(def.value, '_createSuper', helpers) && def.value.args.length === 1 &&
+            isSymbol(def.value.args[0], name) && !state.superName) {
+        state.superName = printedName(def.name);
+        return true;
+    }
+
+    /* var _proto = Foo.prototype; (babel's loose mode) */
+    if (def && isDot(def.value, name, 'prototype') && !state.prototype) {
+        state.prototype = printedName(def.name);
+        return true;
+    }
+
+    return false;
+}
+
+/* Whether an expression is the super class, as a constructor calls it. */
+function isSuperClass(node, state, helpers) {
+    const {name} = state;
+
+    /* _getPrototypeOf(Foo) */
+    if (isHelperCall(node, '_getPrototypeOf', helpers)) {
+        return node.args.length === 1 && isSymbol(node.args[0], name);
+    }
+
+    /* Foo.__proto__ || Object.getPrototypeOf(Foo) */
+    if (node instanceof uglifyES.AST_Binary && node.operator === '||') {
+        return isDot(node.left, name, '__proto__') && node.right instanceof uglifyES.AST_Call &&
+            isDot(node.right.expression, 'Object', 'getPrototypeOf') && node.right.args.length === 1 &&
+            isSymbol(node.right.args[0], name);
+    }
+
+    return (!!state.superName && isSymbol(node, state.superName)) ||
+        (state.heritage === '__extends' && isSymbol(node, state.superParameter));
+}
+
+/* The arguments of the super constructor call in `_super.call(this, a)`,
+ * `_super.apply(this, arguments)`, `_possibleConstructorReturn(this, ...)`
+ * and TypeScript's `_super.call(this, a) || this`. */
+function superArguments(node, state, helpers) {
+    if (node instanceof uglifyES.AST_Binary && node.operator === '||' && node.right instanceof uglifyES.AST_This &&
+            state.heritage === '__extends') {
+        let left = node.left;
+
+        /* _super !== null && _super.apply(this, arguments) || this */
+        if (left instanceof uglifyES.AST_Binary && left.operator === '&&' &&
+                left.left instanceof uglifyES.AST_Binary && left.left.operator === '!==' &&
+                isSymbol(left.left.left, state.superParameter) && left.left.right instanceof uglifyES.AST_Null) {
+            left = left.right;
+        }
+
+        return superArguments(left, Object.assign({}, state, {heritage: null, superName: state.superParameter}), helpers);
+    }
+
+    if (isHelperCall(node, '_possibleConstructorReturn', helpers) && node.args.length === 2 &&
+            node.args[0] instanceof uglifyES.AST_This) {
+        return superArguments(node.args[1], state, helpers);
+    }
+
+    const callee = node instanceof uglifyES.AST_Call && node.expression;
+
+    if (!(callee instanceof uglifyES.AST_Dot) || !(node.args[0] instanceof uglifyES.AST_This) ||
+            !isSuperClass(callee.expression, state, helpers)) {
+        return null;
+    }
+
+    if (callee.property === 'call') {
+        return node.args.slice(1);
+    }
+
+    if (callee.property === 'apply' && node.args.length === 2 && isSymbol(node.args[1], 'arguments')) {
+        return [new uglifyES.AST_Expansion({expression: node.args[1]})];
+    }
+
+    return null;
+}
+
+/* Replace the variable a derived constructor keeps `this` in with `this`,
+ * turning the functions in between (compiled arrow functions) back into
+ * arrow functions. */
+function restoreThis(lambda, thisName, helpers) {
+    const arrows = new Set();
+    let valid = true;
+
+    const walker = new uglifyES.TreeWalker(node => {
+        if (!isSymbol(node, thisName)) return;
+
+        const parent = walker.parent();
+
+        if ((parent instanceof uglifyES.AST_Assign && parent.left === node) ||
+                (parent instanceof uglifyES.AST_Unary && (parent.operator === '++' || parent.operator === '--'))) {
+            valid = false;
+        }
+
+        walker.stack.filter(scope => scope instanceof uglifyES.AST_Lambda && !(scope instanceof uglifyES.AST_Arrow))
+            .forEach(scope => {
+                if (!(scope instanceof uglifyES.AST_Function) || scope.name || scope.is_generator ||
+                        usesOwnThis(scope)) {
+                    valid = false;
+                }
+
+                arrows.add(scope);
+            });
+    });
+
+    lambda.body.forEach(statement => statement.walk(walker));
+
+    if (!valid) return false;
+
+    const transformer = new uglifyES.TreeTransformer(null, node => {
+        if (isSymbol(node, thisName) ||
+                (isHelperCall(node, '_assertThisInitialized', helpers) && node.args.length === 1 &&
+                 node.args[0] instanceof uglifyES.AST_This)) {
+            return new uglifyES.AST_This();
+        }
+
+        if (arrows.has(node)) {
+            return new uglifyES.AST_Arrow({argnames: node.argnames, body: node.body, async: node.async});
+        }
+    });
+
+    lambda.body = lambda.body.map(statement => statement.transform(transformer));
+
+    return true;
+}
+
+const isReturnOf = (statement, name) =>
+    statement instanceof uglifyES.AST_Return && isSymbol(statement.value, name);
+
+/* The constructor method of the class. Returns null if the class doesn't
+ * need one and false if the constructor isn't one babel or TypeScript
+ * write. */
+function restoreConstructor(constructor, state, helpers) {
+    const body = constructor.body.slice();
+    const first = body[0] instanceof uglifyES.AST_Definitions && body[0].definitions.length === 1 && body[0];
+    const isClassCallCheck = statement => statement instanceof uglifyES.AST_SimpleStatement &&
+        isHelperCall(statement.body, '_classCallCheck', helpers) && statement.body.args.length === 2 &&
+        statement.body.args[0] instanceof uglifyES.AST_This && isSymbol(statement.body.args[1], state.name);
+    let thisName = null;
+
+    /* var _this; _classCallCheck(this, Foo); */
+    if (first && !first.definitions[0].value && isClassCallCheck(body[1])) {
+        thisName = printedName(first.definitions[0].name);
+        body.shift();
+    }
+
+    if (isClassCallCheck(body[0])) {
+        body.shift();
+        state.marked = true;
+    }
+
+    if (state.heritage) {
+        const last = body[body.length - 1];
+        const implicit = body.length === 1 && last instanceof uglifyES.AST_Return && last.value &&
+            superArguments(last.value, state, helpers);
+
+        if (implicit && implicit.length === 1 && implicit[0] instanceof uglifyES.AST_Expansion &&
+                !constructor.argnames.length) {
+            return null;
+        }
+
+        const index = body.findIndex(statement => {
+            if (statement instanceof uglifyES.AST_Definitions && statement.definitions.length === 1 && !thisName) {
+                return !!superArguments(statement.definitions[0].value, state, helpers);
+            }
+
+            return statement instanceof uglifyES.AST_SimpleStatement && statement.body instanceof uglifyES.AST_Assign &&
+                statement.body.operator === '=' && thisName && isSymbol(statement.body.left, thisName) &&
+                !!superArguments(statement.body.right, state, helpers);
+        });
+
+        if (index === -1) return false;
+
+        const call = body[index];
+
+        if (call instanceof uglifyES.AST_Definitions) {
+            thisName = printedName(call.definitions[0].name);
+        }
+
+        if (!isReturnOf(last, thisName)) return false;
+
+        const args = superArguments(call instanceof uglifyES.AST_Definitions ? call.definitions[0].value : call.body.right,
+                                    state, helpers);
+
+        body[index] = new uglifyES.AST_SimpleStatement({
+            body: new uglifyES.AST_Call({expression: new uglifyES.AST_Super(), args})
+        });
+        body.pop();
+
+        /* Returning from a derived constructor is compiled to a helper
+         * call, which isn't restored. */
+        let returns = false;
+
+        walkOwnScope({body}, node => {
+            if (node instanceof uglifyES.AST_Return) {
+                returns = true;
+            }
+        });
+
+        if (returns) return false;
+    }
+
+    const method = new uglifyES.AST_Accessor({
+        argnames: constructor.argnames,
+        uses_arguments: constructor.uses_arguments,
+        body
+    });
+
+    if (thisName && !restoreThis(method, thisName, helpers)) return false;
+
+    if (!body.length && !constructor.argnames.length && !state.heritage) return null;
+
+    return new uglifyES.AST_ConciseMethod({
+        key: new uglifyES.AST_SymbolMethod({name: 'constructor'}),
+        static: false,
+        is_generator: false,
+        async: false,
+        value: method
+    });
+}
+
+/* super.bar(a) in methods: `_get(_getPrototypeOf(Foo.prototype), "bar",
+ * this).call(this, a)` (babel) and `_super.prototype.bar.call(this, a)`
+ * (TypeScript). */
+function restoreSuperAccess(member, state, helpers) {
+    const {name} = state;
+    const isHome = node => (member.static ?
+        isSymbol(node, name) :
+        isDot(node, name, 'prototype'));
+    const isSuperPrototype = node =>
+        (isHelperCall(node, '_getPrototypeOf', helpers) && node.args.length === 1 && isHome(node.args[0])) ||
+        (node instanceof uglifyES.AST_Binary && node.operator === '||' && node.left instanceof uglifyES.AST_Dot &&
+         node.left.property === '__proto__' && isHome(node.left.expression) &&
+         node.right instanceof uglifyES.AST_Call && isDot(node.right.expression, 'Object', 'getPrototypeOf') &&
+         node.right.args.length === 1 && isHome(node.right.args[0]));
+    /* The name of the property of super an expression reads, if any. */
+    const superProperty = node => {
+        if (isHelperCall(node, '_get', helpers) && node.args.length === 3 && isSuperPrototype(node.args[0]) &&
+                isString(node.args[1]) && node.args[2] instanceof uglifyES.AST_This) {
+            return node.args[1].value;
+        }
+
+        if (state.heritage === '__extends' && node instanceof uglifyES.AST_Dot) {
+            const home = member.static ? node.expression : isDot(node.expression, state.superParameter, 'prototype') &&
+                node.expression.expression;
+
+            if (home && isSymbol(home, state.superParameter)) {
+                return node.property;
+            }
+        }
+
+        return null;
+    };
+    const superDot = property => (identifier.test(property) ?
+        new uglifyES.AST_Dot({expression: new uglifyES.AST_Super(), property}) :
+        new uglifyES.AST_Sub({expression: new uglifyES.AST_Super(), property: new uglifyES.AST_String({value: property})}));
+
+    const transformer = new uglifyES.TreeTransformer(
+        node => (node instanceof uglifyES.AST_Lambda && !(node instanceof uglifyES.AST_Arrow) ? node : undefined),
+        node => {
+            const callee = node instanceof uglifyES.AST_Call && node.expression;
+
+            if (isHelperCall(node, '_get', helpers) && superProperty(node) !== null) {
+                return superDot(superProperty(node));
+            }
+
+            if (!(callee instanceof uglifyES.AST_Dot) || callee.property !== 'call' ||
+                    !(node.args[0] instanceof uglifyES.AST_This)) {
+                return;
+            }
+
+            /* The _get in it has already been restored. */
+            if (callee.expression instanceof uglifyES.AST_PropAccess &&
+                    callee.expression.expression instanceof uglifyES.AST_Super) {
+                return new uglifyES.AST_Call({expression: callee.expression, args: node.args.slice(1)});
+            }
+
+            if (superProperty(callee.expression) !== null) {
+                return new uglifyES.AST_Call({expression: superDot(superProperty(callee.expression)), args: node.args.slice(1)});
+            }
+        });
+
+    member.value.body = member.value.body.map(statement => statement.transform(transformer));
+}
+
+/*
+ `function () { function Foo() { _classCallCheck(this, Foo); ... }
+ _createClass(Foo, [...]); return Foo; }()` => `class Foo {...}`, and the same
+ with `_inherits(Foo, _Bar)` or TypeScript's `__extends(Foo, _super)` for
+ derived classes. TypeScript's wrappers of base classes are only recognised by
+ their `/** @class *\/` comment.
+ */
+function restoreClass(call, helpers) {
+    const wrapper = call.expression;
+
+    if (!isPlainFunction(wrapper) || wrapper.name || wrapper.argnames.length > 1 ||
+            call.args.length !== wrapper.argnames.length || wrapper.body.length < 2) {
+        return null;
+    }
+
+    const statements = wrapper.body.slice();
+    const returned = statements.pop();
+
+    if (!(returned instanceof uglifyES.AST_Return) || !(returned.value instanceof uglifyES.AST_SymbolRef)) return null;
+
+    const name = printedName(returned.value);
+    const constructor = statements.find(statement =>
+        statement instanceof uglifyES.AST_Defun && printedName(statement.name) === name);
+    const state = {
+        name,
+        superParameter: wrapper.argnames[0] ? printedName(wrapper.argnames[0]) : null,
+        superName: null,
+        prototype: null,
+        heritage: null,
+        marked: false,
+        members: []
+    };
+
+    if (!constructor || constructor.is_generator || constructor.async ||
+            !statements.every(statement => statement === constructor || classStatement(statement, state, helpers)) ||
+            (state.superParameter && !state.heritage)) {
+        return null;
+    }
+
+    const method = restoreConstructor(constructor, state, helpers);
+    const commented = [call.start, wrapper.start].some(token =>
+        token && (token.comments_before || []).some(comment => /@class\b/.test(comment.value)));
+
+    if (method === false || !(state.marked || state.heritage === '__extends' || commented)) return null;
+
+    const members = (method ? [method] : []).concat(state.members);
+
+    members.filter(member => member !== method).forEach(member => restoreSuperAccess(member, state, helpers));
+
+    /* The super class is only passed to the wrapper to call it, which the
+     * class can't do. */
+    const unresolved = [state.superParameter, state.superName, state.prototype].filter(Boolean);
+
+    if (members.some(member => unresolved.some(symbol => references(member.value, symbol)))) return null;
+
+    return new uglifyES.AST_ClassExpression({
+        name: new uglifyES.AST_SymbolClass({name, thedef: constructor.name.thedef}),
+        extends: state.heritage ? call.args[0] : null,
+        properties: members
+    });
+}
+
+/* `var Foo = class Foo {...};` => `class Foo {...}` */
+function restoreClassDeclarations(body) {
+    body.forEach((statement, i) => {
+        const def = statement instanceof uglifyES.AST_Definitions && statement.definitions.length === 1 &&
+            statement.definitions[0];
+        const value = def && def.value;
+
+        if (!(value instanceof uglifyES.AST_ClassExpression) || !(def.name instanceof uglifyES.AST_SymbolDeclaration) ||
+                printedName(def.name) !== printedName(value.name)) {
+            return;
+        }
+
+        /* A class can't be declared twice. */
+        const declarations = body.reduce((count, other) => count + countNodes(other, node =>
+            node instanceof uglifyES.AST_SymbolDeclaration && printedName(node) === printedName(def.name) &&
+            !(node instanceof uglifyES.AST_SymbolClass)), 0);
+
+        if (declarations !== 1) return;
+
+        /* The class refers to itself by the name it is declared with now. */
+        const inner = value.name.thedef;
+
+        value.properties.forEach(property => property.walk(new uglifyES.TreeWalker(node => {
+            if (node instanceof uglifyES.AST_SymbolRef && inner && node.thedef === inner) {
+                node.thedef = def.name.thedef;
+            }
+        })));
+
+        body[i] = new uglifyES.AST_DefClass({
+            name: new uglifyES.AST_SymbolDefClass({name: printedName(def.name), thedef: def.name.thedef}),
+            extends: value.extends,
+            properties: value.properties
+        });
+    });
+}
+
+function restoreClasses(node, helpers) {
+    node.transform(new uglifyES.TreeTransformer(null, child => {
+        if (child instanceof uglifyES.AST_Call && !(child instanceof uglifyES.AST_New)) {
+            return restoreClass(child, helpers) || undefined;
+        }
+    }));
+
+    forEachBlock(node, restoreClassDeclarations);
+}
+
+/*
+ interop
+ */
+
+/* Object.defineProperty(exports, "__esModule", {value: true}) or
+ * exports.__esModule = true */
+function isModuleMarker(statement) {
+    const body = statement instanceof uglifyES.AST_SimpleStatement && statement.body;
+
+    if (body instanceof uglifyES.AST_Call) {
+        const [target, key, descriptor] = body.args;
+
+        return isDot(body.expression, 'Object', 'defineProperty') && body.args.length === 3 &&
+            isSymbol(target, 'exports') && isString(key, '__esModule') &&
+            descriptor instanceof uglifyES.AST_Object && descriptor.properties.length === 1 &&
+            descriptor.properties[0].key === 'value' && isTrue(descriptor.properties[0].value);
+    }
+
+    return body instanceof uglifyES.AST_Assign && isDot(body.left, 'exports', '__esModule') && isTrue(body.right);
+}
+
+/* exports.b = exports.a = void 0, which declares the exports up front. */
+function isExportsDeclaration(statement) {
+    let node = statement instanceof uglifyES.AST_SimpleStatement && statement.body;
+
+    if (!(node instanceof uglifyES.AST_Assign)) return false;
+
+    while (node instanceof uglifyES.AST_Assign && node.operator === '=' &&
+           node.left instanceof uglifyES.AST_Dot && isSymbol(node.left.expression, 'exports')) {
+        node = node.right;
+    }
+
+    return isVoidZero(node);
+}
+
+/* exports.name = value */
+function exportStatement(statement) {
+    const body = statement instanceof uglifyES.AST_SimpleStatement && statement.body;
+
+    if (body instanceof uglifyES.AST_Assign && body.operator === '=' && body.left instanceof uglifyES.AST_Dot &&
+            isSymbol(body.left.expression, 'exports')) {
+        return {statement, name: body.left.property};
+    }
+
+    return null;
+}
+
+/* How a module is imported: `require(x)` (namespace), or through
+ * _interopRequireDefault (default) or _interopRequireWildcard (namespace). */
+function importValue(value, helpers) {
+    if (isRequireCall(value)) {
+        return {kind: 'namespace', request: value.args[0].value, interop: false};
+    }
+
+    if (value instanceof uglifyES.AST_Call && value.args.length === 1 && isRequireCall(value.args[0])) {
+        const helper = helperOf(value.expression, helpers);
+        const request = value.args[0].args[0].value;
+
+        if (helper === '_interopRequireDefault' || helper === '__importDefault') {
+            return {kind: 'default', request, interop: true};
+        }
+
+        if (helper === '_interopRequireWildcard' || helper === '__importStar') {
+            return {kind: 'namespace', request, interop: true};
+        }
+    }
+
+    return null;
+}
+
+/* The name for the default import of `_foo2` or `foo_1`: foo. */
+function importName(binding, taken) {
+    const name = printedName(binding).replace(/^_+/, '').replace(/_?\d+$/, '');
+
+    if (identifier.test(name) && !esm.reservedWords.has(name) && !taken.has(name)) {
+        return name;
+    }
+
+    return printedName(binding);
+}
+
+/*
+ Turn a module babel or TypeScript compiled from an ES module back into one:
+ its requires become imports and `exports.name = value` exports. Only modules
+ that show they were compiled (by `exports.__esModule` or the interop helpers)
+ and use require and exports in no other way are converted.
+ */
+function restoreModule(node, helpers) {
+    const body = node.body;
+    const imports = [];
+    const exported = [];
+    const dropped = new Set();
+    let compiled = false;
+    let valid = true;
+
+    body.forEach(statement => {
+        /* Modules are strict anyway. */
+        if (statement instanceof uglifyES.AST_Directive && statement.value === 'use strict') {
+            dropped.add(statement);
+        } else if (isModuleMarker(statement)) {
+            compiled = true;
+            dropped.add(statement);
+        } else if (isExportsDeclaration(statement)) {
+            dropped.add(statement);
+        } else if (exportStatement(statement)) {
+            exported.push(exportStatement(statement));
+        } else if (statement instanceof uglifyES.AST_SimpleStatement && isRequireCall(statement.body)) {
+            imports.push({statement, binding: null, kind: 'none', request: statement.body.args[0].value});
+        } else if (statement instanceof uglifyES.AST_Definitions) {
+            const found = statement.definitions.map(def => def.value &&
+                def.name instanceof uglifyES.AST_SymbolDeclaration && importValue(def.value, helpers));
+
+            if (found.every(Boolean)) {
+                found.forEach((imported, i) => {
+                    compiled = compiled || imported.interop;
+                    imports.push(Object.assign({statement, binding: statement.definitions[i].name}, imported));
+                });
+            } else if (found.some(Boolean)) {
+                valid = false;
+            }
+        }
+    });
+
+    if (!valid || !compiled) return;
+
+    const importStatements = new Set(imports.map(({statement}) => statement));
+    const bindings = new Map(imports.filter(({binding}) => binding).map(imported =>
+        [printedName(imported.binding), Object.assign(imported, {uses: []})]));
+    const taken = new Set();
+    const assigned = new Set();
+
+    /* Every use of require, exports and module has been accounted for. */
+    body.filter(statement => !importStatements.has(statement) && !dropped.has(statement)).forEach(statement => {
+        const walker = new uglifyES.TreeWalker(child => {
+            const parent = walker.parent();
+
+            if (child instanceof uglifyES.AST_Symbol) {
+                taken.add(printedName(child));
+            }
+
+            if (!(child instanceof uglifyES.AST_SymbolRef)) return;
+
+            const imported = bindings.get(printedName(child));
+
+            if ((parent instanceof uglifyES.AST_Assign && parent.left === child) ||
+                    (parent instanceof uglifyES.AST_Unary && (parent.operator === '++' || parent.operator === '--'))) {
+                assigned.add(printedName(child));
+            }
+
+            if (imported && refersTo(child, imported.binding)) {
+                imported.uses.push({ref: child, parent, grandparent: walker.parent(1)});
+            } else if (['require', 'module'].indexOf(printedName(child)) !== -1 &&
+                       (!child.thedef || child.thedef.undeclared)) {
+                valid = false;
+            } else if (isSymbol(child, 'exports') && !(exportStatement(statement) && statement.body.left === parent)) {
+                valid = false;
+            }
+        });
+
+        statement.walk(walker);
+    });
+
+    if (!valid) return;
+
+    const replacements = new Map();
+    const isWritten = ({parent, grandparent}) =>
+        (grandparent instanceof uglifyES.AST_Assign && grandparent.left === parent) ||
+        (grandparent instanceof uglifyES.AST_Unary && ['++', '--', 'delete'].indexOf(grandparent.operator) !== -1);
+    const isMember = use => use.parent instanceof uglifyES.AST_Dot && use.parent.expression === use.ref && !isWritten(use);
+    const importNodes = new Map();
+
+    bindings.forEach(imported => {
+        const {binding, uses, kind} = imported;
+        const symbol = printedName(binding);
+
+        /* The runtime of the interop helpers, which isn't needed any more. */
+        if (!uses.length && lookupHelper(binding, helpers)) {
+            imported.unused = true;
+            return;
+        }
+
+        if (assigned.has(symbol) || uses.some(isWritten) ||
+                uses.some(({parent}) => parent instanceof uglifyES.AST_Assign && parent.left instanceof uglifyES.AST_PropAccess &&
+                          parent.left.expression === binding)) {
+            valid = false;
+            return;
+        }
+
+        /* _foo.default => foo */
+        if (kind === 'default') {
+            if (!uses.every(use => isMember(use) && use.parent.property === 'default')) {
+                valid = false;
+                return;
+            }
+
+            const local = importName(binding, taken);
+
+            taken.add(local);
+            uses.forEach(({parent}) => replacements.set(parent, new uglifyES.AST_SymbolRef({name: local})));
+            imported.node = {imported_name: new uglifyES.AST_SymbolImport({name: local}), imported_names: null};
+            return;
+        }
+
+        /* (0, _foo.bar)() => bar(), where calling _foo.bar() directly would
+         * call it with the exports as this. */
+        const properties = [...new Set(uses.map(({parent}) => parent.property))];
+        const named = !imported.interop && uses.length && uses.every(use =>
+            isMember(use) && use.parent.property !== 'default' &&
+            !(use.grandparent instanceof uglifyES.AST_Call && use.grandparent.expression === use.parent)) &&
+            properties.every(property => identifier.test(property) && !taken.has(property));
+
+        if (named) {
+            properties.forEach(property => taken.add(property));
+            uses.forEach(({parent}) => replacements.set(parent, new uglifyES.AST_SymbolRef({name: parent.property})));
+            imported.node = {
+                imported_name: null,
+                imported_names: properties.map(property => new uglifyES.AST_NameMapping({
+                    foreign_name: new uglifyES.AST_SymbolImportForeign({name: property}),
+                    name: new uglifyES.AST_SymbolImport({name: property})
+                }))
+            };
+        } else {
+            imported.node = {
+                imported_name: null,
+                imported_names: [new uglifyES.AST_NameMapping({
+                    foreign_name: new uglifyES.AST_SymbolImportForeign({name: '*'}),
+                    name: new uglifyES.AST_SymbolImportForeign({name: symbol})
+                })]
+            };
+        }
+    });
+
+    if (!valid) return;
+
+    /* Exports of a top level variable that isn't assigned again keep
+     * following it, others are exported as constants. */
+    const declared = new Set();
+
+    body.forEach(statement => {
+        if (statement instanceof uglifyES.AST_Defun || statement instanceof uglifyES.AST_DefClass) {
+            declared.add(printedName(statement.name));
+        } else if (statement instanceof uglifyES.AST_Definitions && !importStatements.has(statement)) {
+            statement.definitions.filter(def => def.name instanceof uglifyES.AST_SymbolDeclaration)
+                .forEach(def => declared.add(printedName(def.name)));
+        }
+    });
+
+    const exportedNames = exported.map(({name}) => name);
+
+    if (new Set(exportedNames).size !== exportedNames.length ||
+            exported.some(({name, statement}) => name !== 'default' && !identifier.test(name) ||
+                          (!(statement.body.right instanceof uglifyES.AST_SymbolRef &&
+                             declared.has(printedName(statement.body.right)) &&
+                             !assigned.has(printedName(statement.body.right))) &&
+                           name !== 'default' && taken.has(name)))) {
+        return;
+    }
+
+    const transformer = new uglifyES.TreeTransformer(null, child => {
+        if (replacements.has(child)) {
+            return replacements.get(child);
+        }
+
+        /* (0, foo)() => foo() */
+        if (child instanceof uglifyES.AST_Call && child.expression instanceof uglifyES.AST_Sequence &&
+                unwrapIndirect(child.expression) instanceof uglifyES.AST_SymbolRef &&
+                [...replacements.values()].indexOf(unwrapIndirect(child.expression)) !== -1) {
+            child.expression = unwrapIndirect(child.expression);
+        }
+    });
+
+    body.forEach((statement, i) => {
+        if (!importStatements.has(statement) && !dropped.has(statement)) {
+            body[i] = statement.transform(transformer);
+        }
+    });
+
+    imports.forEach(imported => {
+        const nodes = importNodes.get(imported.statement) || [];
+
+        importNodes.set(imported.statement, imported.unused ? nodes : nodes.concat(new uglifyES.AST_Import(
+            Object.assign({module_name: new uglifyES.AST_String({value: imported.request})},
+                          imported.node || {imported_name: null, imported_names: null}))));
+    });
+
+    /* `var _default = value; exports.default = _default;` => `export default
+     * value`, unless value is a named function or class (which would then be
+     * declared in the module). */
+    const defaultValue = statement => {
+        const value = statement.body.right;
+        const previous = body[body.indexOf(statement) - 1];
+        const def = previous instanceof uglifyES.AST_Var && previous.definitions.length === 1 &&
+            previous.definitions[0];
+
+        if (!(value instanceof uglifyES.AST_SymbolRef) || !def || !def.value ||
+                !(def.name instanceof uglifyES.AST_SymbolDeclaration) || !refersTo(value, def.name) ||
+                assigned.has(printedName(value)) ||
+                countNodes(node, child => isSymbol(child, printedName(value))) !== 1 ||
+                ((def.value instanceof uglifyES.AST_Lambda || def.value instanceof uglifyES.AST_Class) && def.value.name)) {
+            return value;
+        }
+
+        dropped.add(previous);
+
+        return def.value;
+    };
+
+    const exportNodes = new Map(exported.map(({statement, name}) => {
+        const value = statement.body.right;
+
+        if (name === 'default') {
+            return [statement, new uglifyES.AST_Export({exported_value: defaultValue(statement), is_default: true})];
+        }
+
+        if (value instanceof uglifyES.AST_SymbolRef && declared.has(printedName(value)) &&
+                !assigned.has(printedName(value))) {
+            return [statement, new uglifyES.AST_Export({
+                exported_names: [new uglifyES.AST_NameMapping({
+                    foreign_name: new uglifyES.AST_SymbolExportForeign({name}),
+                    name: new uglifyES.AST_SymbolExport({name: printedName(value), thedef: value.thedef})
+                })]
+            })];
+        }
+
+        return [statement, new uglifyES.AST_Export({
+            exported_definition: new uglifyES.AST_Const({
+                definitions: [new uglifyES.AST_VarDef({name: new uglifyES.AST_SymbolConst({name}), value})]
+            })
+        })];
+    }));
+
+    node.body = [].concat(...body.filter(statement => !dropped.has(statement)).map(statement =>
+        importNodes.get(statement) || exportNodes.get(statement) || statement));
+}
+
+/*
+ cleanup
+ */
+
+/* Remove the helpers nothing uses any more: their functions, and the modules
+ * they are required from. */
+function removeUnusedHelpers(node, helpers) {
+    const isRemovable = (name, value) => {
+        const helper = lookupHelper(name, helpers);
+
+        if (!helper) return false;
+
+        return helper.access === 'direct' ?
+            value instanceof uglifyES.AST_Lambda || typescriptHelper(value) !== null :
+            !!value && requiredModule(value, helpers) !== null;
+    };
+    let removed = true;
+
+    while (removed) {
+        removed = false;
+
+        const used = new Set();
+
+        node.body.forEach(statement => {
+            const owner = statement instanceof uglifyES.AST_Defun ? statement.name : null;
+
+            statement.walk(new uglifyES.TreeWalker((child, descend) => {
+                if (child instanceof uglifyES.AST_VarDef && child.value) {
+                    child.value.walk(new uglifyES.TreeWalker(inner => {
+                        if (inner instanceof uglifyES.AST_SymbolRef && !refersTo(inner, child.name)) {
+                            used.add(inner.thedef || printedName(inner));
+                        }
+                    }));
+                    return true;
+                }
+
+                if (child instanceof uglifyES.AST_SymbolRef && !(owner && refersTo(child, owner))) {
+                    used.add(child.thedef || printedName(child));
+                }
+            }));
+        });
+
+        const isUsed = symbol => used.has(symbol.thedef || printedName(symbol)) ||
+            (!!symbol.thedef && used.has(printedName(symbol)));
+
+        node.body = node.body.filter(statement => {
+            if (statement instanceof uglifyES.AST_Defun && isRemovable(statement.name, statement) &&
+                    !isUsed(statement.name)) {
+                removed = true;
+                return false;
+            }
+
+            if (statement instanceof uglifyES.AST_Definitions) {
+                const definitions = statement.definitions.filter(def =>
+                    !(def.name instanceof uglifyES.AST_SymbolDeclaration && isRemovable(def.name, def.value) &&
+                      !isUsed(def.name)));
+
+                if (definitions.length !== statement.definitions.length) {
+                    removed = true;
+                    statement.definitions = definitions;
+                }
+
+                return definitions.length > 0;
+            }
+
+            return true;
+        });
+    }
+}
+
+/* Run the transforms that are enabled in options, with the helpers found
+ * by findHelpers before decompress changed the code. */
+function restore(node, helpers, options) {
+    if (options.async) restoreAsync(node, helpers);
+    if (options.spread) restoreSpread(node, helpers);
+    if (options.classes) restoreClasses(node, helpers);
+
+    removeUnusedHelpers(node, helpers);
+
+    if (options.interop) {
+        restoreModule(node, helpers);
+        removeUnusedHelpers(node, helpers);
+    }
+}
+
+module.exports = {
+    transforms,
+    findHelpers,
+    helperOf,
+    restore
+};
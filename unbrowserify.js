@@ -6,24 +6,25 @@ const Promise = require('bluebird');
 const assert = require('assert');
 const fs = Promise.promisifyAll(require('fs'));
 const path = require('path');
+const util = require('util');
 
-const latestVersion = require('latest-version');
 const _ = require('lodash');
-const isBuiltinModule = require('is-builtin-module');
 const mkdirp = require('mkdirp-promise');
 const uglifyES = require('uglify-es')
+const SourceMapConsumer = require('source-map').SourceMapConsumer
 
 const decompress = require('./decompress');
-
-const dependencies = new Set()
-
-/* Default options */
-
-const outputOptions = {
-    beautify: true,
-    ascii_only: true,
-    bracketize: true
-};
+const esm = require('./esm');
+const fingerprint = require('./fingerprint');
+const formats = require('./formats');
+const graph = require('./graph');
+const manifest = require('./manifest');
+const {parseCode} = require('./parse');
+const patches = require('./patches');
+const printer = require('./printer');
+const resolvers = require('./resolvers');
+const sourcemap = require('./sourcemap');
+const verify = require('./verify');
 
 /* Override printing of variable definitions to output each var on a separate line. */
 uglifyES.AST_Definitions.prototype._do_print = function (output, kind) {
@@ -42,7 +43,7 @@ uglifyES.AST_Definitions.prototype._do_print = function (output, kind) {
             def.print(output);
         });
     } else {
-        output.with_indent(output.indentation() + 4, function () {
+        output.with_indent(output.next_indent(), function () {
             self.definitions.forEach(function (def, i) {
                 if (i !== 0) {
                     output.print(',');
@@ -58,105 +59,62 @@ uglifyES.AST_Definitions.prototype._do_print = function (output, kind) {
     }
 };
 
-const parseFile = function* (filename) {
-    const code = yield fs.readFileAsync(filename, 'utf8');
-
-    const result = uglifyES.minify({[filename]: code}, {
-        parse: {},
-        compress: false,
-        mangle: false,
-        output: {
-            ast: true,
-            code: false  // optional - faster if false
-        }
-    });
-
-    if(result.error) throw result.error
-
-    const ast = result.ast
-    ast.figure_out_scope();
-
-    return ast;
-};
-
-function outputCode(ast, filename) {
-    const code = ast.print_to_string(outputOptions);
-
+function writeFile(filename, code) {
     if (!filename) return console.log(code);
 
     return mkdirp(path.dirname(filename))
     .then(() => fs.writeFileAsync(filename, code));
 }
 
-const findMainFunction = ast => {
-    let mainFunctionCall;
-
-    const visitor = new uglifyES.TreeWalker(node => {
-        if (node instanceof uglifyES.AST_Call) {
-            assert(mainFunctionCall === undefined, 'More than one top-level function found.');
-
-            mainFunctionCall = node;
-
-            return true;
-        }
-    });
+/* The path to write a file (relative to the output directory) to. Throws if
+ * it would end up outside of the output directory. */
+function outputPath(outputDirectory, file) {
+    const filename = path.join(outputDirectory, file);
+    const relative = path.relative(outputDirectory, filename);
 
-    ast.walk(visitor);
+    if (!relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+        throw new Error(`Refusing to write ${file}, it is outside of the output directory`);
+    }
 
-    return mainFunctionCall;
+    return filename;
 }
 
-const extractModuleNames = (moduleObject, main) => {
-    var moduleNames = {};
-
-    main.elements.forEach(element => {
-        moduleNames[element.value] = 'browser';
-    });
+const consoleLogger = {
+    info: console.log,
+    debug: console.log,
+    warn: console.warn
+};
 
-    const properties = [...moduleObject.properties]
-    while(properties.length)
-    {
-        const objectProperty = properties.shift()
+/* Logs to `options.logger` (an object with console-like info, debug and warn
+ * functions, console by default). Info is silenced by `quiet`, debug is only
+ * logged when `verbose`. */
+function createLog(options) {
+    const logger = options.logger || consoleLogger;
+    const level = options.quiet ? 0 : (options.verbose ? 2 : 1);
+
+    return {
+        info: (...args) => level >= 1 && logger.info(...args),
+        debug: (...args) => level >= 2 && logger.debug(...args),
+        warn: (...args) => logger.warn(...args)
+    };
+}
 
-        var moduleId = objectProperty.key,
-            moduleFunction = objectProperty.value.elements[0],
-            requireMapping = objectProperty.value.elements[1];
+/* Write the code of ast to filename (or standard output), see
+ * printer.printCode for the options. A file gets a source map next to it,
+ * back to the code ast was parsed from. */
+function outputCode(ast, filename, options) {
+    if (!filename) return writeFile(filename, printer.printCode(ast, options));
 
-        let moduleName = moduleNames[moduleId]
-        if(!moduleName)
-        {
-          properties.push(objectProperty)
-          continue
-        }
+    const {code, map} = printer.printCodeWithSourceMap(ast, options, path.basename(filename));
 
-        requireMapping.properties.forEach(function (prop) {
-            var name = prop.key,
-                id = prop.value.value;
-
-            if(name.startsWith('.'))
-                name = path.join(path.dirname(moduleName), name)
-            else
-                // Builtin modules could be filtered here, but it's better to
-                // add them so modules can be check to don't have several names
-                // (also as builtins) as a sanity check
-                name = path.join('node_modules', name, 'index')
-
-            if (!moduleNames[id]) {
-                moduleNames[id] = name;
-            } else if (moduleNames[id].toLowerCase() !== name.toLowerCase()) {
-                if(moduleNames[id].length <= name.length) {
-                    console.warn('More than one name found for module ' + id + ':');
-                    console.warn('    ' + moduleNames[id]);
-                    console.warn('    ' + name);
-                }
-                else
-                    moduleNames[moduleId] = moduleName += '/index';
-            }
-        });
-    }
-    return moduleNames;
+    return writeFile(filename, sourcemap.withSourceMappingURL(code, filename))
+        .then(() => writeFile(`${filename}.map`,
+                              JSON.stringify(sourcemap.relativeSources(map, path.dirname(filename)))));
 }
 
+const extractModuleNames = (moduleObject, main, knownNames, overrides) =>
+    graph.buildModuleGraph(moduleObject, main, knownNames, overrides).names;
+
 function renameArguments(moduleFunction) {
     var argNames = [
         'require', 'module', 'exports', 'moduleSource',
@@ -174,7 +132,7 @@ function renameArguments(moduleFunction) {
 }
 
 function updateRequires(moduleFunction, mapping) {
-    var visitor, name;
+    var visitor, paths = new Map(mapping);
 
     visitor = new uglifyES.TreeWalker(node => {
         if (node instanceof uglifyES.AST_Call &&
@@ -182,225 +140,981 @@ function updateRequires(moduleFunction, mapping) {
                 (node.expression.name === 'require' ||
                  (node.expression.thedef && node.expression.thedef.mangled_name === 'require')) &&
                 node.args.length === 1 &&
-                node.args[0] instanceof uglifyES.AST_String) {
-
-            name = path.basename(node.args[0].value, '.js');
-
-            if (mapping[name]) {
-                node.args[0].value = './' + mapping[name] + '.js';
-            }
+                node.args[0] instanceof uglifyES.AST_String &&
+                paths.has(node.args[0].value)) {
+            node.args[0].value = paths.get(node.args[0].value);
         }
     });
 
     moduleFunction.walk(visitor);
 }
 
-const resolveModulePaths = moduleDefinitions => {
-    /* DAG archtitecture
+/* Path to use in `require` to get from the module named `from` to the module
+ * named `to`, in the written file layout. */
+function relativeModulePath(from, to) {
+    const relative = path.relative(path.dirname(from), to).split(path.sep).join('/');
+
+    return (relative.startsWith('../') ? relative : './' + relative) + '.js';
+}
+
+/* Turn the module name each require string maps to into a path relative to
+ * the requiring module. */
+const resolveModulePaths = moduleDefinitions =>
+    moduleDefinitions.map(moduleDefinition => {
+        const {moduleName, moduleFunction, moduleMapping} = moduleDefinition;
+
+        const resolvedMapping = moduleMapping.map(([request, targetName]) =>
+            [request, relativeModulePath(moduleName, targetName)]);
+
+        return {moduleName, moduleFunction, moduleMapping: resolvedMapping};
+    });
+
+function isNotBuiltinModule(objectProperty)
+{
+    return graph.classifyModule(this[objectProperty.key]).kind !== 'builtin'
+}
+
+function isNotPublishedDependency(objectProperty)
+{
+    return graph.classifyModule(this[objectProperty.key]).kind !== 'dependency'
+}
 
-        edge <---- visitor
-          ^______/   |
-                     |
-            edge     |
-              ^______/
+/* The properties of the modules that are written, see extractModules. */
+function emittedModules(moduleObject, moduleNames, options = {}) {
+    let emittedProperties = moduleObject.properties;
 
-        Map_edge -> Set -> visitors
-    */
+    if (!options.keepBuiltins) {
+        emittedProperties = emittedProperties.filter(isNotBuiltinModule, moduleNames);
+    }
 
-    // Map<key, Set<String>>
-    const knownPaths = new Map();
+    if (!options.keepDependencies) {
+        emittedProperties = emittedProperties.filter(isNotPublishedDependency, moduleNames);
+    }
+
+    return emittedProperties;
+}
 
-    // Set<path, originName>
-    const registerPathMapping = (moduleName, path) => {
-        const knownPath = knownPaths.get(path);
+/*
+ Give the written modules that share a name (such as several entries, or
+ modules pinned to the same name) names of their own, by adding `~<n>` to
+ the name of all but the first, the way buildModuleGraph keeps names that
+ only differ in case apart. Modules in `pinned` (an object or set of ids)
+ keep their name, so several of them can still end up with the same name.
+ Takes the options of extractModules, and changes moduleNames.
+
+ Returns an object with:
+ - renamed: a list of {id, from, to} for each module that was renamed.
+ - merged: a list of {name, ids} for the pinned modules that share a name,
+   and are written to one file by extractModules.
+ */
+function separateModules(moduleObject, moduleNames, pinned = {}, options = {}) {
+    const isPinned = id => (pinned instanceof Set ? pinned.has(id) : id in pinned);
+    const taken = new Set(Object.keys(moduleNames).map(id => moduleNames[id].toLowerCase()));
+    const groups = new Map();
+    const renamed = [];
+    const merged = [];
+
+    emittedModules(moduleObject, moduleNames, options).forEach(({key}) => {
+        const id = String(key);
+        const name = moduleNames[id];
+
+        groups.set(name, [...(groups.get(name) || []), id]);
+    });
 
-        if (!knownPath) {
-            return knownPaths.set(path, new Set([moduleName]));
+    groups.forEach((ids, name) => {
+        if (ids.length < 2) return;
+
+        const pinnedIds = ids.filter(isPinned);
+        const kept = pinnedIds.length ? pinnedIds : ids.slice(0, 1);
+
+        if (kept.length > 1) {
+            merged.push({name, ids: kept});
         }
 
-        knownPath.has(moduleName) || knownPath.add(moduleName);
-    };
+        ids.filter(id => kept.indexOf(id) === -1).forEach(id => {
+            let unique = name, n = 1;
 
-    // nop: resolve file paths
-    moduleDefinitions.forEach(moduleDefinition => {
-        const {moduleName, moduleMapping} = moduleDefinition;
+            while (taken.has(unique.toLowerCase())) {
+                n += 1;
+                unique = `${name}~${n}`;
+            }
 
-        moduleMapping.forEach(([realPath, id]) => {
-            registerPathMapping(moduleName, path);
+            taken.add(unique.toLowerCase());
+            moduleNames[id] = unique;
+            renamed.push({id, from: name, to: unique});
         });
     });
 
-    return moduleDefinitions.map(moduleDefinition => {
-        const {moduleName, moduleMapping, moduleFunction} = moduleDefinition;
+    return {renamed, merged};
+}
 
-        const resolvedMapping = moduleMapping.map(([realPath, id]) => {
-            return [path.basename(moduleName, '.js'), id]
-        });
+/* (function () { ... }).call(this); so that the declarations and returns of
+ * a module that shares its file with others stay its own. */
+const moduleScope = body => new uglifyES.AST_SimpleStatement({
+    body: new uglifyES.AST_Call({
+        expression: new uglifyES.AST_Dot({
+            expression: new uglifyES.AST_Function({argnames: [], body}),
+            property: 'call'
+        }),
+        args: [new uglifyES.AST_This()]
+    })
+});
 
-        return {moduleName, moduleFunction, moduleMapping: resolvedMapping};
+/* Whether a statement returns from the module function. */
+function returnsFromModule(statement) {
+    let found = false;
+
+    statement.walk(new uglifyES.TreeWalker(node => {
+        if (found || node instanceof uglifyES.AST_Lambda) return true;
+
+        if (node instanceof uglifyES.AST_Return) {
+            found = true;
+        }
+    }));
+
+    return found;
+}
+
+/* `if (a) return;` */
+function isEarlyExit(statement) {
+    let body = statement instanceof uglifyES.AST_If && !statement.alternative && statement.body;
+
+    if (body instanceof uglifyES.AST_BlockStatement && body.body.length === 1) {
+        body = body.body[0];
+    }
+
+    return body instanceof uglifyES.AST_Return && !body.value;
+}
+
+/* Declarations that would only be visible in a block they are moved into
+ * (functions are hoisted out of it in sloppy mode only). */
+const isBlockScoped = statement =>
+    statement instanceof uglifyES.AST_Defun || statement instanceof uglifyES.AST_Let ||
+    statement instanceof uglifyES.AST_Const || statement instanceof uglifyES.AST_DefClass;
+
+/*
+ The statements of a module without its returns: a `return;` at the end is
+ dropped and `if (a) return; b();` becomes `if (!a) { b(); }`. Returns null
+ for other returns, and if that would move function, class, let or const
+ declarations into a block.
+ */
+function withoutReturns(body) {
+    const index = body.findIndex(returnsFromModule);
+
+    if (index === -1) return body;
+
+    const statement = body[index];
+    const rest = body.slice(index + 1);
+
+    if (statement instanceof uglifyES.AST_Return && !statement.value && !rest.length) {
+        return body.slice(0, index);
+    }
+
+    if (!isEarlyExit(statement) || rest.some(isBlockScoped)) {
+        return null;
+    }
+
+    const remaining = withoutReturns(rest);
+
+    if (!remaining) return null;
+
+    const condition = statement.condition;
+
+    return [
+        ...body.slice(0, index),
+        remaining.length ?
+            new uglifyES.AST_If({
+                condition: new uglifyES.AST_UnaryPrefix({operator: '!', expression: condition}),
+                body: new uglifyES.AST_BlockStatement({body: remaining}),
+                alternative: null
+            }) :
+            new uglifyES.AST_SimpleStatement({body: condition})
+    ];
+}
+
+/*
+ Find what a module uses of its function that doesn't exist at the top level
+ of a Node module: returns ({returns}), `this` (a list of {node, parent}),
+ `arguments` and the arguments browserify passes after require, module and
+ exports (bundleArguments, a list of names).
+ */
+function analyzeModuleFunction(moduleFunction) {
+    const extraArguments = moduleFunction.argnames.slice(3);
+    const result = {returns: false, this: [], arguments: false, bundleArguments: []};
+    const used = new Set();
+
+    const walker = new uglifyES.TreeWalker(node => {
+        if (node === moduleFunction) return;
+
+        /* The functions between the module function and node. */
+        const functions = walker.stack.slice(1, -1).filter(parent => parent instanceof uglifyES.AST_Lambda);
+        const local = functions.every(parent => parent instanceof uglifyES.AST_Arrow);
+
+        if (node instanceof uglifyES.AST_Return && !functions.length) {
+            result.returns = true;
+        } else if (node instanceof uglifyES.AST_This && local) {
+            result.this.push({node, parent: walker.parent()});
+        } else if (esm.isSymbol(node, 'arguments') && local) {
+            result.arguments = true;
+        } else if (node instanceof uglifyES.AST_SymbolRef && node.thedef) {
+            used.add(node.thedef);
+        }
     });
-};
 
-function isNotBuiltinModule(objectProperty)
-{
-    const path = this[objectProperty.key].split('/')
+    moduleFunction.walk(walker);
+
+    result.bundleArguments = extraArguments
+        .filter(argname => argname.thedef && used.has(argname.thedef))
+        .map(argname => esm.printedName(argname));
 
-    return !(path[0] === 'node_modules' && path[1] && isBuiltinModule(path[1]))
+    return result;
 }
 
-function isNotPublishedDependency(objectProperty)
-{
-    const path = this[objectProperty.key].split('/')
+/* A reference to the exports of a module that `this` can be replaced with,
+ * if exports is never assigned or declared elsewhere in the module. */
+function exportsReference(moduleFunction) {
+    const exportsArgument = moduleFunction.argnames[2];
+    const def = exportsArgument && exportsArgument.thedef;
+    let valid = true;
+
+    moduleFunction.walk(new uglifyES.TreeWalker(node => {
+        if (node instanceof uglifyES.AST_Symbol && esm.printedName(node) === 'exports' &&
+                (!def || node.thedef !== def) && node !== exportsArgument) {
+            valid = false;
+        }
+
+        if (def && node instanceof uglifyES.AST_Assign && node.left.thedef === def) {
+            valid = false;
+        }
+    }));
 
-    if(path[0] === 'node_modules')
-    {
-      let name = path[1]
-      if(name[0] === '@' && path[2]) name = `${name}/${path[2]}`  // scoped
+    if (!valid) return null;
 
-      // npm only allow lowercase named packages
-      if(name === name.toLowerCase())
-      {
-        dependencies.add(name)
+    return () => new uglifyES.AST_SymbolRef({name: def ? exportsArgument.name : 'exports', thedef: def});
+}
+
+/* `(function (require, module, exports) { ... }).call(this, require, module, exports);` */
+function wrapModule(moduleFunction) {
+    const names = ['require', 'module', 'exports'].slice(0, moduleFunction.argnames.length);
+
+    return new uglifyES.AST_SimpleStatement({
+        body: new uglifyES.AST_Call({
+            expression: new uglifyES.AST_Dot({expression: moduleFunction, property: 'call'}),
+            args: [new uglifyES.AST_This(), ...names.map(name => new uglifyES.AST_SymbolRef({name}))]
+        })
+    });
+}
+
+/*
+ The statements to write for a module function. Node runs the code with
+ other arguments, so `this` (the exports in browserify) becomes exports and
+ returns are turned into if statements. Modules that use their arguments or
+ return in other ways keep their function, and a warning is passed to warn.
+ */
+function moduleBody(moduleFunction, moduleName, warn) {
+    const uses = analyzeModuleFunction(moduleFunction);
+    const body = uses.returns ? withoutReturns(moduleFunction.body) : moduleFunction.body;
+    let reason = null;
+
+    if (uses.bundleArguments.length) {
+        reason = `it uses ${uses.bundleArguments.join(', ')}, which only exist in the bundle`;
+    } else if (uses.arguments) {
+        reason = 'it uses arguments';
+    } else if (!body) {
+        reason = 'it returns at the top level';
+    }
 
-        return false
-      }
+    if (reason) {
+        warn('Module %s is kept in its function, because %s', moduleName, reason);
+        return [wrapModule(moduleFunction)];
     }
 
-    return true
+    const reference = uses.this.length && exportsReference(moduleFunction);
+
+    if (reference) {
+        uses.this.forEach(({node, parent}) => {
+            const replacement = reference();
+
+            Object.keys(parent).forEach(key => {
+                if (parent[key] === node) {
+                    parent[key] = replacement;
+                } else if (Array.isArray(parent[key])) {
+                    parent[key] = parent[key].map(child => (child === node ? replacement : child));
+                }
+            });
+        });
+    }
+
+    return body;
 }
 
-function extractModules(moduleObject, moduleNames) {
-    const modules = {browser: new uglifyES.AST_Toplevel({body: []})};
+/*
+ Options:
+ - keepBuiltins: also emit the shims of Node builtin modules.
+ - keepDependencies: also emit the modules of published packages, instead of
+   adding the packages to the dependencies in package.json.
+ - warn: a function that is called (like util.format) with messages about
+   modules that are kept in their function, see moduleBody.
+
+ Modules with the same name are written to one file, each in its own
+ function scope. Use separateModules first to give them names of their own.
+ */
+function extractModules(moduleObject, moduleNames, options = {}) {
+    const modules = {};
+    const emittedProperties = emittedModules(moduleObject, moduleNames, options);
+    const warn = options.warn || (() => undefined);
+
+    /* Requires of modules that are not written (builtins and published
+     * dependencies) are left as they are, so Node resolves them itself. So
+     * are requires of dependencies that are written to the node_modules
+     * folder Node would look them up in (but not of builtin shims, Node
+     * would load the builtin module instead). */
+    const emittedIds = new Set(emittedProperties.map(({key}) => String(key)));
 
     // modulename moduleFunction
-    const moduleProperties = moduleObject.properties
-    .filter(isNotBuiltinModule, moduleNames)
-    .filter(isNotPublishedDependency, moduleNames)
-    .map(objectProperty => {
+    const moduleProperties = emittedProperties.map(objectProperty => {
         const moduleId = objectProperty.key;
         const [moduleFunction, requireMapping] = objectProperty.value.elements;
 
         const moduleName = moduleNames[moduleId];
 
-        let moduleMapping = [];
-
-        requireMapping.properties.forEach(({key, value}) => {
-            const rKey = path.basename(key, '.js');
-            const id = value.value;
-
-            moduleMapping.push([rKey, moduleNames[id]]);
-        });
+        const moduleMapping = requireMapping.properties
+        .filter(({value}) => emittedIds.has(String(value.value)))
+        .filter(({key, value}) => key.startsWith('.') ||
+                                  graph.classifyModule(moduleNames[value.value]).kind !== 'dependency' ||
+                                  graph.requireName(moduleName, key) !== moduleNames[value.value])
+        .map(({key, value}) => [key, moduleNames[value.value]]);
 
         return {moduleName, moduleFunction, moduleMapping};
     });
 
-    //const resolvedModuleProperties = resolveModulePaths(moduleProperties);
-    const resolvedModuleProperties = moduleProperties;
-
-    resolvedModuleProperties.forEach(({moduleName, moduleFunction, moduleMapping}) => {
-        const module = modules[moduleName] || new uglifyES.AST_Toplevel({body: []});
+    const resolvedModuleProperties = resolveModulePaths(moduleProperties);
 
-        modules[moduleName] = module;
+    const bodies = new Map();
 
+    resolvedModuleProperties.forEach(({moduleName, moduleFunction, moduleMapping}) => {
         renameArguments(moduleFunction);
         updateRequires(moduleFunction, moduleMapping);
 
-        modules[moduleName].body = [
-            ...modules[moduleName].body,
-            ...moduleFunction.body
-        ];
+        bodies.set(moduleName, [...(bodies.get(moduleName) || []),
+                                {moduleFunction, body: moduleBody(moduleFunction, moduleName, warn)}]);
+    });
+
+    bodies.forEach((list, moduleName) => {
+        if (list.length > 1) {
+            modules[moduleName] = new uglifyES.AST_Toplevel({body: list.map(({body}) => moduleScope(body))});
+            return;
+        }
+
+        const {moduleFunction, body} = list[0];
+
+        /* The comments at the start of the module (such as a license header)
+         * are printed with the module, even if decompress replaces the first
+         * statement. */
+        modules[moduleName] = new uglifyES.AST_Toplevel({
+            start: body.length ? body[0].start : moduleFunction.end,
+            body
+        });
     });
 
     return modules;
 }
 
-function writePackageJson(packageJson)
-{
-  if(!dependencies.size)
-    return writePackageJson2(packageJson)
+const toPackagePath = file => './' + file.split(path.sep).join('/');
+
+const isInPackage = name => !/(^|\/)node_modules\//.test(name);
+
+/* Reconstruct the `browser` field of package.json. For modules whose real
+ * file is known (from the source map or the bundle format), a require path
+ * that leads to another file was replaced by browserify, and a require of a
+ * package that leads to an empty module was mapped to `false`. */
+function browserField(moduleGraph, moduleObject, locatedIds, moduleFile) {
+    const browser = {};
+    const names = moduleGraph.names;
+    const emptyModules = new Set(moduleObject.properties
+        .filter(({value}) => !value.elements[0].body.length)
+        .map(({key}) => String(key)));
+
+    moduleGraph.edges.forEach(({from, to, request}) => {
+        if (!names[from] || !names[to] || !isInPackage(names[from])) return;
+
+        if (!request.startsWith('.')) {
+            if (emptyModules.has(to)) {
+                browser[request] = false;
+            } else if (locatedIds.has(to) && isInPackage(names[to])) {
+                browser[request] = toPackagePath(moduleFile(names[to]));
+            }
+            return;
+        }
 
-  const names = [...dependencies].sort()
+        const requested = graph.requireName(names[from], request);
 
-  return Promise.all(names.map(latestVersion))
-  .then(versions =>
-  {
-    packageJson.dependencies = versions.reduce((result, version, index) =>
-      ({...result, [names[index]]: `^${version}`}), {})
+        if (locatedIds.has(to) && isInPackage(names[to]) &&
+                requested !== names[to] && `${requested}/index` !== names[to]) {
+            browser[toPackagePath(requested + '.js')] = toPackagePath(moduleFile(names[to]));
+        }
+    });
 
-    return packageJson
-  })
-  .then(writePackageJson2)
+    return browser;
 }
 
-function writePackageJson2(packageJson)
+/* Merge into an existing package.json: its fields win, but dependencies and
+ * browser mappings it doesn't have are added. */
+function mergePackageJson(existing, packageJson)
 {
-  return fs.writeFileAsync('package.json', JSON.stringify(packageJson, null, 2))
+  const merged = Object.assign({}, packageJson, existing)
+
+  for(const field of ['dependencies', 'browser'])
+    if(typeof existing[field] === 'object' && typeof packageJson[field] === 'object')
+      merged[field] = Object.assign({}, packageJson[field], existing[field])
+
+  return merged
+}
+
+function writePackageJson(packageJson, {outputDirectory = '.', merge = false} = {})
+{
+  const filename = path.join(outputDirectory, 'package.json')
+
+  const existing = merge
+    ? fs.readFileAsync(filename, 'utf8').then(JSON.parse, e =>
+      {
+        if(e.code !== 'ENOENT') throw e
+      })
+    : Promise.resolve()
+
+  return existing
+  .then(existing => existing ? mergePackageJson(existing, packageJson) : packageJson)
+  .then(result => writeFile(filename, JSON.stringify(result, null, 2)))
+}
+
+/* Read a file, or standard input if the filename is `-`. */
+function readInput(filename) {
+    if (filename !== '-') {
+        return fs.readFileAsync(filename, 'utf8');
+    }
+
+    return new Promise((resolve, reject) => {
+        let code = '';
+
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => {
+            code += chunk;
+        });
+        process.stdin.on('end', () => resolve(code));
+        process.stdin.on('error', reject);
+    });
 }
 
-const unbrowserify = Promise.coroutine(function* (filename, outputDirectory) {
-    const ast = yield* parseFile(filename);
+/* The bundle formats with the given name(s), or all formats. */
+function selectFormats(names) {
+    if (!names) {
+        return formats.formats;
+    }
+
+    return [].concat(names).map(name => {
+        const format = formats.formats.find(candidate => candidate.name === name);
+
+        if (!format) {
+            throw new Error(`Unknown bundle format '${name}'.`);
+        }
+
+        return format;
+    });
+}
 
-    /*
-     Top level of each file should be:
+/* Parse a bundle and find its modules, and the original files of the modules
+ * if there is a source map. */
+function parseBundle(code, filename, bundleFormats, sourceMap) {
+    const ast = parseCode(code, filename);
+    const bundle = formats.detectBundle(ast, bundleFormats);
 
-     function e(t, n, r){ ... }({ ... }, {}, [ ... ]);
+    assert(bundle !== undefined, `${filename}: unable to find the modules of a known bundle format.`);
 
-     Where the omitted parts are:
-     1) Top level implementation of `require`
-     2) Module source
-     3) Ids of the `main` module.
+    const moduleSources = sourceMap ?
+        sourcemap.findModuleSources(bundle.moduleObject, sourceMap, filename) :
+        [];
 
-     The module source is an object literal, the key is the module's id,
-     the value is an array containing the module function and a object
-     literal of module name to id mappings.
-     */
+    return Object.assign({filename, moduleSources}, bundle);
+}
 
-    const mainFunction = findMainFunction(ast);
+const readBundle = Promise.coroutine(function* (filename, bundleFormats) {
+    const code = yield readInput(filename);
+    const sourceMap = yield sourcemap.readSourceMap(code, filename);
 
-    assert(mainFunction !== undefined, `${filename}: unable to find main function.`);
+    return parseBundle(code, filename, bundleFormats, sourceMap);
+});
 
-    const [moduleObject, __nop__, main] = mainFunction.args;
+/* Merge the module tables of several bundles into one. factor-bundle writes a
+ * common bundle plus one bundle per entry that all share module ids, so
+ * modules are only kept the first time their id is seen. Entry modules are
+ * named after the bundle they come from. */
+function mergeBundles(bundles) {
+    if (bundles.length === 1) {
+        return bundles[0];
+    }
 
-    assert(moduleObject instanceof uglifyES.AST_Object, `${filename}: first argument should be an object.`);
+    const seen = new Set();
+    const properties = [];
+    const elements = [];
+    const names = {};
+    const moduleSources = [];
 
-    const moduleNames = extractModuleNames(moduleObject, main);
-    const modules = extractModules(moduleObject, moduleNames);
+    bundles.forEach(bundle => {
+        const base = path.basename(bundle.filename, path.extname(bundle.filename));
+        const added = new Set();
 
-    return Promise.all(
-        Object.keys(modules)
-        .map(module => [module, modules[module]])
-        .map(([moduleName, module]) => {
-            decompress(module);
+        bundle.moduleObject.properties.forEach(objectProperty => {
+            const moduleId = String(objectProperty.key);
 
-            const moduleFile = path.join(outputDirectory, moduleName + '.js');
-            console.log('Writing %s', moduleFile);
+            if (!seen.has(moduleId)) {
+                seen.add(moduleId);
+                added.add(moduleId);
+                properties.push(objectProperty);
+            }
+        });
 
-            return outputCode(module, moduleFile);
-        })
-    )
-    .then(() => {
-      filename = filename.split('/')
-
-      writePackageJson({
-        name: filename[filename.length-1],
-        main: path.join(outputDirectory, moduleNames[2] + '.js'),
-        browser: path.join(outputDirectory, moduleNames[1] + '.js'),
-        scripts:
-        {
-          test: "node -e \"require('.')\""
+        bundle.main.elements.forEach((element, i, entries) => {
+            elements.push(element);
+            names[element.value] = entries.length === 1 ? base : `${base}-${element.value}`;
+        });
+
+        Object.assign(names, bundle.names);
+
+        moduleSources.push(...bundle.moduleSources.filter(({id}) => added.has(String(id))));
+    });
+
+    return {
+        moduleObject: new uglifyES.AST_Object({properties}),
+        main: new uglifyES.AST_Array({elements}),
+        names,
+        moduleSources
+    };
+}
+
+/*
+ Unpack parsed bundles (see parseBundle) without reading or writing files.
+
+ Options:
+ - names: an object of module id to module name, to pin the names of modules
+   (overriding both the require paths and the source map).
+ - fingerprints: fingerprint indexes to use in addition to the default index,
+   to identify the versions of bundled packages. Index objects are used as
+   they are, index files are read. `true` for only the default index, and
+   false to not identify packages (and not load any index).
+ - resolver: how to find the versions of dependencies that were not
+   identified by fingerprint, see resolvers.createResolver. Defaults to
+   `network`.
+ - keepBuiltins, keepDependencies: see extractModules.
+ - decompress: false to keep the module code as it is in the bundle, or the
+   options to pass to decompress. The interop transform, which turns modules
+   compiled from ES modules back into ES modules, only runs with `esm`.
+ - esm: convert the modules to ES modules where that is safe, see
+   esm.convertModules. They are written as .mjs files.
+ - output: the options of the printer, see printer.printCode.
+ - formatter: a Prettier compatible formatter (or the name of its module) to
+   format the written modules with, see printer.formatCode. Original sources
+   from the source map are written as they are.
+ - sourceMaps: also make source maps from the written modules back to the
+   bundles, see sourcemap.findRecoveredPosition. Not with a formatter, or for
+   original sources.
+ - published: a node_modules folder with the published packages to compare
+   the bundled modules of packages with (reading their files), see
+   patches.comparePublished.
+ - logger, quiet, verbose: see createLog.
+ - name: the name in package.json. Defaults to the name of the first bundle.
+
+ Resolves to an object with:
+ - modules: an object of file (relative to the output directory) to code.
+ - sourceMaps: an object of file to the source map of the module, with the
+   bundle filenames as sources. Empty without the `sourceMaps` option.
+ - packageJson: the package.json to write next to the modules.
+ - graph: the module graph, see buildModuleGraph.
+ - packages: the packages identified by fingerprint, see identifyPackages.
+ - manifest: the manifest of the modules, see manifest.buildManifest.
+ - patches: the modules that differ from the published packages, see
+   patches.comparePublished. Empty without the `published` option.
+ - warnings: a list of messages about things that may need a look, such as
+   modules that were required with several names. They are also logged.
+ */
+const unpackBundles = Promise.coroutine(function* (bundles, options = {}) {
+    const overrides = options.names || {};
+    const resolver = resolvers.createResolver(options.resolver);
+    const log = createLog(options);
+    const warnings = [];
+
+    const warn = (...args) => {
+        warnings.push(util.format(...args));
+        log.warn(...args);
+    };
+
+    bundles.forEach(bundle => {
+        log.debug('%s: %s bundle with %d modules', bundle.filename, bundle.format,
+                  bundle.moduleObject.properties.length);
+    });
+
+    const {moduleObject, main, names, moduleSources} = mergeBundles(bundles);
+
+    const moduleGraph = graph.buildModuleGraph(moduleObject, main, names, overrides);
+    const moduleNames = moduleGraph.names;
+
+    /* Prefer the original file names (and contents) from the source map. */
+    const originalSources = {};
+    const namedSources = sourcemap.nameModuleSources(moduleSources);
+
+    Object.keys(namedSources).forEach(id => {
+        const moduleSource = namedSources[id];
+
+        if (id in overrides) {
+            moduleSource.name = moduleNames[id];
+        }
+
+        moduleNames[id] = moduleSource.name;
+    });
+
+    const {renamed, merged} = separateModules(moduleObject, moduleNames, overrides, options);
+    const mergedNames = new Set(merged.map(({name}) => name));
+
+    /* Modules merged into one file are written from the bundle. */
+    Object.keys(namedSources).forEach(id => {
+        const moduleSource = namedSources[id];
+        const name = moduleNames[id];
+
+        if (mergedNames.has(name)) return;
+
+        if (name !== moduleSource.name || id in overrides) {
+            moduleSource.name = name;
+            moduleSource.file = name + path.extname(moduleSource.file);
+        }
+
+        originalSources[name] = moduleSource;
+    });
+
+    moduleGraph.nodes.forEach(node => {
+        node.name = moduleNames[node.id];
+        log.debug('Module %s: %s', node.id, node.name);
+    });
+
+    moduleGraph.conflicts.forEach(({id, names}) => {
+        warn('Module %s is also known as %s', id, names.slice(1).join(', '));
+    });
+
+    /* ES modules are written as .mjs files, see esm.useModuleExtension. */
+    let esModules = new Set();
+
+    const moduleFile = moduleName => {
+        const original = originalSources[moduleName];
+
+        if (original && original.content != null) return original.file;
+
+        return moduleName + (esModules.has(moduleName) ? '.mjs' : '.js');
+    };
+
+    renamed.forEach(({id, from, to}) => {
+        warn('Module %s is also named %s, writing it to %s', id, from, moduleFile(to));
+    });
+
+    merged.forEach(({name, ids}) => {
+        warn('Modules %s are all named %s, writing them to %s, each in its own function scope',
+             ids.join(', '), name, moduleFile(name));
+    });
+
+    const moduleManifest = manifest.buildManifest(moduleGraph, moduleObject,
+        Object.assign({moduleFile}, _.pick(options, 'keepBuiltins', 'keepDependencies')));
+
+    const packages = options.fingerprints === false ? {} : fingerprint.identifyPackages(moduleObject, moduleNames,
+        yield fingerprint.readIndex(options.fingerprints === true ? [] : options.fingerprints));
+
+    Object.keys(packages).forEach(name => {
+        log.info('Identified %s@%s', name, packages[name].range);
+    });
+
+    /* Compare before extractModules changes the requires. */
+    const modulePatches = options.published ?
+        yield patches.comparePublished(moduleObject, moduleNames, options.published) :
+        [];
+
+    modulePatches.forEach(patch => {
+        warn('%s differs from %s in %s@%s', patch.name, patch.file, patch.package, patch.version || '?');
+    });
+
+    const extracted = extractModules(moduleObject, moduleNames, Object.assign({}, options, {warn}));
+    const converted = {};
+    const originals = {};
+
+    if (!options.esm && options.decompress && options.decompress.interop) {
+        warn('Not restoring ES modules with the interop transform, the modules stay CommonJS without esm');
+    }
+
+    const decompressOptions = options.esm ? options.decompress : Object.assign({}, options.decompress, {interop: false});
+
+    Object.keys(extracted).forEach(moduleName => {
+        const original = originalSources[moduleName];
+
+        if (original && original.content != null) {
+            originals[moduleName] = original.content;
+        } else {
+            converted[moduleName] = extracted[moduleName];
+
+            if (options.decompress !== false) {
+                decompress(extracted[moduleName], decompressOptions);
+            }
+        }
+    });
+
+    if (options.esm) {
+        convertToESM(converted, originals, log);
+        esModules = esm.useModuleExtension(converted, Object.keys(extracted));
+
+        moduleManifest.modules.filter(module => module.file).forEach(module => {
+            module.file = moduleFile(module.name);
+        });
+    }
+
+    const modules = {};
+    const sourceMaps = {};
+    const mapped = options.sourceMaps && !options.formatter;
+
+    if (options.sourceMaps && options.formatter) {
+        warn('Not making source maps, the formatter changes the code after printing');
+    }
+
+    const extractedNames = Object.keys(extracted);
+    let i;
+
+    for (i = 0; i < extractedNames.length; i += 1) {
+        const file = moduleFile(extractedNames[i]);
+
+        if (extractedNames[i] in originals) {
+            modules[file] = originals[extractedNames[i]];
+        } else if (mapped) {
+            const {code, map} = printer.printCodeWithSourceMap(converted[extractedNames[i]], options.output,
+                                                               path.basename(file));
+
+            modules[file] = sourcemap.withSourceMappingURL(code, file);
+            sourceMaps[file] = map;
+        } else {
+            const code = printer.printCode(converted[extractedNames[i]], options.output);
+
+            modules[file] = options.formatter ?
+                yield printer.formatCode(code, file, options.formatter, options.output) :
+                code;
+        }
+    }
+
+    const dependencies = [...new Set(moduleManifest.modules
+        .filter(module => module.kind === 'dependency' && !module.emitted)
+        .map(module => module.package))].sort();
+
+    const locatedIds = new Set([...Object.keys(names || {}), ...Object.keys(namedSources)]);
+    const entry = main.elements.map(element => moduleNames[element.value]).find(Boolean);
+    const browser = browserField(moduleGraph, moduleObject, locatedIds, moduleFile);
+    const firstBundle = bundles[0].filename;
+
+    const packageJson = {
+        name: options.name || (firstBundle === '-' ? 'bundle' : path.basename(firstBundle)),
+        main: entry && toPackagePath(moduleFile(entry)),
+        browser: Object.keys(browser).length ? browser : undefined,
+        scripts: {
+            test: entry && esModules.has(entry) ?
+                `node -e "import('${toPackagePath(moduleFile(entry))}')"` :
+                "node -e \"require('.')\""
         },
-        devDependencies:
-        {
-          unbrowserify: 'UnifyMe/unbrowserify'
+        devDependencies: {
+            unbrowserify: 'UnifyMe/unbrowserify'
         }
-      })
+    };
+
+    if (dependencies.length) {
+        log.info('Resolving the versions of %d dependencies with the %s resolver', dependencies.length, resolver.name);
+        packageJson.dependencies = yield resolvers.resolveVersions(dependencies, resolver, packages, warn);
+    }
+
+    return {
+        modules,
+        sourceMaps,
+        packageJson,
+        graph: moduleGraph,
+        packages,
+        manifest: moduleManifest,
+        patches: modulePatches,
+        warnings
+    };
+});
+
+/* Convert the modules to ES modules where possible (see esm.convertModules).
+ * Original sources are written as they are, so they count as CommonJS. */
+function convertToESM(modules, originals, log) {
+    const commonjs = {};
+    const names = Object.keys(originals);
+    let i;
+
+    for (i = 0; i < names.length; i += 1) {
+        try {
+            commonjs[names[i]] = esm.findRequests(parseCode(originals[names[i]], names[i]));
+        } catch (e) {
+            log.warn('Not converting to ES modules, unable to parse %s: %s', names[i], e.message);
+            return;
+        }
+    }
+
+    const kept = esm.convertModules(modules, commonjs);
+
+    Object.keys(kept).forEach(name => {
+        log.debug('Module %s stays CommonJS: %s', name, kept[name]);
+    });
+}
+
+const silentLogger = {
+    info: () => undefined,
+    debug: () => undefined,
+    warn: () => undefined
+};
+
+/*
+ Unpack a bundle from a string, without reading or writing files. Takes the
+ options of unpackBundles, but only index objects as `fingerprints` and only
+ a formatter object as `formatter`, plus:
+ - filename: the name of the bundle, used in errors and for package.json.
+   Defaults to `bundle.js`.
+ - format: see unbrowserify.
+ - sourceMap: the source map of the bundle (as an object or JSON string).
+   Defaults to the inline source map of the bundle, if any.
+
+ Unlike unbrowserify, the resolver defaults to `offline`, packages are only
+ identified by fingerprint when `fingerprints` is given and nothing is logged
+ unless a logger is given; the warnings are in the result.
+
+ What still reads files: identifying packages loads the default index
+ (fingerprints.json, once), `published` reads the published packages, and a
+ `lockfile` resolver reads its lockfile.
+ */
+function unbrowserifyString(code, options = {}) {
+    return Promise.try(() => {
+        if (typeof options.formatter === 'string') {
+            throw new Error('unbrowserifyString takes a formatter object, not the name of its module');
+        }
+
+        if ([].concat(options.fingerprints || []).some(index => typeof index === 'string')) {
+            throw new Error('unbrowserifyString takes fingerprint index objects, not index files');
+        }
+
+        const filename = options.filename || 'bundle.js';
+        const sourceMap = options.sourceMap ?
+            new SourceMapConsumer(options.sourceMap) :
+            sourcemap.inlineSourceMap(code);
+        const bundle = parseBundle(code, filename, selectFormats(options.format), sourceMap);
+
+        return unpackBundles([bundle], Object.assign({logger: silentLogger, resolver: 'offline', fingerprints: false},
+                                                     options));
     });
+}
+
+/*
+ Unpack bundle file(s) into the output directory. Takes the options of
+ unpackBundles, plus:
+ - format: the name (or names) of the bundle formats to try, instead of all
+   formats.
+ - mergePackageJson: merge into an existing package.json in the output
+   directory instead of overwriting it.
+ - dryRun: do everything but write files, and don't look up the versions of
+   dependencies. Use the returned manifest to see what would be written.
+ - verify: bundle the written modules again with browserify and compare them
+   with the bundle, see verify.verifyModules. Not in a dry run. The
+   differences are added to the result as `divergences`.
+
+ The diffs of modules that differ from the published packages (see the
+ `published` option) are written to patches.diff.
+
+ A filename of `-` reads the bundle from standard input.
+
+ Resolves to the result of unpackBundles.
+ */
+const unbrowserify = Promise.coroutine(function* (filename, outputDirectory, options = {}) {
+    const bundleFormats = selectFormats(options.format);
+    const log = createLog(options);
+    const filenames = [].concat(filename);
+    const bundles = yield Promise.all(filenames.map(filename => readBundle(filename, bundleFormats)));
+
+    /* unpackBundles changes the modules, verify compares with a copy. */
+    const verified = options.verify && !options.dryRun ? mergeBundles(bundles).moduleObject.clone(true) : null;
+
+    const result = yield unpackBundles(bundles, options.dryRun ?
+        Object.assign({}, options, {resolver: 'offline'}) :
+        options);
+
+    /* Say what would be written in a dry run. */
+    const writing = options.dryRun ? 'Would write %s' : 'Writing %s';
+
+    /* Check all files before writing any. */
+    Object.keys(result.modules).forEach(file => outputPath(outputDirectory, file));
+
+    yield Promise.all(Object.keys(result.modules).map(file => {
+        const filename = outputPath(outputDirectory, file);
+
+        log.info(writing, filename);
+
+        return options.dryRun ? null : writeFile(filename, result.modules[file]);
+    }));
+
+    yield Promise.all(Object.keys(result.sourceMaps).map(file => {
+        const filename = outputPath(outputDirectory, `${file}.map`);
+        const map = sourcemap.relativeSources(result.sourceMaps[file], path.dirname(filename));
+
+        log.debug(writing, filename);
+
+        return options.dryRun ? null : writeFile(filename, JSON.stringify(map));
+    }));
+
+    if (!options.dryRun) {
+        yield writePackageJson(result.packageJson, {outputDirectory, merge: options.mergePackageJson});
+    }
+
+    if (result.patches.length) {
+        const filename = path.join(outputDirectory, 'patches.diff');
+
+        log.info(writing, filename);
+
+        if (!options.dryRun) {
+            yield writeFile(filename, patches.formatPatches(result.patches));
+        }
+    }
+
+    if (verified) {
+        log.info('Verifying %s', outputDirectory);
+
+        result.divergences = yield verify.verifyModules(verified, result.manifest, outputDirectory, options);
+
+        result.divergences.forEach(({reason, message}) => {
+            if (reason === 'decompress') {
+                log.debug(message);
+            } else {
+                log.warn(message);
+            }
+        });
+    }
+
+    return result;
 });
 
 module.exports = {
+    parseCode,
     outputCode,
-    findMainFunction,
+    findMainFunction: formats.findMainFunction,
+    detectBundle: formats.detectBundle,
+    formats: formats.formats,
     extractModuleNames,
+    buildModuleGraph: graph.buildModuleGraph,
+    separateModules,
     extractModules,
+    relativeModulePath,
+    outputPath,
+    browserField,
+    buildManifest: manifest.buildManifest,
+    formatTree: manifest.formatTree,
+    findRecoveredPosition: sourcemap.findRecoveredPosition,
+    mergePackageJson,
+    mergeBundles,
+    unpackBundles,
+    unbrowserifyString,
     unbrowserify
 };
@@ -0,0 +1,277 @@
+/*jslint node: true */
+'use strict';
+
+const Promise = require('bluebird');
+
+const path = require('path');
+
+const uglifyES = require('uglify-es');
+
+const decompress = require('./decompress');
+const formats = require('./formats');
+const {parseCode} = require('./parse');
+
+/*
+ Round-trip verification: bundle the written modules again with browserify and
+ compare the result with the bundle they were unpacked from. Each written
+ module is compared with the module it was unpacked from by:
+
+ - its requires, in order of appearance: each has to resolve to the file the
+   module it required in the bundle was written to. Requires of modules that
+   were not written (dependencies and builtins) only have to resolve outside
+   the written files, or not at all.
+ - its code, after renaming all variables in order of appearance (so the
+   names and formatting don't matter) and replacing the requests of the
+   requires with what they resolve to.
+
+ The reasons a module diverges are:
+ - missing: it is not in the new bundle (not required from the entries).
+ - naming: a request that was kept resolves somewhere else, because a module
+   was written to a different file than the request leads to.
+ - requires: a request that was rewritten resolves somewhere else.
+ - decompress: the code only differs by the decompress transforms.
+ - structure: the code differs in other ways, such as this or returns at the
+   top level of the module that were rewritten.
+ */
+
+/* What a require resolves to when it is not one of the written files. */
+const elsewhere = '<elsewhere>';
+
+function loadBrowserify() {
+    try {
+        return require('browserify');
+    } catch (e) {
+        throw new Error('Unable to find browserify, install it to verify the modules');
+    }
+}
+
+/* Bundle the files (relative to directory) with browserify, keeping the full
+ * paths as module ids. Requires that can't be resolved are left out, and the
+ * code of the modules is not changed. Resolves to the code of the bundle. */
+function rebundle(directory, entries) {
+    const browserify = loadBrowserify();
+
+    return new Promise((resolve, reject) => {
+        const bundler = browserify({
+            basedir: path.resolve(directory),
+            fullPaths: true,
+            ignoreMissing: true,
+            detectGlobals: false
+        });
+
+        entries.forEach(file => bundler.add(path.resolve(directory, file)));
+        bundler.bundle((err, code) => (err ? reject(err) : resolve(code.toString())));
+    });
+}
+
+const parseModule = code => parseCode(`(${code})`);
+
+/* The require calls in a module function (by its first argument), with a
+ * string request that is in deps. */
+function findRequires(moduleFunction, deps) {
+    const requireArgument = moduleFunction.argnames[0];
+    const requireDef = requireArgument && requireArgument.definition();
+    const found = [];
+
+    moduleFunction.walk(new uglifyES.TreeWalker(node => {
+        if (node instanceof uglifyES.AST_Call && requireDef &&
+                node.expression instanceof uglifyES.AST_SymbolRef && node.expression.thedef === requireDef &&
+                node.args.length === 1 && node.args[0] instanceof uglifyES.AST_String &&
+                deps.has(node.args[0].value)) {
+            found.push(node);
+        }
+    }));
+
+    return found;
+}
+
+/* The requires of a module in the bundle as a list of {request, target}, and
+ * its code in normal form: with the requests replaced by their targets and the
+ * variables renamed. `resolve` maps the requests to their targets. */
+function normalizeModule(code, resolve, decompressOptions) {
+    const ast = parseModule(code);
+    const requires = findRequires(ast.body[0].body, resolve).map(call => {
+        const request = call.args[0].value;
+        const target = resolve.get(request);
+
+        call.args[0] = new uglifyES.AST_String({value: target || elsewhere});
+
+        return {request, target};
+    });
+
+    if (decompressOptions) {
+        decompress(ast, decompressOptions);
+        ast.figure_out_scope();
+    }
+
+    const moduleFunction = ast.body[0].body;
+    let counter = 0;
+
+    /* The arguments are named by position, as modules that don't use all of
+     * require, module and exports are often minified without them. */
+    moduleFunction.argnames.forEach((argument, i) => {
+        argument.definition().mangled_name = `a${i}`;
+    });
+
+    ast.walk(new uglifyES.TreeWalker(node => {
+        if (node instanceof uglifyES.AST_Scope) {
+            node.variables.each(def => {
+                if (!def.mangled_name) {
+                    def.mangled_name = `v${counter}`;
+                    counter += 1;
+                }
+            });
+        }
+    }));
+
+    /* With braces around all bodies, as the printer writes them. */
+    return {
+        requires,
+        code: moduleFunction.body.map(statement => statement.print_to_string({bracketize: true})).join('\n')
+    };
+}
+
+/* The modules of a bundle by id, as {moduleFunction, deps} where deps maps
+ * each request to the id it resolves to (or null). */
+function bundleModules(moduleObject) {
+    const modules = new Map();
+
+    moduleObject.properties.forEach(objectProperty => {
+        const [moduleFunction, depsObject] = objectProperty.value.elements;
+        const deps = new Map();
+
+        (depsObject ? depsObject.properties : []).forEach(dep => {
+            const value = dep.value;
+
+            deps.set(String(dep.key), value instanceof uglifyES.AST_String || value instanceof uglifyES.AST_Number ?
+                String(value.value) :
+                null);
+        });
+
+        modules.set(String(objectProperty.key), {moduleFunction, deps});
+    });
+
+    return modules;
+}
+
+/* Compare the requires of a written module with those of the module in the
+ * bundle, see verifyModules. */
+function compareRequires(file, original, rebundled) {
+    const divergences = [];
+
+    const describe = target => (target === elsewhere ? 'a module that was not written' : target || 'nothing');
+
+    original.forEach(({request, target}, i) => {
+        if (!rebundled[i]) {
+            divergences.push({reason: 'requires', message: `${file}: "${request}" is no longer required`});
+            return;
+        }
+
+        const actual = rebundled[i].target;
+        const rewritten = rebundled[i].request;
+
+        if (actual === target || (target === elsewhere && actual === null)) return;
+
+        divergences.push(rewritten === request ? {
+            reason: 'naming',
+            message: `${file}: "${request}" resolves to ${describe(actual)} instead of ${describe(target)}`
+        } : {
+            reason: 'requires',
+            message: `${file}: "${request}", rewritten to "${rewritten}", resolves to ${describe(actual)} ` +
+                `instead of ${describe(target)}`
+        });
+    });
+
+    if (rebundled.length > original.length) {
+        divergences.push({
+            reason: 'requires',
+            message: `${file}: requires ${rebundled.slice(original.length).map(({request}) => `"${request}"`).join(', ')} ` +
+                'which it did not in the bundle'
+        });
+    }
+
+    return divergences;
+}
+
+/*
+ Bundle the modules written to directory again and compare them with the
+ bundle they were unpacked from.
+ - moduleObject: the modules of the bundle(s), as they were before unpacking
+   (unpackBundles changes the requires of the modules it unpacks).
+ - moduleManifest: the manifest unpackBundles returned for them.
+ - options: the unpack options; `decompress` tells whether the modules were
+   decompressed, and how.
+
+ Modules that were written to the same file (see separateModules) are not
+ compared. Resolves to a list of {id, file, reason, message} for each
+ difference, see above for the reasons.
+ */
+const verifyModules = Promise.coroutine(function* (moduleObject, moduleManifest, directory, options = {}) {
+    const root = path.resolve(directory);
+    const written = moduleManifest.modules.filter(module => module.emitted && module.file);
+    const files = new Map();
+
+    written.forEach(module => {
+        files.set(module.file, (files.get(module.file) || 0) + 1);
+    });
+
+    const compared = written.filter(module => files.get(module.file) === 1);
+    const targets = new Map(written.map(module => [module.id, module.file]));
+    const entries = written.filter(module => module.entry).map(module => module.file);
+
+    const code = yield rebundle(directory, entries.length ? [...new Set(entries)] : [...files.keys()]);
+    const bundle = formats.detectBundle(parseCode(code, 'rebundled.js'), formats.formats);
+
+    if (!bundle) throw new Error('Unable to find the modules of the new bundle');
+
+    const rebundledModules = bundleModules(bundle.moduleObject);
+    const originalModules = bundleModules(moduleObject);
+    const decompressOptions = options.decompress === false ? null :
+        Object.assign({}, options.decompress, options.esm ? {} : {interop: false});
+
+    /* Full paths in the new bundle to written files. */
+    const writtenFile = id => {
+        const file = id && path.relative(root, id).split(path.sep).join('/');
+
+        return file && files.has(file) ? file : elsewhere;
+    };
+
+    const divergences = [];
+
+    compared.forEach(({id, file}) => {
+        const original = originalModules.get(String(id));
+        const rebundled = rebundledModules.get(path.join(root, file));
+        const diverge = (reason, message) => divergences.push({id, file, reason, message});
+
+        if (!rebundled) {
+            diverge('missing', `${file}: not in the new bundle, nothing requires it`);
+            return;
+        }
+
+        const originalResolve = new Map([...original.deps].map(([request, target]) =>
+            [request, targets.get(target) || elsewhere]));
+        const rebundledResolve = new Map([...rebundled.deps].map(([request, target]) =>
+            [request, target ? writtenFile(target) : null]));
+        const originalCode = original.moduleFunction.print_to_string();
+        const before = normalizeModule(originalCode, originalResolve);
+        const after = normalizeModule(rebundled.moduleFunction.print_to_string(), rebundledResolve);
+        const requires = compareRequires(file, before.requires, after.requires);
+
+        if (requires.length) {
+            requires.forEach(({reason, message}) => diverge(reason, message));
+        } else if (before.code !== after.code) {
+            if (decompressOptions && normalizeModule(originalCode, originalResolve, decompressOptions).code === after.code) {
+                diverge('decompress', `${file}: changed by the decompress transforms`);
+            } else {
+                diverge('structure', `${file}: differs from module ${id} in the bundle`);
+            }
+        }
+    });
+
+    return divergences;
+});
+
+module.exports = {
+    rebundle,
+    verifyModules
+};